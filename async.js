@@ -0,0 +1,779 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module "openapi-transformer-base/async.js"
+ */
+
+'use strict';
+
+const { AsyncLocalStorage } = require('node:async_hooks');
+
+const OpenApiTransformerBase = require('./index.js');
+const applyVisitSymbol = require('./lib/apply-visit-symbol.js');
+const beginTransformSymbol = require('./lib/begin-transform-symbol.js');
+const deferVisitSymbol = require('./lib/defer-visit-symbol.js');
+const finishTransformSymbol = require('./lib/finish-transform-symbol.js');
+const omitRemoved = require('./lib/omit-removed.js');
+const originalIfUnchanged = require('./lib/original-if-unchanged.js');
+const REMOVE = require('./lib/remove-symbol.js');
+
+const { isArray } = Array;
+
+/** Creates a counting semaphore which limits the number of holders.
+ *
+ * @private
+ * @param {number} concurrency Maximum number of holders.
+ * @returns {{
+ *   acquire: function(): (!Promise<void>|undefined),
+ *   release: function()
+ * }} Semaphore where acquire() returns undefined if there are fewer than
+ * concurrency holders, otherwise a Promise which resolves once a holder has
+ * called release().
+ */
+function createLimiter(concurrency) {
+  const queue = [];
+  let active = 0;
+
+  return {
+    acquire() {
+      if (active < concurrency) {
+        active += 1;
+        return undefined;
+      }
+
+      return new Promise((resolve) => { queue.push(resolve); });
+    },
+    release() {
+      const next = queue.shift();
+      if (next) {
+        next();
+      } else {
+        active -= 1;
+      }
+    },
+  };
+}
+
+/** Base class for asynchronously traversing or transforming OpenAPI 2.x or 3.x
+ * documents.
+ *
+ * This class traverses documents in the same way as {@link
+ * module:openapi-transformer-base}, with the following differences:
+ *
+ * <ul>
+ * <li>Any transform method may return a Promise.  Methods which transform
+ *   objects with child values return a Promise for the transformed object,
+ *   which resolves once all child values have been transformed.</li>
+ * <li>Sibling values are transformed concurrently.  The number of visited
+ *   transform methods applied concurrently during a traversal can be limited
+ *   using the <code>concurrency</code> option.  Methods waiting for the
+ *   child values they visited to be transformed are not counted, so the
+ *   limit applies to the work done by each method, at any depth.  A
+ *   <code>concurrency</code> of 1 transforms values sequentially, in
+ *   traversal order.</li>
+ * <li>{@link #transformPath}, {@link #transformAncestors}, and
+ *   {@link #transformRefs} are tracked separately for each asynchronous
+ *   branch of the traversal, so they remain correct after an
+ *   <code>await</code> while sibling values are being transformed.</li>
+ * </ul>
+ *
+ * When the <code>resolveRefs</code> option is true, Reference Objects are
+ * resolved before the visited method is applied, as in {@link
+ * module:openapi-transformer-base}, so
+ * {@link module:openapi-transformer-base#loadDocument} must return the
+ * document synchronously.  It is called at most once for each document
+ * during a traversal.
+ *
+ * Subclasses are expected to override transform methods as async functions
+ * which <code>await</code> the result of calling the method on
+ * <code>super</code>.
+ */
+class AsyncOpenApiTransformerBase extends OpenApiTransformerBase {
+  /** Asynchronous context of the transform method currently executing.
+   *
+   * @type {!AsyncLocalStorage<{
+   *   slot: ({held: boolean, pending: number, settled: boolean}|undefined),
+   *   transformAncestors: !Array<!object>,
+   *   transformPath: !Array<string>,
+   *   transformRefs: !Array<!object>
+   * }>}
+   */
+  #storage = new AsyncLocalStorage();
+
+  /** Context used outside of any visited transform method (e.g. for the
+   * method called by the user to start the transformation).
+   *
+   * @type {{
+   *   slot: ({held: boolean, pending: number, settled: boolean}|undefined),
+   *   transformAncestors: !Array<!object>,
+   *   transformPath: !Array<string>,
+   *   transformRefs: !Array<!object>
+   * }}
+   */
+  #rootContext;
+
+  /** Semaphore limiting the number of visited methods applied concurrently,
+   * if the <code>concurrency</code> option is not Infinity.
+   *
+   * @type {({
+   *   acquire: function(): (!Promise<void>|undefined),
+   *   release: function()
+   * }|undefined)}
+   */
+  #limiter;
+
+  /** Values returned by {@link #settle} during the current transformation,
+   * which do not contain any pending values.
+   *
+   * @type {!WeakSet<!object>}
+   */
+  #settledValues = new WeakSet();
+
+  /** Constructs an AsyncOpenApiTransformerBase with given options.
+   *
+   * @param {{
+   *   baseUri: (string|!URL|undefined),
+   *   concurrency: (number|undefined),
+   *   memoize: (boolean|undefined),
+   *   memoizeExclude: (!Iterable<string>|undefined),
+   *   onDiagnostic: (function(!object)|undefined),
+   *   recordPatch: (boolean|undefined),
+   *   resolveRefs: (boolean|undefined),
+   *   stackSafe: (boolean|undefined),
+   *   strict: (boolean|string|undefined),
+   *   strictVersion: (boolean|undefined)
+   * }=} options Options.  concurrency is the maximum number of visited
+   * transform methods applied concurrently, excluding those waiting for
+   * their child values to be transformed (default: Infinity).
+   * Other options are as for {@link module:openapi-transformer-base}.
+   * @throws {RangeError} If concurrency is not a positive integer or
+   * Infinity.
+   */
+  constructor(options = {}) {
+    super(options);
+
+    const { concurrency = Infinity } = options;
+    if (concurrency !== Infinity
+      && (!Number.isSafeInteger(concurrency) || concurrency < 1)) {
+      throw new RangeError(
+        `concurrency must be a positive integer or Infinity, got ${
+          concurrency}`,
+      );
+    }
+
+    this.#limiter = concurrency === Infinity ? undefined
+      : createLimiter(concurrency);
+    this.#rootContext = {
+      slot: undefined,
+      transformAncestors: [],
+      transformPath: [],
+      transformRefs: [],
+    };
+  }
+
+  /** Acquires a slot of the concurrency limit for a visited method, unless
+   * it has settled or is waiting for child values once acquired.
+   *
+   * @param {{held: boolean, pending: number, settled: boolean}} slot State
+   * of the visited method.
+   * @returns {!Promise<void>} Promise which resolves once the slot has been
+   * acquired (or released, if no longer needed).
+   */
+  async #acquireSlot(slot) {
+    const limiter = this.#limiter;
+    const acquired = limiter.acquire();
+    if (acquired === undefined) {
+      slot.held = true;
+      return;
+    }
+
+    await acquired;
+    if (slot.pending > 0 || slot.settled) {
+      limiter.release();
+    } else {
+      slot.held = true;
+    }
+  }
+
+  /** Releases the slot of the concurrency limit held by a visited method, if
+   * any.
+   *
+   * @param {{held: boolean, pending: number, settled: boolean}} slot State
+   * of the visited method.
+   */
+  #releaseSlot(slot) {
+    if (!slot.held) {
+      return;
+    }
+
+    slot.held = false;
+    this.#limiter.release();
+  }
+
+  /** Applies a visited method once it has acquired a slot of the
+   * concurrency limit, which is released while its parent (if any) waits
+   * for it.
+   *
+   * @template TransformedType
+   * @param {({held: boolean, pending: number, settled: boolean}|undefined)}
+   * parentSlot State of the visited method which visited this method, if
+   * any.
+   * @param {{held: boolean, pending: number, settled: boolean}} slot State
+   * of this visited method.
+   * @param {function(): TransformedType} apply Function which applies the
+   * visited method.
+   * @returns {!Promise<TransformedType>} Promise for the result of apply,
+   * which resolves once parentSlot has been acquired again, if it is no
+   * longer waiting for other child values.
+   */
+  async #applyLimited(parentSlot, slot, apply) {
+    if (parentSlot) {
+      parentSlot.pending += 1;
+      this.#releaseSlot(parentSlot);
+    }
+
+    try {
+      await this.#acquireSlot(slot);
+      return await apply();
+    } finally {
+      slot.settled = true;
+      this.#releaseSlot(slot);
+      if (parentSlot) {
+        parentSlot.pending -= 1;
+        if (parentSlot.pending === 0 && !parentSlot.settled) {
+          await this.#acquireSlot(parentSlot);
+        }
+      }
+    }
+  }
+
+  /** Waits for a value returned by a transform method, and any pending
+   * values in objects created by that method, to be resolved.
+   *
+   * Methods of OpenApiTransformerBase assign the values returned by visited
+   * methods to properties of new objects.  When visited methods return
+   * Promises, these objects contain Promises at any depth where they differ
+   * from the object being transformed.  This method resolves each Promise
+   * and removes properties and items with value
+   * OpenApiTransformerBase.REMOVE in a copy of the object containing them,
+   * then returns the object being transformed if the copy has the same
+   * values (as the synchronous methods do).  Objects returned by transform
+   * methods are not modified.
+   *
+   * @param {*} orig Value which was transformed.
+   * @param {*} value Value returned by transform method, or Promise for it.
+   * @param {!Array<!object>=} ancestors Values being settled which contain
+   * value (which are not settled again if value contains them, i.e. is
+   * cyclic).
+   * @returns {!Promise<*>} Promise for value, or the value it resolves to,
+   * or a copy with any Promises in its new (i.e. not in orig) property values
+   * resolved, or orig if the copy has the same values as orig.
+   */
+  async #settle(orig, value, ancestors = []) {
+    value = await value;
+
+    const settledValues = this.#settledValues;
+    if (value === orig
+      || typeof value !== 'object'
+      || value === null
+      || settledValues.has(value)
+      || ancestors.includes(value)) {
+      return value;
+    }
+
+    const valueAncestors = [...ancestors, value];
+    const origObj = typeof orig === 'object' && orig !== null ? orig : {};
+    const entries = Object.entries(value);
+    const settledProps = await Promise.all(
+      entries.map(([propName, propValue]) => {
+        const origValue = origObj[propName];
+        return propValue === origValue
+          || typeof propValue !== 'object'
+          || propValue === null
+          || settledValues.has(propValue)
+          ? propValue
+          : this.#settle(origValue, propValue, valueAncestors);
+      }),
+    );
+
+    let copy = value;
+    for (const [i, [propName, propValue]] of entries.entries()) {
+      const settledValue = settledProps[i];
+      if (settledValue !== propValue || propValue === REMOVE) {
+        if (copy === value) {
+          copy = isArray(value) ? [...value] : { ...value };
+        }
+
+        copy[propName] = settledValue;
+      }
+    }
+
+    settledValues.add(copy);
+    if (copy === value) {
+      return value;
+    }
+
+    return originalIfUnchanged(orig, omitRemoved(copy));
+  }
+
+  /** Property names traversed in current transformation (for the
+   * asynchronous branch of the traversal currently executing).
+   *
+   * @type {!Array<string>}
+   */
+  get transformPath() {
+    return (this.#storage.getStore() ?? this.#rootContext).transformPath;
+  }
+
+  /** Values being transformed by visited transform methods, outermost first
+   * (for the asynchronous branch of the traversal currently executing).
+   *
+   * @type {!Array<{key: string, value: *, type: (string|undefined)}>}
+   */
+  get transformAncestors() {
+    return (this.#storage.getStore() ?? this.#rootContext).transformAncestors;
+  }
+
+  /** References which were followed to reach the value currently being
+   * transformed (for the asynchronous branch of the traversal currently
+   * executing).
+   *
+   * @type {!Array<{
+   *   $ref: string,
+   *   documentUri: (string|undefined),
+   *   transformPath: !Array<string>
+   * }>}
+   */
+  get transformRefs() {
+    return (this.#storage.getStore() ?? this.#rootContext).transformRefs;
+  }
+
+  /** Begins a call to {@link #transformOpenApi}.
+   *
+   * @param {*} openApi OpenAPI Object to be transformed.
+   */
+  [beginTransformSymbol](openApi) {
+    super[beginTransformSymbol](openApi);
+    this.#settledValues = new WeakSet();
+  }
+
+  /** Applies a visited method in a new asynchronous context with a copy of
+   * the current transformPath, transformAncestors, and transformRefs, subject
+   * to the concurrency limit of the traversal.
+   *
+   * @template ArgsType, TransformedType
+   * @param {function(this:!AsyncOpenApiTransformerBase, ...ArgsType):
+   * TransformedType} method Visited method.
+   * @param {!Array<ArgsType>} args Arguments to method.
+   * @returns {!Promise<TransformedType>} Promise for the result of calling
+   * method on args, with any pending values resolved.
+   */
+  [applyVisitSymbol](method, args) {
+    const parentSlot = (this.#storage.getStore() ?? this.#rootContext).slot;
+    // Note: Context is created when called by super[applyVisitSymbol], after
+    // any Reference Object in args has been resolved and transformPath,
+    // transformAncestors, and transformRefs updated accordingly.
+    const applyInContext = (resolvedMethod, resolvedArgs) => {
+      const slot = this.#limiter
+        ? { held: false, pending: 0, settled: false }
+        : undefined;
+      const context = {
+        slot,
+        transformAncestors: [...this.transformAncestors],
+        transformPath: [...this.transformPath],
+        transformRefs: [...this.transformRefs],
+      };
+      const run = () => this.#storage.run(
+        context,
+        () => resolvedMethod.apply(this, resolvedArgs),
+      );
+      // Note: Results are settled where they are visited, so that the
+      // result of each visited method is recorded when recordPatch is true.
+      return this.#settle(
+        resolvedArgs[0],
+        slot ? this.#applyLimited(parentSlot, slot, run) : run(),
+      );
+    };
+
+    return super[applyVisitSymbol](method, args, applyInContext);
+  }
+
+  /** Applies a visited method in a microtask, once the stack has unwound,
+   * when the <code>stackSafe</code> option is true and visited methods are
+   * nested too deeply.
+   *
+   * @template ArgsType, TransformedType
+   * @param {function(this:!AsyncOpenApiTransformerBase, ...ArgsType):
+   * TransformedType} method Visited method.
+   * @param {!Array<ArgsType>} args Arguments to method.
+   * @returns {!Promise<TransformedType>} Promise for the result of calling
+   * method on args.
+   */
+  async [deferVisitSymbol](method, args) {
+    const context = {
+      slot: (this.#storage.getStore() ?? this.#rootContext).slot,
+      transformAncestors: [...this.transformAncestors],
+      transformPath: [...this.transformPath],
+      transformRefs: [...this.transformRefs],
+    };
+    // Wait for a microtask, so the stack unwinds before method is applied.
+    await Promise.resolve();
+    return this.#storage.run(
+      context,
+      () => this[applyVisitSymbol](method, args),
+    );
+  }
+
+  /** Returns the transformed OpenAPI Object without checking for errors,
+   * which {@link #transformOpenApi} does once all asynchronous branches of
+   * the traversal have completed.
+   *
+   * @param {*} openApi OpenAPI Object which was transformed.
+   * @param {*} newOpenApi Transformed OpenAPI Object (which may contain
+   * pending values).
+   * @returns {*} newOpenApi.
+   */
+  // eslint-disable-next-line class-methods-use-this
+  [finishTransformSymbol](openApi, newOpenApi) {
+    return newOpenApi;
+  }
+
+  /** Transforms an <code>Array[ValueType]</code> using a given transform
+   * method.
+   *
+   * @template ValueType, TransformedType
+   * @param {!Array<ValueType>|*} arr Array to transform.
+   * @param {function(this:!AsyncOpenApiTransformerBase, ValueType):
+   * (TransformedType|!Promise<TransformedType>)} transform Method which
+   * transforms values in arr.
+   * @returns {!Promise<!Array<TransformedType>|*>} Promise for the result of
+   * {@link module:openapi-transformer-base#transformArray}.
+   */
+  async transformArray(arr, transform) {
+    return this.#settle(arr, super.transformArray(arr, transform));
+  }
+
+  /** Transforms a <code>Map[string, ValueType]</code> using a given transform
+   * method.
+   *
+   * @template ValueType, TransformedType
+   * @param {!Object<string,ValueType>|*} obj Map to transform.
+   * @param {function(this:!AsyncOpenApiTransformerBase, ValueType):
+   * (TransformedType|!Promise<TransformedType>)} transform Method which
+   * transforms values in obj.
+   * @returns {!Promise<!Object<string,TransformedType>|*>} Promise for the
+   * result of {@link module:openapi-transformer-base#transformMap}.
+   */
+  async transformMap(obj, transform) {
+    return this.#settle(obj, super.transformMap(obj, transform));
+  }
+
+  /** Transforms a Discriminator Object.
+   *
+   * @param {!object} discriminator Discriminator Object.
+   * @returns {!Promise<!object>} Promise for transformed Discriminator Object.
+   */
+  async transformDiscriminator(discriminator) {
+    return this.#settle(
+      discriminator,
+      super.transformDiscriminator(discriminator),
+    );
+  }
+
+  /** Transforms an OpenAPI 3.x Example Object.
+   *
+   * @param {!object} example OpenAPI 3.x Example Object.
+   * @returns {!Promise<!object>} Promise for transformed OpenAPI 3.x Example
+   * Object.
+   */
+  async transformExample3(example) {
+    return this.#settle(example, super.transformExample3(example));
+  }
+
+  /** Transforms an External Documentation Object.
+   *
+   * @param {!object} externalDocs External Documentation Object.
+   * @returns {!Promise<!object>} Promise for transformed External
+   * Documentation Object.
+   */
+  async transformExternalDocs(externalDocs) {
+    return this.#settle(
+      externalDocs,
+      super.transformExternalDocs(externalDocs),
+    );
+  }
+
+  /** Transforms an XML Object.
+   *
+   * @param {!object} xml XML Object.
+   * @returns {!Promise<!object>} Promise for transformed XML Object.
+   */
+  async transformXml(xml) {
+    return this.#settle(xml, super.transformXml(xml));
+  }
+
+  /** Transforms a Schema Object.
+   *
+   * @param {!object} schema Schema Object.
+   * @returns {!Promise<!object>} Promise for transformed Schema Object.
+   */
+  async transformSchema(schema) {
+    return this.#settle(schema, super.transformSchema(schema));
+  }
+
+  /** Transforms Schema Object properties.
+   *
+   * @param {!object} properties Schema Object properties.
+   * @returns {!Promise<!object>} Promise for transformed Schema Object
+   * properties.
+   */
+  async transformSchemaProperties(properties) {
+    return this.#settle(
+      properties,
+      super.transformSchemaProperties(properties),
+    );
+  }
+
+  /** Transforms an Items Object.
+   *
+   * @param {!object} items Items Object.
+   * @returns {!Promise<!object>} Promise for transformed Items Object.
+   */
+  async transformItems(items) {
+    return this.#settle(items, super.transformItems(items));
+  }
+
+  /** Transforms a Header Object.
+   *
+   * @param {!object} header Header Object.
+   * @returns {!Promise<!object>} Promise for transformed Header Object.
+   */
+  async transformHeader(header) {
+    return this.#settle(header, super.transformHeader(header));
+  }
+
+  /** Transforms an Encoding Object.
+   *
+   * @param {!object} encoding Encoding Object.
+   * @returns {!Promise<!object>} Promise for transformed Encoding Object.
+   */
+  async transformEncoding(encoding) {
+    return this.#settle(encoding, super.transformEncoding(encoding));
+  }
+
+  /** Transforms a Link Object.
+   *
+   * @param {!object} link Link Object.
+   * @returns {!Promise<!object>} Promise for transformed Link Object.
+   */
+  async transformLink(link) {
+    return this.#settle(link, super.transformLink(link));
+  }
+
+  /** Transforms a Media Type Object.
+   *
+   * @param {!object} mediaType Media Type Object.
+   * @returns {!Promise<!object>} Promise for transformed Media Type Object.
+   */
+  async transformMediaType(mediaType) {
+    return this.#settle(mediaType, super.transformMediaType(mediaType));
+  }
+
+  /** Transforms a Response Object.
+   *
+   * @param {!object} response Response Object.
+   * @returns {!Promise<!object>} Promise for transformed Response Object.
+   */
+  async transformResponse(response) {
+    return this.#settle(response, super.transformResponse(response));
+  }
+
+  /** Transforms a Parameter Object.
+   *
+   * @param {!object} parameter Parameter Object.
+   * @returns {!Promise<!object>} Promise for transformed Parameter Object.
+   */
+  async transformParameter(parameter) {
+    return this.#settle(parameter, super.transformParameter(parameter));
+  }
+
+  /** Transforms a Responses Object.
+   *
+   * @param {!object} responses Responses Object.
+   * @returns {!Promise<!object>} Promise for transformed Responses Object.
+   */
+  async transformResponses(responses) {
+    return this.#settle(responses, super.transformResponses(responses));
+  }
+
+  /** Transforms a Callback Object.
+   *
+   * @param {!object} callback Callback Object.
+   * @returns {!Promise<!object>} Promise for transformed Callback Object.
+   */
+  async transformCallback(callback) {
+    return this.#settle(callback, super.transformCallback(callback));
+  }
+
+  /** Transforms a Request Body Object.
+   *
+   * @param {!object} requestBody Request Body Object.
+   * @returns {!Promise<!object>} Promise for transformed Request Body Object.
+   */
+  async transformRequestBody(requestBody) {
+    return this.#settle(requestBody, super.transformRequestBody(requestBody));
+  }
+
+  /** Transforms an Operation Object.
+   *
+   * @param {!object} operation Operation Object.
+   * @returns {!Promise<!object>} Promise for transformed Operation Object.
+   */
+  async transformOperation(operation) {
+    return this.#settle(operation, super.transformOperation(operation));
+  }
+
+  /** Transforms a Path Item Object.
+   *
+   * @param {!object} pathItem Path Item Object.
+   * @returns {!Promise<!object>} Promise for transformed Path Item Object.
+   */
+  async transformPathItem(pathItem) {
+    return this.#settle(pathItem, super.transformPathItem(pathItem));
+  }
+
+  /** Transforms a Paths Object.
+   *
+   * @param {!object} paths Paths Object.
+   * @returns {!Promise<!object>} Promise for transformed Paths Object.
+   */
+  async transformPaths(paths) {
+    return this.#settle(paths, super.transformPaths(paths));
+  }
+
+  /** Transforms a Components Object.
+   *
+   * @param {!object} components Components Object.
+   * @returns {!Promise<!object>} Promise for transformed Components Object.
+   */
+  async transformComponents(components) {
+    return this.#settle(components, super.transformComponents(components));
+  }
+
+  /** Transforms a Server Variable Object.
+   *
+   * @param {!object} serverVariable Server Variable Object.
+   * @returns {!Promise<!object>} Promise for transformed Server Variable
+   * Object.
+   */
+  async transformServerVariable(serverVariable) {
+    return this.#settle(
+      serverVariable,
+      super.transformServerVariable(serverVariable),
+    );
+  }
+
+  /** Transforms a Server Object.
+   *
+   * @param {!object} server Server Object.
+   * @returns {!Promise<!object>} Promise for transformed Server Object.
+   */
+  async transformServer(server) {
+    return this.#settle(server, super.transformServer(server));
+  }
+
+  /** Transforms an OAuth Flow Object.
+   *
+   * @param {!object} flow OAuth Flow Object.
+   * @returns {!Promise<!object>} Promise for transformed OAuth Flow Object.
+   */
+  async transformOAuthFlow(flow) {
+    return this.#settle(flow, super.transformOAuthFlow(flow));
+  }
+
+  /** Transforms an OAuth Flows Object.
+   *
+   * @param {!object} flows OAuth Flows Object.
+   * @returns {!Promise<!object>} Promise for transformed OAuth Flows Object.
+   */
+  async transformOAuthFlows(flows) {
+    return this.#settle(flows, super.transformOAuthFlows(flows));
+  }
+
+  /** Transforms a Security Scheme Object.
+   *
+   * @param {!object} securityScheme Security Scheme Object.
+   * @returns {!Promise<!object>} Promise for transformed Security Scheme
+   * Object.
+   */
+  async transformSecurityScheme(securityScheme) {
+    return this.#settle(
+      securityScheme,
+      super.transformSecurityScheme(securityScheme),
+    );
+  }
+
+  /** Transforms a Tag Object.
+   *
+   * @param {!object} tag Tag Object.
+   * @returns {!Promise<!object>} Promise for transformed Tag Object.
+   */
+  async transformTag(tag) {
+    return this.#settle(tag, super.transformTag(tag));
+  }
+
+  /** Transforms a Contact Object.
+   *
+   * @param {!object} contact Contact Object.
+   * @returns {!Promise<!object>} Promise for transformed Contact Object.
+   */
+  async transformContact(contact) {
+    return this.#settle(contact, super.transformContact(contact));
+  }
+
+  /** Transforms a License Object.
+   *
+   * @param {!object} license License Object.
+   * @returns {!Promise<!object>} Promise for transformed License Object.
+   */
+  async transformLicense(license) {
+    return this.#settle(license, super.transformLicense(license));
+  }
+
+  /** Transforms an Info Object.
+   *
+   * @param {!object} info Info Object.
+   * @returns {!Promise<!object>} Promise for transformed Info Object.
+   */
+  async transformInfo(info) {
+    return this.#settle(info, super.transformInfo(info));
+  }
+
+  /** Transforms the value of the x-ms-parameterized-host extension property.
+   *
+   * @param {!object} xMsParameterizedHost Value of x-ms-parameterized-host.
+   * @returns {!Promise<!object>} Promise for transformed
+   * x-ms-parameterized-host value.
+   */
+  async transformMsParameterizedHost(xMsParameterizedHost) {
+    return this.#settle(
+      xMsParameterizedHost,
+      super.transformMsParameterizedHost(xMsParameterizedHost),
+    );
+  }
+
+  /** Transforms an OpenAPI 3.x Object or OpenAPI 2.0 (fka Swagger) Object.
+   *
+   * @param {!object} openApi OpenAPI Object.
+   * @returns {!Promise<!object>} Promise for transformed OpenAPI Object,
+   * which is rejected with an AggregateError if the <code>strict</code>
+   * option is <code>'aggregate'</code> and any errors were found.
+   */
+  async transformOpenApi(openApi) {
+    const newOpenApi =
+      await this.#settle(openApi, super.transformOpenApi(openApi));
+    return super[finishTransformSymbol](openApi, newOpenApi);
+  }
+}
+
+module.exports = AsyncOpenApiTransformerBase;
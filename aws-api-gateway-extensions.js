@@ -0,0 +1,191 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module "openapi-transformer-base/aws-api-gateway-extensions.js"
+ */
+
+'use strict';
+
+const finishCopy = require('./lib/finish-copy.js');
+const visitExtensions = require('./lib/visit-extensions.js');
+const visitProp = require('./lib/visit-prop.js');
+
+const { isArray } = Array;
+
+/** Declarations of the API Gateway extensions which contain values
+ * transformed by the methods of the mixin, for the <code>extensions</code>
+ * option.
+ *
+ * @private
+ * @type {!Array<{
+ *   name: string,
+ *   type: string,
+ *   container: (string|undefined),
+ *   ownerTypes: !Array<string>
+ * }>}
+ */
+const extensions = [
+  {
+    name: 'x-amazon-apigateway-authorizer',
+    type: 'AmazonApigatewayAuthorizer',
+    ownerTypes: ['SecurityScheme'],
+  },
+  {
+    name: 'x-amazon-apigateway-integration',
+    type: 'AmazonApigatewayIntegration',
+    ownerTypes: ['Operation'],
+  },
+  {
+    name: 'x-amazon-apigateway-request-validators',
+    type: 'AmazonApigatewayRequestValidator',
+    container: 'Map',
+    ownerTypes: ['OpenApi'],
+  },
+];
+
+/** Creates a subclass of a transformer class which declares the {@link
+ * https://docs.aws.amazon.com/apigateway/latest/developerguide/api-gateway-swagger-extensions.html
+ * API Gateway extensions to OpenAPI} and has
+ * <code>transformAmazonApigateway*</code> methods which transform their
+ * values.
+ *
+ * @example
+ * class MyTransformer
+ *   extends awsApiGatewayExtensions(OpenApiTransformerBase) {
+ *   transformAmazonApigatewayIntegration(integration) {
+ *     // ...
+ *   }
+ * }
+ * @param {function(new:module:openapi-transformer-base, !object=)} Base
+ * {@link module:openapi-transformer-base} or a subclass (e.g. {@link
+ * module:"openapi-transformer-base/async.js"}) to extend.
+ * @returns {function(new:module:openapi-transformer-base, !object=)}
+ * Subclass of Base.
+ */
+module.exports =
+function awsApiGatewayExtensions(Base) {
+  return class AwsApiGatewayTransformer extends Base {
+    /** Constructs a transformer with given options, which declares the API
+     * Gateway extensions in addition to <code>options.extensions</code>.
+     *
+     * @param {!object=} options Options for Base.
+     */
+    constructor(options = {}) {
+      super({
+        ...options,
+        extensions: [...options.extensions ?? [], ...extensions],
+      });
+    }
+
+    /** Transforms the {@link
+     * https://docs.aws.amazon.com/apigateway/latest/developerguide/api-gateway-swagger-extensions-authorizer.html
+     * x-amazon-apigateway-authorizer value} of a Security Scheme Object.
+     *
+     * @param {!object} authorizer x-amazon-apigateway-authorizer value.
+     * @returns {!object} Transformed x-amazon-apigateway-authorizer value.
+     */
+    transformAmazonApigatewayAuthorizer(authorizer) {
+      if (typeof authorizer !== 'object'
+        || authorizer === null
+        || isArray(authorizer)) {
+        this.addDiagnostic(
+          'NON_OBJECT_AMAZON_APIGATEWAY_AUTHORIZER',
+          'Ignoring non-object x-amazon-apigateway-authorizer value',
+          authorizer,
+        );
+      }
+
+      return authorizer;
+    }
+
+    /** Transforms the {@link
+     * https://docs.aws.amazon.com/apigateway/latest/developerguide/api-gateway-swagger-extensions-integration.html
+     * x-amazon-apigateway-integration value} of an Operation Object.
+     *
+     * @param {!object} integration x-amazon-apigateway-integration value.
+     * @returns {!object} Transformed x-amazon-apigateway-integration value.
+     * If Base is asynchronous, it may contain Promises for transformed
+     * property values, which are resolved by the method which visited it.
+     */
+    transformAmazonApigatewayIntegration(integration) {
+      if (typeof integration !== 'object'
+        || integration === null
+        || isArray(integration)) {
+        this.addDiagnostic(
+          'NON_OBJECT_AMAZON_APIGATEWAY_INTEGRATION',
+          'Ignoring non-object x-amazon-apigateway-integration value',
+          integration,
+        );
+        return integration;
+      }
+
+      let newIntegration = integration;
+      if (integration.responses !== undefined) {
+        newIntegration = visitProp(
+          this,
+          integration,
+          newIntegration,
+          'responses',
+          this.transformMap,
+          this.transformAmazonApigatewayIntegrationResponse,
+        );
+      }
+
+      newIntegration = visitExtensions(
+        this,
+        integration,
+        newIntegration,
+        'AmazonApigatewayIntegration',
+      );
+      return finishCopy(integration, newIntegration);
+    }
+
+    /** Transforms an {@link
+     * https://docs.aws.amazon.com/apigateway/latest/developerguide/api-gateway-swagger-extensions-integration-response.html
+     * x-amazon-apigateway-integration response} of an
+     * x-amazon-apigateway-integration value.
+     *
+     * @param {!object} response x-amazon-apigateway-integration response.
+     * @returns {!object} Transformed x-amazon-apigateway-integration
+     * response.
+     */
+    transformAmazonApigatewayIntegrationResponse(response) {
+      if (typeof response !== 'object'
+        || response === null
+        || isArray(response)) {
+        this.addDiagnostic(
+          'NON_OBJECT_AMAZON_APIGATEWAY_INTEGRATION_RESPONSE',
+          'Ignoring non-object x-amazon-apigateway-integration response',
+          response,
+        );
+      }
+
+      return response;
+    }
+
+    /** Transforms an {@link
+     * https://docs.aws.amazon.com/apigateway/latest/developerguide/api-gateway-swagger-extensions-request-validators.requestValidator.html
+     * x-amazon-apigateway-request-validators validator} of an OpenAPI
+     * Object.
+     *
+     * @param {!object} validator x-amazon-apigateway-request-validators
+     * validator.
+     * @returns {!object} Transformed x-amazon-apigateway-request-validators
+     * validator.
+     */
+    transformAmazonApigatewayRequestValidator(validator) {
+      if (typeof validator !== 'object'
+        || validator === null
+        || isArray(validator)) {
+        this.addDiagnostic(
+          'NON_OBJECT_AMAZON_APIGATEWAY_REQUEST_VALIDATOR',
+          'Ignoring non-object x-amazon-apigateway-request-validators'
+          + ' validator',
+          validator,
+        );
+      }
+
+      return validator;
+    }
+  };
+};
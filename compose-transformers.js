@@ -0,0 +1,217 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module "openapi-transformer-base/compose-transformers.js"
+ */
+
+'use strict';
+
+const OpenApiTransformerBase = require('./index.js');
+const applyShallowSymbol = require('./lib/apply-shallow-symbol.js');
+const beginTransformSymbol = require('./lib/begin-transform-symbol.js');
+const finishTransformSymbol = require('./lib/finish-transform-symbol.js');
+const schemaMethodNames = require('./lib/schema-method-names.js');
+const typeMethodNames = require('./lib/type-method-names.js');
+
+const { REMOVE } = OpenApiTransformerBase;
+
+/** Transformer which applies the transform methods of several transformers
+ * to each value in a single traversal.
+ *
+ * @private
+ */
+class ComposedOpenApiTransformer extends OpenApiTransformerBase {
+  static {
+    for (const methodName of typeMethodNames) {
+      // Note: Methods which call transformSchema by default are composed
+      // with the traversal of transformSchema, so that the transformSchema
+      // methods of the composed transformers are applied once, by the
+      // default method of each composed transformer.
+      const traverse = OpenApiTransformerBase.prototype[
+        schemaMethodNames.has(methodName) ? 'transformSchema' : methodName
+      ];
+      Object.defineProperty(this.prototype, methodName, {
+        configurable: true,
+        value: {
+          [methodName](value, ...args) {
+            return this.#applyTransformers(
+              methodName,
+              traverse.call(this, value, ...args),
+              args,
+            );
+          },
+        }[methodName],
+        writable: true,
+      });
+    }
+  }
+
+  /** Transformers whose methods are applied, in order.
+   *
+   * @type {!Array<!OpenApiTransformerBase>}
+   */
+  #transformers;
+
+  /** Whether {@link #patch} is exposed (i.e. the <code>recordPatch</code>
+   * option is true).
+   *
+   * @type {boolean}
+   */
+  #recordPatch;
+
+  /** Constructs a ComposedOpenApiTransformer.
+   *
+   * @param {!Iterable<!OpenApiTransformerBase>} transformers Transformers to
+   * compose.
+   * @param {!object=} options Options for OpenApiTransformerBase.
+   */
+  constructor(transformers, options) {
+    // Note: The patch is always recorded, since the composed transformers
+    // do not visit values and are finished with the recorded patch.
+    super({ ...options, recordPatch: true });
+    this.#transformers = [...transformers];
+    this.#recordPatch = Boolean(options?.recordPatch);
+  }
+
+  /** Applies a transform method of each composed transformer, in order, to
+   * the result of the previous one.
+   *
+   * @param {string} methodName Name of transform method to apply.
+   * @param {*} value Value to transform (after its children were transformed
+   * by this transformer).
+   * @param {!Array<*>} args Additional arguments to the transform method.
+   * @returns {*} Result of the last transform method, or
+   * {@link module:openapi-transformer-base.REMOVE} if any returned it.
+   */
+  #applyTransformers(methodName, value, args) {
+    let result = value;
+    for (const transformer of this.#transformers) {
+      if (result === REMOVE) {
+        break;
+      }
+
+      if (!transformer.stopped) {
+        result = transformer[applyShallowSymbol](
+          transformer[methodName],
+          [result, ...args],
+          this,
+        );
+      }
+    }
+
+    return result;
+  }
+
+  /** JSON Patch which changes the OpenAPI Object passed to the most recent
+   * call to {@link #transformOpenApi} into the transformed OpenAPI Object,
+   * if the <code>recordPatch</code> option is true.
+   *
+   * @type {(!Array<!object>|undefined)}
+   */
+  get patch() {
+    return this.#recordPatch ? super.patch : undefined;
+  }
+
+  /** Transforms an OpenAPI Object.
+   *
+   * @param {!object} openApi OpenAPI Object.
+   * @returns {!object} Transformed OpenAPI Object.
+   */
+  transformOpenApi(openApi) {
+    for (const transformer of this.#transformers) {
+      transformer[beginTransformSymbol](openApi);
+    }
+
+    return super.transformOpenApi(openApi);
+  }
+
+  /** Finishes a call to {@link #transformOpenApi} by applying the
+   * transformOpenApi method of each composed transformer, then finishing
+   * the transformation of this transformer and of each composed transformer
+   * (with the patch recorded by this transformer).
+   *
+   * @param {*} openApi OpenAPI Object which was transformed.
+   * @param {*} newOpenApi OpenAPI Object with transformed children.
+   * @returns {*} Transformed OpenAPI Object.
+   * @throws {AggregateError} If the <code>strict</code> option of this or any
+   * composed transformer is <code>'aggregate'</code> and it found any
+   * errors.
+   */
+  [finishTransformSymbol](openApi, newOpenApi) {
+    const result =
+      this.#applyTransformers('transformOpenApi', newOpenApi, []);
+    try {
+      return super[finishTransformSymbol](openApi, result);
+    } finally {
+      for (const transformer of this.#transformers) {
+        transformer[finishTransformSymbol](openApi, result, super.patch);
+      }
+    }
+  }
+}
+
+/** Composes transformers into a single transformer which traverses a
+ * document once, applying the transform method of each transformer, in
+ * order, to each value.
+ *
+ * For each value, the children of the value are transformed first, then the
+ * transform method for the type of the value is applied by each
+ * transformer, in order, with the value returned by the previous one.  The
+ * transform methods are applied without transforming children again: Any
+ * methods which they visit return their argument unchanged.  Each
+ * transformer has the {@link
+ * module:openapi-transformer-base#transformPath}, {@link
+ * module:openapi-transformer-base#transformAncestors}, and {@link
+ * module:openapi-transformer-base#transformRefs} of the value while its
+ * method is applied, so its diagnostics and warnings are attributed to the
+ * value.  Diagnostics are recorded by the transformer which added them.
+ *
+ * Therefore, the result is the same as applying the transformers one after
+ * another, for transformers which transform each value based only on the
+ * value and its (transformed) children.  Differences include:
+ *
+ * <ul>
+ * <li>Transform methods which change a value before transforming its
+ *   children are applied after the children are transformed (by every
+ *   transformer).</li>
+ * <li>Children added by a transformer are not transformed by later
+ *   transformers.</li>
+ * <li>{@link module:openapi-transformer-base.SKIP} does not prevent other
+ *   transformers from transforming children.
+ *   {@link module:openapi-transformer-base.STOP} ends transformation by the
+ *   transformer which returned it.
+ *   {@link module:openapi-transformer-base.REMOVE} removes the value without
+ *   applying later transformers.</li>
+ * <li><code>transformArray</code> and <code>transformMap</code> of the
+ *   transformers are not called.</li>
+ * <li>Options which control traversal (e.g. <code>resolveRefs</code>,
+ *   <code>memoize</code>, <code>stackSafe</code>) are taken from the
+ *   options argument rather than the transformers.</li>
+ * <li>The <code>patch</code> of each transformer with the
+ *   <code>recordPatch</code> option is from the original document to the
+ *   document transformed by every transformer.</li>
+ * </ul>
+ *
+ * The transformers must be synchronous (i.e. not
+ * {@link module:"openapi-transformer-base/async.js"}).
+ *
+ * @param {!Iterable<!module:openapi-transformer-base>} transformers
+ * Transformers to compose, in the order they are applied.
+ * @param {!object=} options Options for the composed transformer, as for
+ * the {@link module:openapi-transformer-base} constructor.
+ * @returns {!module:openapi-transformer-base} Transformer which applies
+ * transformers in a single traversal.
+ * @throws {TypeError} If any of transformers is not an
+ * OpenApiTransformerBase.
+ */
+module.exports =
+function composeTransformers(transformers, options) {
+  const transformerArray = [...transformers];
+  for (const transformer of transformerArray) {
+    if (!(transformer instanceof OpenApiTransformerBase)) {
+      throw new TypeError('transformers must be OpenApiTransformerBase');
+    }
+  }
+
+  return new ComposedOpenApiTransformer(transformerArray, options);
+};
@@ -0,0 +1,276 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module "openapi-transformer-base/create-transformer.js"
+ */
+
+'use strict';
+
+const OpenApiTransformerBase = require('./index.js');
+const typeMethodNames = require('./lib/type-method-names.js');
+
+/** Types of values which can have handlers (i.e. names of methods of
+ * OpenApiTransformerBase without the <code>transform</code> prefix), except
+ * Array and Map, which only contain values of other types.
+ *
+ * @private
+ * @type {!Set<string>}
+ */
+const handlerTypes = new Set(
+  [...typeMethodNames, 'transformOpenApi']
+    .map((propName) => propName.slice('transform'.length)),
+);
+
+/** Types (as in transformAncestors) of values which are not OpenAPI objects
+ * (or are Schema Objects which transformSchema is also visited with), and
+ * are therefore not the parent passed to handlers.
+ *
+ * @private
+ * @type {!Set<string|undefined>}
+ */
+const nonParentTypes = new Set([
+  'Array',
+  'Extension',
+  'HeaderSchema',
+  'Map',
+  'ParameterSchema',
+  'RequestBodySchema',
+  'ResponseSchema',
+  'SchemaProperties',
+  undefined,
+]);
+
+/** Gets the OpenAPI object which contains the value being transformed.
+ *
+ * @private
+ * @param {!Array<{value: *, type: (string|undefined)}>} transformAncestors
+ * transformAncestors of the transformer.
+ * @param {*} value Value being transformed.
+ * @param {*} openApi OpenAPI Object being transformed, if any.  (It is not
+ * in transformAncestors, since transformOpenApi is not visited.)
+ * @returns {*} Value of the nearest entry of transformAncestors (other than
+ * one for value) which is an OpenAPI object, otherwise openApi, or
+ * undefined if value is openApi.
+ */
+function getParent(transformAncestors, value, openApi) {
+  let i = transformAncestors.length - 1;
+  if (transformAncestors[i]?.value === value) {
+    i -= 1;
+  }
+
+  while (i >= 0 && nonParentTypes.has(transformAncestors[i].type)) {
+    i -= 1;
+  }
+
+  if (i >= 0) {
+    return transformAncestors[i].value;
+  }
+
+  return openApi === value ? undefined : openApi;
+}
+
+/** Transformer which calls handler functions for values of given types.
+ *
+ * @private
+ */
+class HandlerTransformer extends OpenApiTransformerBase {
+  static {
+    for (const type of handlerTypes) {
+      if (type === 'OpenApi') {
+        // Defined below, to track the OpenAPI Object being transformed
+        continue;
+      }
+
+      const methodName = `transform${type}`;
+      const transform = OpenApiTransformerBase.prototype[methodName];
+      Object.defineProperty(this.prototype, methodName, {
+        configurable: true,
+        value: {
+          [methodName](value, ...args) {
+            const handler = this.#handlers.get(type);
+            return handler === undefined ? transform.call(this, value, ...args)
+              : this.#applyHandler(handler, transform, value, args);
+          },
+        }[methodName],
+        writable: true,
+      });
+    }
+  }
+
+  /** Whether handlers are called before the default transform method.
+   *
+   * @type {boolean}
+   */
+  #before;
+
+  /** Handler functions, by type.
+   *
+   * @type {!Map<string, function(*, !object, ...*): *>}
+   */
+  #handlers;
+
+  /** OpenAPI Object passed to the current call to {@link #transformOpenApi},
+   * if any.
+   *
+   * @type {*}
+   */
+  #openApi;
+
+  /** Constructs a HandlerTransformer.
+   *
+   * @param {!Map<string, function(*, !object, ...*): *>} handlers Handler
+   * functions, by type.
+   * @param {boolean} before Whether handlers are called before the default
+   * transform method.
+   * @param {!object} options Options for OpenApiTransformerBase.
+   */
+  constructor(handlers, before, options) {
+    super(options);
+    this.#before = before;
+    this.#handlers = handlers;
+  }
+
+  /** Applies a handler to a value being transformed.
+   *
+   * @param {function(*, !object, ...*): *} handler Handler function.
+   * @param {function(this:!OpenApiTransformerBase, ...*): *} transform
+   * Default transform method for the value.
+   * @param {*} value Value being transformed.
+   * @param {!Array<*>} args Additional arguments to the transform method.
+   * @returns {*} Result of handler, or the value passed to handler (or
+   * returned by <code>next()</code>, if called) if it returned undefined.
+   */
+  #applyHandler(handler, transform, value, args) {
+    let wasNextCalled = false;
+    let nextResult;
+    const ctx = {
+      pointer: this.currentPointer,
+      parent: getParent(this.transformAncestors, value, this.#openApi),
+      next: (nextValue = value) => {
+        if (wasNextCalled && !this.#before) {
+          return nextResult;
+        }
+
+        wasNextCalled = true;
+        nextResult = transform.call(this, nextValue, ...args);
+        return nextResult;
+      },
+    };
+
+    const handlerValue = this.#before ? value : ctx.next();
+    const result = handler.call(this, handlerValue, ctx, ...args);
+    if (result !== undefined) {
+      return result;
+    }
+
+    return wasNextCalled ? nextResult : handlerValue;
+  }
+
+  /** Transforms an OpenAPI Object, which is the parent of values which are
+   * not in another OpenAPI object.
+   *
+   * @param {!object} openApi OpenAPI Object.
+   * @returns {!object} Transformed OpenAPI Object.
+   */
+  transformOpenApi(openApi) {
+    const prevOpenApi = this.#openApi;
+    this.#openApi = openApi;
+    try {
+      const handler = this.#handlers.get('OpenApi');
+      return handler === undefined ? super.transformOpenApi(openApi)
+        : this.#applyHandler(
+          handler,
+          OpenApiTransformerBase.prototype.transformOpenApi,
+          openApi,
+          [],
+        );
+    } finally {
+      this.#openApi = prevOpenApi;
+    }
+  }
+}
+
+/** Creates a transformer which calls a handler function for each value of
+ * a given type.
+ *
+ * Handlers are given as the properties of an object, where the name of each
+ * property is the type of value it handles (i.e. the name of a transform
+ * method of {@link module:openapi-transformer-base} without the
+ * <code>transform</code> prefix, e.g. <code>Schema</code>,
+ * <code>Operation</code>, <code>ExternalDocs</code>).  Each handler is
+ * called with <code>this</code> set to the transformer and the following
+ * arguments:
+ *
+ * <ol>
+ * <li>The value.</li>
+ * <li>A context object with the following properties:
+ *   <dl>
+ *   <dt><code>pointer</code></dt>
+ *   <dd>JSON Pointer of the value (as in {@link
+ *     module:openapi-transformer-base#currentPointer}).</dd>
+ *   <dt><code>parent</code></dt>
+ *   <dd>The (untransformed) OpenAPI object which contains the value, or
+ *     undefined if there is none (e.g. for the OpenAPI Object).</dd>
+ *   <dt><code>next</code></dt>
+ *   <dd>Function which calls the default transform method (which transforms
+ *     the children of the value) with its argument (default: the value) and
+ *     returns the result.</dd>
+ *   </dl>
+ * </li>
+ * <li>Any additional arguments of the transform method (e.g. the name of the
+ *   extension property and the type of the object which has it, for
+ *   <code>Extension</code>).</li>
+ * </ol>
+ *
+ * By default, handlers are called after the default transform method, with
+ * the value it returned (i.e. with transformed children), and
+ * <code>next()</code> returns that value without calling the method again.
+ * If <code>options.order</code> is <code>'before'</code>, handlers are
+ * called with the value before the default transform method, which is only
+ * called if the handler calls <code>next()</code>.
+ *
+ * The value returned by a handler replaces the value in the transformed
+ * document, as for transform methods (including
+ * {@link module:openapi-transformer-base.REMOVE},
+ * {@link module:openapi-transformer-base.SKIP}, and
+ * {@link module:openapi-transformer-base.STOP}).  If a handler returns
+ * undefined, the value it was called with (or the value returned by
+ * <code>next()</code>, if it was called) is used.  Therefore, handlers which
+ * only examine values do not need to return anything.
+ *
+ * @param {!Object<string, function(*, !object, ...*): *>} handlers Handler
+ * functions, by type of value.
+ * @param {{
+ *   order: (string|undefined)
+ * }=} options Options.  order is <code>'after'</code> (default) or
+ * <code>'before'</code>.  Other options are as for
+ * {@link module:openapi-transformer-base}.
+ * @returns {!module:openapi-transformer-base} Transformer which calls
+ * handlers.
+ * @throws {TypeError} If a property of handlers is not a type of value or
+ * its value is not a function.
+ * @throws {RangeError} If options.order is not <code>'after'</code> or
+ * <code>'before'</code>.
+ */
+module.exports =
+function createTransformer(handlers, options = {}) {
+  const handlerMap = new Map();
+  for (const [type, handler] of Object.entries(handlers)) {
+    if (!handlerTypes.has(type)) {
+      throw new TypeError(`Unrecognized handler type: ${type}`);
+    }
+
+    if (typeof handler !== 'function') {
+      throw new TypeError(`Handler for ${type} must be a function`);
+    }
+
+    handlerMap.set(type, handler);
+  }
+
+  const { order = 'after' } = options;
+  if (order !== 'after' && order !== 'before') {
+    throw new RangeError(`order must be 'after' or 'before', got ${order}`);
+  }
+
+  return new HandlerTransformer(handlerMap, order === 'before', options);
+};
@@ -18,13 +18,13 @@ module.exports = [
   {
     rules: {
       // Allow requiring devDependencies for build and test
-      'import/no-extraneous-dependencies': ['error', {
+      'import-x/no-extraneous-dependencies': ['error', {
         devDependencies: [
           ...nodejs
             .findLast(
-              (conf) => conf.rules?.['import/no-extraneous-dependencies'],
+              (conf) => conf.rules?.['import-x/no-extraneous-dependencies'],
             )
-            .rules['import/no-extraneous-dependencies'][1].devDependencies,
+            .rules['import-x/no-extraneous-dependencies'][1].devDependencies,
           'test-bin/**',
           'test-lib/**',
           'test/**',
@@ -37,6 +37,27 @@ module.exports = [
       // Don't prefer top-level await
       // Since top-level await is only supported in ECMAScript Modules (ESM)
       'unicorn/prefer-top-level-await': 'off',
+
+      // Allow this in functions outside of classes
+      // Module functions and test helpers are called with a transformer as
+      // this, like the methods they implement or override.
+      'unicorn/no-this-outside-of-class': 'off',
+
+      // Allow use of class members which are not declared in the class body
+      // Public properties are defined with Object.defineProperty in the
+      // constructor to make them non-writable.
+      'unicorn/no-undeclared-class-members': 'off',
+    },
+  },
+
+  {
+    name: 'synchronous $ref loading',
+    files: ['index.js'],
+    rules: {
+      // Allow reading documents synchronously in the default loadDocument
+      // Reference Objects are resolved synchronously when visited, and each
+      // document is read once per transformation.
+      'n/no-sync': ['error', { ignores: ['readFileSync'] }],
     },
   },
 
@@ -0,0 +1,104 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module "openapi-transformer-base/google-cloud-endpoints-extensions.js"
+ */
+
+'use strict';
+
+const { isArray } = Array;
+
+/** Declarations of the Cloud Endpoints extensions which contain values
+ * transformed by the methods of the mixin, for the <code>extensions</code>
+ * option.
+ *
+ * @private
+ * @type {!Array<{
+ *   name: string,
+ *   type: string,
+ *   ownerTypes: !Array<string>
+ * }>}
+ */
+const extensions = [
+  {
+    name: 'x-google-backend',
+    type: 'GoogleBackend',
+    ownerTypes: ['OpenApi', 'Operation'],
+  },
+  { name: 'x-google-quota', type: 'GoogleQuota', ownerTypes: ['Operation'] },
+];
+
+/** Creates a subclass of a transformer class which declares the {@link
+ * https://cloud.google.com/endpoints/docs/openapi/openapi-extensions
+ * Cloud Endpoints extensions to OpenAPI} and has <code>transformGoogle*</code>
+ * methods which transform their values.
+ *
+ * @example
+ * class MyTransformer
+ *   extends googleCloudEndpointsExtensions(OpenApiTransformerBase) {
+ *   transformGoogleBackend(backend) {
+ *     // ...
+ *   }
+ * }
+ * @param {function(new:module:openapi-transformer-base, !object=)} Base
+ * {@link module:openapi-transformer-base} or a subclass (e.g. {@link
+ * module:"openapi-transformer-base/async.js"}) to extend.
+ * @returns {function(new:module:openapi-transformer-base, !object=)}
+ * Subclass of Base.
+ */
+module.exports =
+function googleCloudEndpointsExtensions(Base) {
+  return class GoogleCloudEndpointsTransformer extends Base {
+    /** Constructs a transformer with given options, which declares the Cloud
+     * Endpoints extensions in addition to <code>options.extensions</code>.
+     *
+     * @param {!object=} options Options for Base.
+     */
+    constructor(options = {}) {
+      super({
+        ...options,
+        extensions: [...options.extensions ?? [], ...extensions],
+      });
+    }
+
+    /** Transforms the {@link
+     * https://cloud.google.com/endpoints/docs/openapi/openapi-extensions#x-google-backend
+     * x-google-backend value} of an OpenAPI or Operation Object.
+     *
+     * @param {!object} backend x-google-backend value.
+     * @returns {!object} Transformed x-google-backend value.
+     */
+    transformGoogleBackend(backend) {
+      if (typeof backend !== 'object'
+        || backend === null
+        || isArray(backend)) {
+        this.addDiagnostic(
+          'NON_OBJECT_GOOGLE_BACKEND',
+          'Ignoring non-object x-google-backend value',
+          backend,
+        );
+      }
+
+      return backend;
+    }
+
+    /** Transforms the {@link
+     * https://cloud.google.com/endpoints/docs/openapi/openapi-extensions#x-google-quota
+     * x-google-quota value} of an Operation Object.
+     *
+     * @param {!object} quota x-google-quota value.
+     * @returns {!object} Transformed x-google-quota value.
+     */
+    transformGoogleQuota(quota) {
+      if (typeof quota !== 'object' || quota === null || isArray(quota)) {
+        this.addDiagnostic(
+          'NON_OBJECT_GOOGLE_QUOTA',
+          'Ignoring non-object x-google-quota value',
+          quota,
+        );
+      }
+
+      return quota;
+    }
+  };
+};
@@ -6,16 +6,88 @@
 
 'use strict';
 
+const { readFileSync } = require('node:fs');
 const { METHODS } = require('node:http');
+const { pathToFileURL } = require('node:url');
 const { debuglog } = require('node:util');
 
+const InvalidOpenApiError = require('./invalid-openapi-error.js');
+const applyShallowSymbol = require('./lib/apply-shallow-symbol.js');
+const applyVisitSymbol = require('./lib/apply-visit-symbol.js');
+const beginTransformSymbol = require('./lib/begin-transform-symbol.js');
+const deferVisitSymbol = require('./lib/defer-visit-symbol.js');
+const finishCopy = require('./lib/finish-copy.js');
+const finishTransformSymbol = require('./lib/finish-transform-symbol.js');
+const fromJsonPointer = require('./lib/from-json-pointer.js');
+const omitRemoved = require('./lib/omit-removed.js');
+const REMOVE = require('./lib/remove-symbol.js');
+const schemaMethodNames = require('./lib/schema-method-names.js');
+const SKIP = require('./lib/skip-symbol.js');
+const STOP = require('./lib/stop-symbol.js');
 const toJsonPointer = require('./lib/to-json-pointer.js');
+const visitExtensions = require('./lib/visit-extensions.js');
+const visitProp = require('./lib/visit-prop.js');
+const whenSettled = require('./lib/when-settled.js');
 const visit = require('./visit.js');
 
 const { isArray } = Array;
 
 const debug = debuglog('openapi-transformer-base');
 
+/** Maximum number of nested visited methods applied at once when the
+ * <code>stackSafe</code> option is true.  Chosen to use a small fraction of
+ * the default V8 stack size, leaving room for overridden methods.
+ *
+ * @private
+ */
+const maxStackSafeDepth = 100;
+
+/** Specification Extensions which contain OpenAPI types and are traversed
+ * by default, as declared by the <code>extensions</code> option of
+ * OpenApiTransformerBase (which takes precedence).
+ *
+ * @private
+ */
+const defaultExtensions = [
+  // https://github.com/Azure/autorest/blob/master/docs/extensions/readme.md
+  {
+    name: 'x-ms-client-name',
+    type: 'MsClientName',
+    ownerTypes: ['Parameter', 'Schema'],
+  },
+  {
+    name: 'x-ms-discriminator-value',
+    type: 'MsDiscriminatorValue',
+    ownerTypes: ['Schema'],
+  },
+  {
+    name: 'x-ms-enum',
+    type: 'MsEnum',
+    ownerTypes: ['Header', 'Items', 'Parameter', 'Schema'],
+  },
+  { name: 'x-ms-examples', type: 'MsExamples', ownerTypes: ['Operation'] },
+  {
+    name: 'x-ms-long-running-operation-options',
+    type: 'MsLongRunningOperationOptions',
+    ownerTypes: ['Operation'],
+  },
+  { name: 'x-ms-pageable', type: 'MsPageable', ownerTypes: ['Operation'] },
+  {
+    name: 'x-ms-parameterized-host',
+    type: 'MsParameterizedHost',
+    ownerTypes: ['OpenApi'],
+  },
+  { name: 'x-ms-paths', type: 'Paths', ownerTypes: ['OpenApi'] },
+];
+
+/** Types of containers of OpenAPI types which Specification Extensions may
+ * be declared to have (i.e. names of transform methods which take a
+ * transform method, without the <code>transform</code> prefix).
+ *
+ * @private
+ */
+const extensionContainers = new Set(['Array', 'Map']);
+
 /** HTTP method names which are properties of a Path Item Object that have
  * Operation Object values.
  *
@@ -23,6 +95,420 @@ const debug = debuglog('openapi-transformer-base');
  */
 const httpMethodSet = new Set(METHODS.map((method) => method.toLowerCase()));
 
+/** Codes of diagnostics which do not indicate a problem with the document,
+ * and are therefore not errors when the <code>strict</code> option is true.
+ *
+ * @private
+ */
+const nonErrorCodes = new Set(['CIRCULAR_REF', 'CYCLIC_VALUE']);
+
+/** Types (as in transformAncestors) of Schema Objects in a particular
+ * location, which visit transformSchema with the same value by default.
+ *
+ * @private
+ */
+const roleSchemaTypes = new Set(Array.from(
+  schemaMethodNames,
+  (methodName) => methodName.slice('transform'.length),
+));
+
+/** OpenAPI versions, as exposed by {@link
+ * OpenApiTransformerBase#openApiVersion}, in which OpenAPI 3 properties are
+ * defined.
+ *
+ * @private
+ */
+const openApi3Versions = ['3.0', '3.1', '3.2'];
+
+/** OpenAPI versions, as exposed by {@link
+ * OpenApiTransformerBase#openApiVersion}, in which properties added in
+ * OpenAPI 3.1 (mostly from JSON Schema 2020-12) are defined.
+ *
+ * @private
+ */
+const openApi31Versions = ['3.1', '3.2'];
+
+/** OpenAPI versions, as exposed by {@link
+ * OpenApiTransformerBase#openApiVersion}, in which OpenAPI 2.0 properties
+ * which were removed in OpenAPI 3 are defined.
+ *
+ * @private
+ */
+const swaggerVersions = ['2.0'];
+
+/** OpenAPI versions in which each Operation Object property of a Path Item
+ * Object is defined.
+ *
+ * @private
+ */
+const operationMethodVersions = new Map([
+  ...['delete', 'get', 'head', 'options', 'patch', 'post', 'put']
+    .map((method) => [method, [...swaggerVersions, ...openApi3Versions]]),
+  ['query', ['3.2']],
+  ['trace', openApi3Versions],
+]);
+
+/** Gets the OpenAPI version declared by an OpenAPI Object.
+ *
+ * @private
+ * @param {!object} openApi OpenAPI Object.
+ * @returns {string|undefined} <code>major.minor</code> version declared by
+ * the <code>swagger</code> or <code>openapi</code> property of openApi, if
+ * it is a supported version, otherwise undefined.
+ */
+function getOpenApiVersion(openApi) {
+  if (openApi.swagger === '2.0') {
+    return '2.0';
+  }
+
+  const { openapi } = openApi;
+  if (typeof openapi === 'string') {
+    const match = /^(3\.[0-2])\.[0-9]+(?:$|[+-])/.exec(openapi);
+    if (match) {
+      return match[1];
+    }
+  }
+
+  return undefined;
+}
+
+/** Determines if a value is a Reference Object (i.e. an object with a string
+ * $ref property).
+ *
+ * @private
+ * @param {*} value Value to check.
+ * @returns {boolean} true if value is a Reference Object, otherwise false.
+ */
+function isRef(value) {
+  return typeof value === 'object'
+    && value !== null
+    && typeof value.$ref === 'string';
+}
+
+/** Determines if one Array of property names is a prefix of another.
+ *
+ * @private
+ * @param {!Array<string>} prefix Property names which may be a prefix.
+ * @param {!Array<string>} propPath Property names to check.
+ * @returns {boolean} true if propPath starts with prefix, otherwise false.
+ */
+function isPropPathPrefix(prefix, propPath) {
+  return prefix.length <= propPath.length
+    && prefix.every((propName, i) => propName === propPath[i]);
+}
+
+/** Gets the value at a given location in a given object.
+ *
+ * @private
+ * @param {*} root Object in which to get the value.
+ * @param {!Array<string>} propPath Property names of the location.
+ * @returns {*} Value at propPath in root, or undefined if not present.
+ */
+function getPropPath(root, propPath) {
+  let value = root;
+  for (const propName of propPath) {
+    if (typeof value !== 'object'
+      || value === null
+      || !Object.hasOwn(value, propName)) {
+      return undefined;
+    }
+
+    value = value[propName];
+  }
+
+  return value;
+}
+
+/** Returns the result of a visited method, or the value it was called on if
+ * the result is {@link module:openapi-transformer-base.SKIP} or
+ * {@link module:openapi-transformer-base.STOP}.
+ *
+ * @private
+ * @template ValueType, TransformedType
+ * @param {ValueType} value First argument of the visited method.
+ * @param {TransformedType} result Result of the visited method.
+ * @returns {ValueType|TransformedType} value if result is SKIP or STOP,
+ * otherwise result.
+ */
+function replaceControlValue(value, result) {
+  return result === SKIP || result === STOP ? value : result;
+}
+
+/** Gets the value which replaces a Reference Object in the transformed
+ * document, given the result of transforming the value it references.
+ *
+ * @private
+ * @param {!object} ref Reference Object.
+ * @param {*} target Value referenced by ref.
+ * @param {*} result Result of transforming target, or a Promise for it.
+ * @returns {*} ref if result is target (i.e. it was unchanged), otherwise
+ * result (or a Promise for either, if result is a Promise).
+ */
+function refIfUnchanged(ref, target, result) {
+  return whenSettled(
+    result,
+    (settled) => (settled === target ? ref : settled),
+  );
+}
+
+/** Determines whether a property name is the name of a transform method.
+ *
+ * @private
+ * @param {string} propName Property name.
+ * @returns {boolean} true if propName starts with <code>transform</code>.
+ */
+function isTransformMethodName(propName) {
+  return propName.startsWith('transform');
+}
+
+/** Copies objects along a path from a transformed object which are
+ * unchanged from the values being transformed.
+ *
+ * @private
+ * @param {!object} root Transformed object, which is modified.
+ * @param {!Array<{key: string, value: *}>} ancestors Entries of
+ * transformAncestors for the values along the path from root.
+ * @returns {*} Value at the end of the path (copied if it was unchanged), or
+ * the first non-object value along the path.
+ */
+function copyAncestors(root, ancestors) {
+  let container = root;
+  for (const ancestor of ancestors) {
+    let child = container[ancestor.key];
+    if (child === ancestor.value) {
+      child = isArray(child) ? [...child] : { ...child };
+      container[ancestor.key] = child;
+    }
+
+    container = child;
+    if (typeof container !== 'object' || container === null) {
+      break;
+    }
+  }
+
+  return container;
+}
+
+/** Compares <code>remove</code> operations of a JSON Patch, such that
+ * operations which remove later Array items are first, so that removing an
+ * item does not change the index of the items removed after it.
+ *
+ * @private
+ * @param {{path: string}} op1 Operation to compare.
+ * @param {{path: string}} op2 Operation to compare.
+ * @returns {number} Negative if op1.path follows op2.path in the document,
+ * positive if it precedes op2.path, otherwise 0.
+ */
+function compareRemoveOps(op1, op2) {
+  const segments1 = op1.path.split('/');
+  const segments2 = op2.path.split('/');
+  const length = Math.min(segments1.length, segments2.length);
+  for (let i = 0; i < length; i += 1) {
+    const segment1 = segments1[i];
+    const segment2 = segments2[i];
+    if (segment1 !== segment2) {
+      if (/^\d+$/.test(segment1) && /^\d+$/.test(segment2)) {
+        return Number(segment2) - Number(segment1);
+      }
+
+      return segment1 < segment2 ? 1 : -1;
+    }
+  }
+
+  return segments2.length - segments1.length;
+}
+
+/** Creates a location for changes recorded for a JSON Patch.
+ *
+ * @private
+ * @returns {!object} Location without children, operation, or result.
+ */
+function createPatchNode() {
+  return { children: undefined, op: undefined };
+}
+
+/** Gets the location of a property in a location for recorded changes,
+ * creating it if necessary.
+ *
+ * @private
+ * @param {!object} node Location for recorded changes.
+ * @param {string} propName Property name.
+ * @returns {!object} Location of propName in node.
+ */
+function getPatchChild(node, propName) {
+  node.children ??= new Map();
+  let child = node.children.get(propName);
+  if (child === undefined) {
+    child = createPatchNode();
+    node.children.set(propName, child);
+  }
+
+  return child;
+}
+
+/** Gets the result recorded for a property in a location for recorded
+ * changes.
+ *
+ * @private
+ * @param {!object} node Location for recorded changes.
+ * @param {string} propName Property name.
+ * @param {*} defaultValue Value to return if no result was recorded.
+ * @returns {*} Result recorded for propName, or defaultValue.
+ */
+function getRecordedResult(node, propName, defaultValue) {
+  const child = node.children?.get(propName);
+  return child !== undefined && Object.hasOwn(child, 'result') ? child.result
+    : defaultValue;
+}
+
+/** Records a JSON Patch operation which changes the value at a location as a
+ * whole, in place of any operations recorded for its children.
+ *
+ * @private
+ * @param {!object} node Location for recorded changes.
+ * @param {{op: string, value: *}} op Operation, without path.
+ */
+function recordPatchOp(node, op) {
+  node.children = undefined;
+  node.op = op;
+  node.result = op.op === 'remove' ? REMOVE : op.value;
+}
+
+/** Records JSON Patch operations which change a value in the OpenAPI
+ * Object into the result of transforming it.
+ *
+ * Operations are recorded for properties of the result which are neither
+ * the value of the property nor the result recorded for it (i.e. by the
+ * visited method for the property), so each change is recorded where the
+ * value was replaced.  Array items are recorded by replacing the Array,
+ * unless each item is the value or the result recorded for it.  Reference
+ * Objects are recorded by replacing them.
+ *
+ * @private
+ * @param {!object} node Location of value in the recorded changes.
+ * @param {*} value Value which was transformed.
+ * @param {*} result Result of transforming value.
+ */
+function recordPatchResult(node, value, result) {
+  if (result === value
+    || (Object.hasOwn(node, 'result') && node.result === result)) {
+    return;
+  }
+
+  if (result === REMOVE) {
+    recordPatchOp(node, { op: 'remove' });
+    return;
+  }
+
+  if (typeof value !== 'object'
+    || value === null
+    || typeof result !== 'object'
+    || result === null
+    || isArray(value) !== isArray(result)
+    || isRef(value)) {
+    recordPatchOp(node, {
+      op: value === undefined ? 'add' : 'replace',
+      value: result,
+    });
+    return;
+  }
+
+  node.result = result;
+
+  if (isArray(value)) {
+    let j = 0;
+    let isRecorded = true;
+    for (const [i, item] of value.entries()) {
+      const itemResult = getRecordedResult(node, String(i), item);
+      if (itemResult !== REMOVE) {
+        if (j >= result.length || result[j] !== itemResult) {
+          isRecorded = false;
+          break;
+        }
+
+        j += 1;
+      }
+    }
+
+    if (!isRecorded || j !== result.length) {
+      recordPatchOp(node, { op: 'replace', value: result });
+    }
+
+    return;
+  }
+
+  for (const [propName, propValue] of Object.entries(value)) {
+    const propResult = Object.hasOwn(result, propName) ? result[propName]
+      : REMOVE;
+    if (propResult !== propValue
+      && getRecordedResult(node, propName, propValue) !== propResult) {
+      recordPatchOp(
+        getPatchChild(node, propName),
+        propResult === REMOVE ? { op: 'remove' }
+          : { op: 'replace', value: propResult },
+      );
+    }
+  }
+
+  for (const [propName, propResult] of Object.entries(result)) {
+    if (!Object.hasOwn(value, propName)) {
+      recordPatchOp(
+        getPatchChild(node, propName),
+        { op: 'add', value: propResult },
+      );
+    }
+  }
+}
+
+/** Gets the JSON Patch operations recorded in a location and its children.
+ *
+ * Operations are in the order their locations were visited, except
+ * <code>remove</code> operations, which are last, ordered such that removing
+ * an Array item does not change the index of the items removed after it.
+ *
+ * @private
+ * @param {!object} root Location of the OpenAPI Object.
+ * @returns {!Array<{op: string, path: string, value: (*|undefined)}>} JSON
+ * Patch operations.
+ */
+function getPatchOps(root) {
+  const ops = [];
+  const removes = [];
+  // Note: Locations are traversed using an explicit stack, rather than
+  // recursively, so that they can be nested to any depth.
+  const stack = [{ node: root, path: '' }];
+  while (stack.length > 0) {
+    const { node, path } = stack.pop();
+    const { children, op } = node;
+    if (op?.op === 'remove') {
+      removes.push({ op: op.op, path });
+    } else if (op !== undefined) {
+      ops.push({ op: op.op, path, value: op.value });
+    } else if (children !== undefined) {
+      const childEntries = [...children];
+      for (let i = childEntries.length - 1; i >= 0; i -= 1) {
+        const [propName, child] = childEntries[i];
+        stack.push({ node: child, path: path + toJsonPointer([propName]) });
+      }
+    }
+  }
+
+  return [...ops, ...removes.toSorted(compareRemoveOps)];
+}
+
+/** Calls a method with a given this value and arguments.
+ *
+ * @private
+ * @template ArgsType, ReturnType
+ * @this {*}
+ * @param {function(...ArgsType): ReturnType} method Method to call.
+ * @param {!Array<ArgsType>} args Arguments to method.
+ * @returns {ReturnType} Result of calling method.
+ */
+function defaultApply(method, args) {
+  return method.apply(this, args);
+}
+
 /** Transforms a value which has type Object<string,ValueType> but is not
  * defined as Map[string,ValueType] in OpenAPI.
  *
@@ -43,11 +529,16 @@ const httpMethodSet = new Set(METHODS.map((method) => method.toLowerCase()));
  * Such properties are copied to the returned object without transformation.
  * @returns {!Object<string,TransformedType>|*} If obj is a Map, a plain object
  * with the same own enumerable string-keyed properties as obj with values
- * returned by transform.  Otherwise, obj is returned unchanged.
+ * returned by transform, or obj if transform returned each value unchanged.
+ * Otherwise, obj is returned unchanged.
  */
 function transformMapLike(obj, transform, logName, skipExtensions) {
   if (typeof obj !== 'object' || obj === null) {
-    this.warn(`Ignoring non-object ${logName}`, obj);
+    this.addDiagnostic(
+      `NON_OBJECT_${logName.toUpperCase().replaceAll(' ', '_')}`,
+      `Ignoring non-object ${logName}`,
+      obj,
+    );
     return obj;
   }
 
@@ -55,69 +546,1590 @@ function transformMapLike(obj, transform, logName, skipExtensions) {
     // Note: This function is only called for values specified as Map[X,Y]
     // in the OpenAPI Specification.  Array values are invalid and it would
     // be unsafe to assume that their contents are type Y.  Return unchanged.
-    this.warn(`Ignoring non-object ${logName}`, obj);
+    this.addDiagnostic(
+      `NON_OBJECT_${logName.toUpperCase().replaceAll(' ', '_')}`,
+      `Ignoring non-object ${logName}`,
+      obj,
+    );
     return obj;
   }
 
-  const newObj = { ...obj };
+  let newObj = obj;
   for (const [propName, propValue] of Object.entries(obj)) {
     if (propValue !== undefined
       && (!skipExtensions || !propName.startsWith('x-'))) {
-      newObj[propName] = visit(this, transform, propName, propValue);
+      newObj = visitProp(this, obj, newObj, propName, transform);
+    }
+  }
+
+  return finishCopy(obj, newObj);
+}
+
+/** Transforms the value of the <code>dependencies</code> keyword of JSON
+ * Schema draft-07 and earlier, which maps property names to either a schema
+ * or an Array of property names.
+ *
+ * @private
+ * @this {!OpenApiTransformerBase}
+ * @param {!Object<string,!object|!Array<string>>|*} dependencies Value of
+ * dependencies keyword.
+ * @returns {!Object<string,!object|!Array<string>>|*} If dependencies is an
+ * object, a plain object with the same own enumerable string-keyed
+ * properties as dependencies with non-Array values transformed by
+ * transformSchema, or dependencies if none were changed.  Otherwise,
+ * dependencies is returned unchanged.
+ */
+function transformDependencies(dependencies) {
+  if (typeof dependencies !== 'object'
+    || dependencies === null
+    || isArray(dependencies)) {
+    this.addDiagnostic(
+      'NON_OBJECT_SCHEMA_DEPENDENCIES',
+      'Ignoring non-object Schema dependencies',
+      dependencies,
+    );
+    return dependencies;
+  }
+
+  let newDependencies = dependencies;
+  for (const [propName, dependency] of Object.entries(dependencies)) {
+    // Array values list required property names, rather than a schema
+    if (dependency !== undefined && !isArray(dependency)) {
+      newDependencies = visitProp(
+        this,
+        dependencies,
+        newDependencies,
+        propName,
+        this.transformSchema,
+      );
+    }
+  }
+
+  return finishCopy(dependencies, newDependencies);
+}
+
+/** Base class for traversing or transforming OpenAPI 2.x or 3.x documents
+ * using a modified visitor design pattern to traverse object types within
+ * the OpenAPI document tree.
+ *
+ * This class uses the following conventions:
+ *
+ * <ul>
+ * <li>Objects passed as arguments are never modified by this class.
+ *   Subclasses are encouraged to maintain this invariant by returning modified
+ *   copies rather than modifying the argument objects.</li>
+ * <li>Transform methods return the object passed as an argument (i.e. a
+ *   value which is <code>===</code> to it) if every visited property value
+ *   was returned unchanged.  A new object is only returned if a property
+ *   value changed.  Therefore, unchanged parts of the document are shared
+ *   with the transformed document, and <code>===</code> can be used to
+ *   determine whether any value beneath an object was changed.  Subclasses
+ *   are encouraged to maintain this invariant by returning the argument
+ *   when they make no changes.</li>
+ * <li>JSON References, if present, are passed to the transform method for
+ *   the type required by their position.  (e.g. a schema $ref is passed to
+ *   {@link #transformSchema}).  If the <code>resolveRefs</code> option is
+ *   true, references to locations in the same document are resolved instead
+ *   (see {@link #constructor}).</li>
+ * <li>Properties which are not defined in the OpenAPI specification are
+ *   preserved in returned objects unchanged. (e.g. <code>x-</code> extension
+ *   properties)</li>
+ * <li>The order that properties are visited is not defined and may change
+ *   in future versions.</li>
+ * <li>By default, the behavior of this class is not conditional on the
+ *   declared OpenAPI version in the document.  It will traverse properties
+ *   which are present, regardless of whether they are specified in the
+ *   declared version.  If the <code>strictVersion</code> option is true,
+ *   only properties specified in the declared version are traversed (see
+ *   {@link #constructor}).</li>
+ * <li>Callers may begin traversal at any point in the document (e.g. by
+ *   calling {@link #transformSchema}
+ *   directly, instead of transitively through {@link #transformOpenApi}).</li>
+ * <li>No validation is performed on the OpenAPI document and every attempt is
+ *   made to handle invalid values gracefully.  Child classes should be
+ *   prepared for arguments with any type or value if the document may not be
+ *   valid.</li>
+ * <li>Minimal effort is made to handle or preserve values which are not
+ *   representable in JSON (e.g. Date, RegExp, non-Object.prototype, Symbol
+ *   and non-enumerable properties, etc.), which are usually treated as generic
+ *   objects.</li>
+ * <li>One exception to the previous point: transform methods are not called on
+ *   <code>undefined</code> values, which are treated like missing properties
+ *   except that they are copied to the transformed object to preserve the
+ *   object shape.</li>
+ * <li>Returned values are added to the transformed object, regardless of value,
+ *   except {@link OpenApiTransformerBase.REMOVE}, which causes the property or
+ *   Array item to be removed.  Therefore, unless overridden, returned objects
+ *   will have the same properties as the original object, some of which may
+ *   be undefined.</li>
+ * <li>Visited methods can return {@link OpenApiTransformerBase.SKIP} to
+ *   leave the value unchanged or {@link OpenApiTransformerBase.STOP} to also
+ *   end the traversal, which is useful for analysis that does not need to
+ *   traverse the whole document.</li>
+ * <li>Subclasses may define <code>enter</code> and <code>leave</code>
+ *   methods for any type of value (e.g. <code>enterOperation</code>,
+ *   <code>leaveSchema</code>) to run code before and after the children of
+ *   each value of that type are transformed, without overriding the
+ *   transform method.  When {@link
+ *   module:"openapi-transformer-base/visit.js"} visits a transform method,
+ *   it adds the property name to {@link #transformPath}, resolves a
+ *   Reference Object argument (if the <code>resolveRefs</code> option is
+ *   true), adds an entry for the value to {@link #transformAncestors}, then
+ *   calls the enter method with the arguments of the transform method (e.g.
+ *   <code>enterOperation(operation)</code>), the transform method, and the
+ *   leave method with the result of the transform method followed by its
+ *   arguments (e.g. <code>leaveOperation(newOperation, operation)</code>),
+ *   before removing the entry and property name.  Their return values are
+ *   ignored.  They are only called when the transform method is called by
+ *   visit (not for direct or <code>super</code> calls, or for
+ *   {@link #transformOpenApi}), and the leave method is only called if the
+ *   transform method returns (or its Promise is fulfilled).</li>
+ * </ul>
+ */
+class OpenApiTransformerBase {
+  /** Value which transform methods can return to remove the value they were
+   * called on from the transformed object or Array which contains it.
+   *
+   * For example, a {@link #transformOperation} which returns
+   * <code>OpenApiTransformerBase.REMOVE</code> removes the method property
+   * from the transformed Path Item Object, and a {@link #transformParameter}
+   * which returns it removes the Parameter Object from the transformed
+   * <code>parameters</code> Array (without leaving a hole).
+   *
+   * @type {symbol}
+   */
+  static REMOVE = REMOVE;
+
+  /** Value which visited methods can return to leave the value they were
+   * called on unchanged.
+   *
+   * A method which returns <code>OpenApiTransformerBase.SKIP</code> without
+   * calling the method it overrides skips the children of the value (e.g. a
+   * {@link #transformOperation} which returns it does not visit the
+   * parameters, responses, or other children of the Operation Object), while
+   * the value is kept in the transformed document.
+   *
+   * @type {symbol}
+   */
+  static SKIP = SKIP;
+
+  /** Value which visited methods can return to leave the value they were
+   * called on unchanged and end the traversal.
+   *
+   * Once a visited method returns <code>OpenApiTransformerBase.STOP</code>,
+   * no further visited methods are called until the next call to
+   * {@link #transformOpenApi}.  Values which have not been visited are kept
+   * unchanged, and values which were already transformed are kept in the
+   * transformed document.  Useful for analysis which can finish before the
+   * whole document is traversed (e.g. finding the first Operation Object
+   * which meets some condition).
+   *
+   * @type {symbol}
+   */
+  static STOP = STOP;
+
+  /** Types of value transformed by the transform methods of this class (as
+   * in {@link #transformAncestors}), by method name.
+   *
+   * @type {!Map<string, string>}
+   */
+  static #methodTypes = new Map(
+    Object.getOwnPropertyNames(OpenApiTransformerBase.prototype)
+      .filter(isTransformMethodName)
+      .map((methodName) => [methodName, methodName.slice('transform'.length)]),
+  );
+
+  /** Names of the methods called before and after each visited transform
+   * method, by the type of value it transforms (as in
+   * {@link #transformAncestors}).
+   *
+   * @type {!Map<string, {enter: string, leave: string}>}
+   */
+  static #hookNames = new Map(
+    Array.from(OpenApiTransformerBase.#methodTypes.values(), (type) => [
+      type,
+      { enter: `enter${type}`, leave: `leave${type}` },
+    ]),
+  );
+
+  /** URI of the OpenAPI Object passed to {@link #transformOpenApi}, without
+   * fragment, if known.
+   *
+   * @type {string|undefined}
+   */
+  #baseUri;
+
+  /** Locations of cyclic values in values being transformed, by the
+   * {@link #transformAncestors} entry of the value (which is the cyclic
+   * value).
+   *
+   * Each location has the {@link #transformAncestors} entries between the
+   * value and the location, and the name of the property at the location.
+   *
+   * @type {!WeakMap<
+   *   !object,
+   *   !Array<{ancestors: !Array<!object>, key: string}>
+   * >}
+   */
+  #cycles = new WeakMap();
+
+  /** Whether deferred visited methods are being applied.
+   *
+   * @type {boolean}
+   */
+  #applyingDeferredVisits = false;
+
+  /** Visited methods deferred until the outermost visited method has been
+   * applied, when the <code>stackSafe</code> option is true.
+   *
+   * @type {!Array<{
+   *   method: function(...*): *,
+   *   args: !Array<*>,
+   *   transformAncestors: !Array<!object>,
+   *   transformPath: !Array<string>,
+   *   transformRefs: !Array<!object>
+   * }>}
+   */
+  #deferredVisits = [];
+
+  /** Diagnostics added by {@link #addDiagnostic} since the most recent call
+   * to {@link #transformOpenApi}.
+   *
+   * @type {!Array<!object>}
+   */
+  #diagnostics = [];
+
+  /** Documents loaded by {@link #loadDocument}, by URI.
+   *
+   * @type {!Map<string, *>}
+   */
+  #documents = new Map();
+
+  /** Declared types of Specification Extensions, by extension name, in
+   * order of precedence.
+   *
+   * @type {!Map<string, !Array<{
+   *   type: string,
+   *   container: (string|undefined),
+   *   ownerTypes: (!Set<string>|undefined)
+   * }>>}
+   */
+  #extensions = new Map();
+
+  /** Results of transform methods on objects, by method, then by the
+   * object passed to the method (and the transform function passed with it,
+   * if any), if the <code>memoize</code> option is true.
+   *
+   * @type {(!Map<
+   *   function(...*): *,
+   *   !WeakMap<!object, !Map<(function(...*): *|undefined), *>>
+   * >|undefined)}
+   */
+  #memo;
+
+  /** Types (as in {@link #transformAncestors}) which are not memoized.
+   *
+   * @type {!Set<string>}
+   */
+  #memoizeExclude;
+
+  /** Function called with each diagnostic, if any.
+   *
+   * @type {(function(!object)|undefined)}
+   */
+  #onDiagnostic;
+
+  /** OpenAPI Object passed to the most recent call to
+   * {@link #transformOpenApi}, against which $refs are resolved.
+   *
+   * @type {*}
+   */
+  #openApi;
+
+  /** Version declared by the OpenAPI Object passed to the most recent call to
+   * {@link #transformOpenApi}.
+   *
+   * @type {string|undefined}
+   */
+  #openApiVersion;
+
+  /** JSON Patch from the OpenAPI Object passed to the most recent call to
+   * {@link #transformOpenApi} to the transformed OpenAPI Object, if the
+   * <code>recordPatch</code> option is true.
+   *
+   * @type {(!Array<!object>|undefined)}
+   */
+  #patch;
+
+  /** Location of the OpenAPI Object in the changes recorded for
+   * {@link #patch} during the most recent call to {@link #transformOpenApi},
+   * if the <code>recordPatch</code> option is true.
+   *
+   * Each location has the locations of its visited properties (by property
+   * name) as <code>children</code>, the value recorded as
+   * <code>result</code> (or {@link OpenApiTransformerBase.REMOVE} if
+   * removed), and the operation which changes it as a whole as
+   * <code>op</code> (without <code>path</code>), in place of any operations
+   * of its children.
+   *
+   * @type {({
+   *   children: (!Map<string, !object>|undefined),
+   *   op: ({op: string, value: *}|undefined),
+   *   result: (*|undefined)
+   * }|undefined)}
+   */
+  #patchRoot;
+
+  /** Whether {@link #patch} is recorded.
+   *
+   * @type {boolean}
+   */
+  #recordPatch;
+
+  /** Whether $refs are resolved and their targets transformed.
+   *
+   * @type {boolean}
+   */
+  #resolveRefs;
+
+  /** Whether a transform method is being applied without applying visited
+   * methods (by the <code>applyShallowSymbol</code> method).
+   *
+   * @type {boolean}
+   */
+  #shallow = false;
+
+  /** Number of nested visited methods currently being applied, when the
+   * <code>stackSafe</code> option is true.
+   *
+   * @type {number}
+   */
+  #stackDepth = 0;
+
+  /** Whether visited methods are deferred when nested too deeply.
+   *
+   * @type {boolean}
+   */
+  #stackSafe;
+
+  /** Whether a visited method returned {@link OpenApiTransformerBase.STOP}
+   * since the most recent call to {@link #transformOpenApi}.
+   *
+   * @type {boolean}
+   */
+  #stopped = false;
+
+  /** Whether diagnostics are errors and, if so, whether they are thrown when
+   * added (<code>true</code>) or together at the end of
+   * {@link #transformOpenApi} (<code>'aggregate'</code>).
+   *
+   * @type {boolean|string}
+   */
+  #strict;
+
+  /** Whether only properties defined in {@link #openApiVersion} are
+   * traversed.
+   *
+   * @type {boolean}
+   */
+  #strictVersion;
+
+  /** Results of transform methods on values in loaded documents, by method,
+   * then by URI of the value.
+   *
+   * @type {!Map<function(...*): *, !Map<string, *>>}
+   */
+  #transformedRefs = new Map();
+
+  /** Constructs an OpenApiTransformerBase with given options.
+   *
+   * If <code>options.resolveRefs</code> is true, when a transform method is
+   * visited with a Reference Object (i.e. an object with a string
+   * <code>$ref</code> property), the <code>$ref</code> is resolved and the
+   * method is called with the referenced value as its first argument and the
+   * Reference Object as its second argument.  If it returns a value other
+   * than the referenced value, that value replaces the Reference Object in
+   * the transformed document.  Otherwise, the Reference Object is kept, so
+   * that a document is only dereferenced where it was changed.  Other
+   * properties of the Reference Object are ignored.  References to
+   * references are followed.
+   *
+   * <code>$ref</code> values which are URI fragments (e.g.
+   * <code>#/components/schemas/Pet</code> or <code>#/definitions/Pet</code>)
+   * are resolved against the OpenAPI Object passed to
+   * {@link #transformOpenApi}, or against the document containing the
+   * Reference Object, if it was loaded.  Other <code>$ref</code> values are
+   * resolved against <code>options.baseUri</code> (default: the current
+   * working directory) or the URI of the loaded document containing the
+   * Reference Object, then loaded using {@link #loadDocument} (which
+   * supports only JSON documents at <code>file:</code> URLs by default).  Each
+   * document is loaded once.  Each value in a loaded document is
+   * transformed once by each method, and the result is reused for any other
+   * Reference Object which refers to it.
+   *
+   * While the referenced value is transformed, {@link #transformPath} is
+   * the location of the value in the document which contains it, and
+   * {@link #transformRefs} includes an entry for each followed reference.
+   *
+   * References which can not be resolved and references to a value which is
+   * currently being transformed (i.e. circular references) are passed to the
+   * transform method unchanged, after calling {@link #addDiagnostic} with the
+   * <code>$ref</code>.
+   *
+   * Objects which contain themselves (i.e. cyclic values, which may be
+   * present in documents dereferenced by other tools) are transformed once.
+   * Where an object is reached again while it is being transformed, the
+   * transform method is not called, {@link #addDiagnostic} is called with
+   * code <code>CYCLIC_VALUE</code>, and the object is replaced by the result
+   * of transforming it, so that the transformed document contains the same
+   * cycle.
+   *
+   * If <code>options.strictVersion</code> is true, properties which are not
+   * defined in the {@link #openApiVersion} of the document are not
+   * traversed.  {@link #addDiagnostic} is called for each such property which
+   * is present.  If the version of the document is not recognized, all
+   * properties are traversed, as if <code>options.strictVersion</code> were
+   * false.
+   *
+   * If <code>options.onDiagnostic</code> is a function, it is called with
+   * each diagnostic added by {@link #addDiagnostic} (e.g. to forward
+   * diagnostics to a logger as they occur).
+   *
+   * If <code>options.strict</code> is true, diagnostics which indicate a
+   * problem with the document (i.e. all diagnostics added by this class
+   * except <code>CIRCULAR_REF</code> and <code>CYCLIC_VALUE</code>) are
+   * errors, rather than warnings, and
+   * {@link #addDiagnostic} throws an {@link
+   * module:"openapi-transformer-base/invalid-openapi-error.js"} for each.
+   * If <code>options.strict</code> is <code>'aggregate'</code>, traversal
+   * continues after errors and {@link #transformOpenApi} throws an
+   * <code>AggregateError</code> with an
+   * {@link module:"openapi-transformer-base/invalid-openapi-error.js"} for
+   * each error once traversal is complete.
+   *
+   * If <code>options.recordPatch</code> is true, {@link #patch} is set to a
+   * JSON Patch describing the changes made by each call to
+   * {@link #transformOpenApi}.
+   *
+   * If <code>options.memoize</code> is true, each object is transformed
+   * once by each visited transform method, and the result is reused
+   * wherever the same object (i.e. a value which is <code>===</code> to it)
+   * is visited by the same method again, until the next call to
+   * {@link #transformOpenApi}.  This preserves the sharing of object
+   * instances (e.g. from YAML aliases) in the transformed document.
+   * Reference Objects passed as additional arguments are not considered
+   * (i.e. referenced values are transformed once, regardless of the
+   * reference), and diagnostics are only added for the first location.
+   * Methods which depend on the location of the value (e.g. using {@link
+   * #transformPath}) can be excluded by passing the types of the values they
+   * transform (as in {@link #transformAncestors}, e.g.
+   * <code>'Operation'</code> for {@link #transformOperation}) in
+   * <code>options.memoizeExclude</code>.  {@link #transformExtension} is not
+   * memoized, since its result depends on the name of the extension.
+   *
+   * If <code>options.extensions</code> is given, it declares
+   * Specification Extensions which contain OpenAPI types, in addition to
+   * those declared by default (the {@link
+   * https://github.com/Azure/autorest/blob/master/docs/extensions/readme.md
+   * AutoRest extensions} with <code>transformMs*</code> methods, and
+   * <code>x-ms-paths</code>), so that their values are traversed by {@link
+   * #transformExtension}.  Each declaration is an object
+   * with the following properties:
+   *
+   * <dl>
+   * <dt><code>name</code></dt>
+   * <dd>Name of the extension property (e.g.
+   *   <code>'x-acme-schemas'</code>).</dd>
+   * <dt><code>type</code></dt>
+   * <dd>Type of the value (i.e. name of the transform method which
+   *   transforms it, without the <code>transform</code> prefix, e.g.
+   *   <code>'Schema'</code>).</dd>
+   * <dt><code>container</code></dt>
+   * <dd><code>'Array'</code> or <code>'Map'</code> if the value is an Array
+   *   or Map of values of <code>type</code> (optional).</dd>
+   * <dt><code>ownerTypes</code></dt>
+   * <dd>Types of the objects on which the extension has this type (e.g.
+   *   <code>['Operation']</code>), or undefined for any type (optional).</dd>
+   * </dl>
+   *
+   * Where several declarations apply to an extension, the first is used.
+   * The extensions of some vendors are declared, with methods to transform
+   * them, by mixins provided by separate modules (e.g. {@link
+   * module:"openapi-transformer-base/aws-api-gateway-extensions.js"} and
+   * {@link
+   * module:"openapi-transformer-base/google-cloud-endpoints-extensions.js"}).
+   *
+   * If <code>options.stackSafe</code> is true, documents can be traversed
+   * regardless of how deeply values are nested (e.g. schemas nested
+   * thousands of levels deep), without exceeding the maximum call stack
+   * size.  When visited methods are nested too deeply, the next visited
+   * method is not applied.  Its argument is returned unchanged (so methods
+   * which visited it see the argument, rather than the transformed value)
+   * and the method is applied after the outermost visited method has
+   * returned, with {@link #transformPath}, {@link #transformAncestors}, and
+   * {@link #transformRefs} restored.  Its result then replaces the argument
+   * in the result of the outermost visited method (or a copy of it, if the
+   * argument was returned unchanged).
+   *
+   * @param {{
+   *   baseUri: (string|!URL|undefined),
+   *   extensions: (!Iterable<{
+   *     name: string,
+   *     type: string,
+   *     container: (string|undefined),
+   *     ownerTypes: (!Iterable<string>|undefined)
+   *   }>|undefined),
+   *   memoize: (boolean|undefined),
+   *   memoizeExclude: (!Iterable<string>|undefined),
+   *   onDiagnostic: (function(!object)|undefined),
+   *   recordPatch: (boolean|undefined),
+   *   resolveRefs: (boolean|undefined),
+   *   stackSafe: (boolean|undefined),
+   *   strict: (boolean|string|undefined),
+   *   strictVersion: (boolean|undefined)
+   * }=} options Options.
+   * @throws {TypeError} If options.onDiagnostic is not a function or
+   * undefined, or an extension declaration has a name which does not start
+   * with <code>x-</code> or an unrecognized type.
+   * @throws {RangeError} If an extension declaration has a container other
+   * than <code>'Array'</code> or <code>'Map'</code>.
+   */
+  constructor(options = {}) {
+    const {
+      baseUri,
+      extensions = [],
+      memoize,
+      memoizeExclude = [],
+      onDiagnostic,
+      recordPatch,
+      resolveRefs,
+      stackSafe,
+      strict,
+      strictVersion,
+    } = options;
+    if (onDiagnostic !== undefined && typeof onDiagnostic !== 'function') {
+      throw new TypeError('onDiagnostic must be a function');
+    }
+
+    for (const declaration of [...extensions, ...defaultExtensions]) {
+      this.#declareExtension(declaration);
+    }
+
+    this.#memo = memoize ? new Map() : undefined;
+    this.#memoizeExclude = new Set(memoizeExclude);
+    this.#onDiagnostic = onDiagnostic;
+    this.#recordPatch = Boolean(recordPatch);
+    this.#resolveRefs = Boolean(resolveRefs);
+    this.#stackSafe = Boolean(stackSafe);
+    this.#strict = strict === 'aggregate' ? strict : Boolean(strict);
+    this.#strictVersion = Boolean(strictVersion);
+    if (baseUri !== undefined) {
+      const baseUrl = new URL(baseUri);
+      baseUrl.hash = '';
+      this.#baseUri = baseUrl.href;
+    }
+
+    // Subclasses may define transformPath and transformRefs as accessors
+    // (e.g. to track them separately for each asynchronous branch of a
+    // traversal).
+    if (!('transformPath' in this)) {
+      /** Property names traversed in current transformation.
+       *
+       * When the <code>resolveRefs</code> option is true and a referenced
+       * value is being transformed, property names from the root of the
+       * document which contains the value.
+       *
+       * @type {!Array<string>}
+       */
+      Object.defineProperty(this, 'transformPath', { value: [] });
+    }
+
+    if (!('transformAncestors' in this)) {
+      /** Values being transformed by visited transform methods, outermost
+       * first.
+       *
+       * Each entry has the following properties:
+       * <dl>
+       * <dt><code>key</code></dt>
+       * <dd>Name of the property containing the value (as added to
+       *   {@link #transformPath} when it was visited).</dd>
+       * <dt><code>value</code></dt>
+       * <dd>The value passed to the transform method (the referenced value,
+       *   if a Reference Object was resolved).</dd>
+       * <dt><code>type</code></dt>
+       * <dd>Name of the transform method without the
+       *   <code>transform</code> prefix (e.g. <code>'Operation'</code> for
+       *   {@link #transformOperation}, <code>'Array'</code> for
+       *   {@link #transformArray}), or undefined if the value was visited
+       *   by another function.</dd>
+       * </dl>
+       *
+       * The last entry is for the value currently being transformed.  Unlike
+       * {@link #transformPath}, entries are not replaced while a referenced
+       * value is transformed when the <code>resolveRefs</code> option is
+       * true.  They describe the values through which the Reference Object
+       * was reached.
+       *
+       * @type {!Array<{key: string, value: *, type: (string|undefined)}>}
+       */
+      Object.defineProperty(this, 'transformAncestors', { value: [] });
+    }
+
+    if (!('transformRefs' in this)) {
+      /** References which were followed to reach the value currently being
+       * transformed, outermost first.
+       *
+       * Each entry has the following properties:
+       * <dl>
+       * <dt><code>$ref</code></dt>
+       * <dd>The <code>$ref</code> value of the followed Reference Object.</dd>
+       * <dt><code>documentUri</code></dt>
+       * <dd>URI (without fragment) of the loaded document containing the
+       *   referenced value, or undefined if it is in the OpenAPI Object
+       *   passed to {@link #transformOpenApi}.</dd>
+       * <dt><code>transformPath</code></dt>
+       * <dd>{@link #transformPath} of the Reference Object.</dd>
+       * </dl>
+       *
+       * Only populated when the <code>resolveRefs</code> option is true.
+       *
+       * @type {!Array<{
+       *   $ref: string,
+       *   documentUri: (string|undefined),
+       *   transformPath: !Array<string>
+       * }>}
+       */
+      Object.defineProperty(this, 'transformRefs', { value: [] });
+    }
+  }
+
+  /** Declares the type of a Specification Extension (after any previous
+   * declarations for the same name).
+   *
+   * @param {{
+   *   name: string,
+   *   type: string,
+   *   container: (string|undefined),
+   *   ownerTypes: (!Iterable<string>|undefined)
+   * }} declaration Extension declaration.
+   * @throws {TypeError} If declaration.name does not start with
+   * <code>x-</code> or declaration.type is not a type with a transform
+   * method.
+   * @throws {RangeError} If declaration.container is not undefined,
+   * <code>'Array'</code>, or <code>'Map'</code>.
+   */
+  #declareExtension(declaration) {
+    const {
+      name,
+      type,
+      container,
+      ownerTypes,
+    } = declaration;
+    if (typeof name !== 'string' || !name.startsWith('x-')) {
+      throw new TypeError(`Extension name must start with x-, got ${name}`);
+    }
+
+    if (typeof type !== 'string'
+      || type === 'Extension'
+      || extensionContainers.has(type)
+      || typeof this[`transform${type}`] !== 'function') {
+      throw new TypeError(`Unrecognized type for ${name}: ${type}`);
+    }
+
+    if (container !== undefined && !extensionContainers.has(container)) {
+      throw new RangeError(
+        `container for ${name} must be 'Array' or 'Map', got ${container}`,
+      );
+    }
+
+    let declarations = this.#extensions.get(name);
+    if (declarations === undefined) {
+      declarations = [];
+      this.#extensions.set(name, declarations);
+    }
+
+    declarations.push({
+      type,
+      container,
+      ownerTypes: ownerTypes === undefined ? undefined : new Set(ownerTypes),
+    });
+  }
+
+  /** Determines whether a property is defined in {@link #openApiVersion}, if
+   * the <code>strictVersion</code> option is true.
+   *
+   * @param {!Array<string>} versions Versions in which the property is
+   * defined.
+   * @param {!object} obj Object being transformed which has the property.
+   * @param {string} propName Name of the property.
+   * @returns {boolean} true if the <code>strictVersion</code> option is
+   * false, {@link #openApiVersion} is undefined, or it is in versions.
+   * Otherwise false, after calling {@link #addDiagnostic} with the value and
+   * location of the property.
+   */
+  #isDefinedIn(versions, obj, propName) {
+    const openApiVersion = this.#openApiVersion;
+    if (openApiVersion === undefined
+      || !this.#strictVersion
+      || versions.includes(openApiVersion)) {
+      return true;
+    }
+
+    const { transformPath } = this;
+    transformPath.push(propName);
+    try {
+      this.addDiagnostic(
+        'PROPERTY_NOT_IN_VERSION',
+        `Ignoring property not defined in OpenAPI ${openApiVersion}`,
+        obj[propName],
+      );
+    } finally {
+      transformPath.pop();
+    }
+
+    return false;
+  }
+
+  /** Determines whether the value at a given location is currently being
+   * transformed.
+   *
+   * @param {string|undefined} documentUri URI of the loaded document
+   * containing the location, or undefined for the OpenAPI Object passed to
+   * {@link #transformOpenApi}.
+   * @param {!Array<string>} propPath Property names of the location in the
+   * document.
+   * @returns {boolean} true if a transform method is currently being called
+   * on the value at propPath in documentUri (or a reference to it), otherwise
+   * false.
+   */
+  #isTransforming(documentUri, propPath) {
+    let refDocumentUri;
+    for (const transformRef of this.transformRefs) {
+      if (refDocumentUri === documentUri
+        && isPropPathPrefix(propPath, transformRef.transformPath)) {
+        return true;
+      }
+
+      refDocumentUri = transformRef.documentUri;
+    }
+
+    return refDocumentUri === documentUri
+      && isPropPathPrefix(propPath, this.transformPath);
+  }
+
+  /** Gets a document which may be referenced by $ref.
+   *
+   * @param {string|undefined} documentUri URI of the document to load, or
+   * undefined for the OpenAPI Object passed to {@link #transformOpenApi}.
+   * @param {string} $ref $ref of the Reference Object (for logging).
+   * @returns {*} The document, or undefined if it could not be loaded.
+   */
+  #getDocument(documentUri, $ref) {
+    if (documentUri === undefined) {
+      return this.#openApi;
+    }
+
+    const documents = this.#documents;
+    if (!documents.has(documentUri)) {
+      let document;
+      try {
+        document = this.loadDocument(new URL(documentUri));
+      } catch (err) {
+        this.addDiagnostic(
+          'UNLOADABLE_REF',
+          'Unable to load $ref',
+          $ref,
+          err,
+        );
+      }
+
+      documents.set(documentUri, document);
+    }
+
+    return documents.get(documentUri);
+  }
+
+  /** Gets the location in the recorded changes for a location in the
+   * OpenAPI Object.
+   *
+   * @param {!Array<string>} propPath Property names of the location.
+   * @returns {(!object|undefined)} Location in {@link #patchRoot}, or
+   * undefined if a value which contains it was recorded as a whole (e.g.
+   * before deferred visited methods changed values in it, with
+   * <code>stackSafe</code>), so changes to it are included in that value.
+   */
+  #getPatchNode(propPath) {
+    let node = this.#patchRoot;
+    for (const propName of propPath) {
+      if (node.op !== undefined) {
+        return undefined;
+      }
+
+      node = getPatchChild(node, propName);
+    }
+
+    return node;
+  }
+
+  /** Records the objects containing a value which were copied to change it
+   * after they were recorded (i.e. to close cycles or apply deferred visited
+   * methods), so that they are not recorded as changed.
+   *
+   * @param {!Array<string>} propPath Property names of the location of root
+   * in the OpenAPI Object.
+   * @param {!object} root Object containing the value.
+   * @param {!Array<{key: string}>} ancestors Entries for the values along the
+   * path from root to the value.
+   */
+  #recordCopies(propPath, root, ancestors) {
+    let node = this.#getPatchNode(propPath);
+    let container = root;
+    for (const { key } of ancestors) {
+      if (node === undefined
+        || typeof container !== 'object'
+        || container === null
+        || node.op !== undefined) {
+        break;
+      }
+
+      container = container[key];
+      node = getPatchChild(node, key);
+      node.result = container;
+    }
+  }
+
+  /** Resolves a $ref in the document currently being transformed.
+   *
+   * @param {string} $ref $ref of the Reference Object to resolve.
+   * @returns {{
+   *   documentUri: (string|undefined),
+   *   propPath: !Array<string>,
+   *   value: *
+   * }|undefined} URI of the document containing the referenced value (or
+   * undefined if it is the OpenAPI Object passed to
+   * {@link #transformOpenApi}), property names of its location in the
+   * document, and the value.  undefined if $ref could not be resolved or
+   * refers to a value currently being transformed.
+   */
+  #resolveRef($ref) {
+    const currentDocumentUri = this.transformRefs.at(-1)?.documentUri;
+    let documentUri, fragment;
+    if ($ref.startsWith('#')) {
+      documentUri = currentDocumentUri;
+      fragment = $ref.slice(1);
+    } else {
+      const baseUri = currentDocumentUri
+        ?? this.#baseUri
+        ?? `${pathToFileURL(process.cwd()).href}/`;
+      let url;
+      try {
+        url = new URL($ref, baseUri);
+      } catch {
+        this.addDiagnostic(
+          'UNRESOLVABLE_REF',
+          'Unable to resolve $ref',
+          $ref,
+        );
+        return undefined;
+      }
+
+      fragment = url.hash.slice(1);
+      url.hash = '';
+      documentUri = url.href === this.#baseUri ? undefined : url.href;
+    }
+
+    let propPath;
+    try {
+      propPath = fromJsonPointer(decodeURIComponent(fragment));
+    } catch {
+      this.addDiagnostic('UNRESOLVABLE_REF', 'Unable to resolve $ref', $ref);
+      return undefined;
+    }
+
+    const document = this.#getDocument(documentUri, $ref);
+    if (document === undefined) {
+      return undefined;
+    }
+
+    const value = getPropPath(document, propPath);
+    if (value === undefined) {
+      this.addDiagnostic('UNRESOLVABLE_REF', 'Unable to resolve $ref', $ref);
+      return undefined;
+    }
+
+    if (this.#isTransforming(documentUri, propPath)) {
+      this.addDiagnostic('CIRCULAR_REF', 'Ignoring circular $ref', $ref);
+      return undefined;
+    }
+
+    return { documentUri, propPath, value };
+  }
+
+  /** Gets the method which transforms the schema of a given Media Type
+   * Object, based on the object which contains it.
+   *
+   * @param {!object} mediaType Media Type Object being transformed.
+   * @returns {function(this:!OpenApiTransformerBase, !object): !object}
+   * Method for the nearest Request Body, Response, Parameter, or Header
+   * Object in {@link #transformAncestors} which contains mediaType, or
+   * {@link #transformSchema} if mediaType is not in one.
+   */
+  #getMediaTypeSchemaTransform(mediaType) {
+    const { transformAncestors } = this;
+    let i = transformAncestors.length - 1;
+    if (transformAncestors[i]?.value === mediaType) {
+      i -= 1;
+    }
+
+    // Skip content Map
+    while (transformAncestors[i]?.type === 'Map') {
+      i -= 1;
+    }
+
+    switch (transformAncestors[i]?.type) {
+      case 'RequestBody': return this.transformRequestBodySchema;
+      case 'Response': return this.transformResponseSchema;
+      case 'Parameter': return this.transformParameterSchema;
+      case 'Header': return this.transformHeaderSchema;
+      default: return this.transformSchema;
+    }
+  }
+
+  /** Replaces cyclic values in the result of transforming a value, which
+   * were not transformed, with the result.
+   *
+   * Objects between the result and each cyclic value which are unchanged
+   * from the value being transformed are copied, so that the value is not
+   * modified.
+   *
+   * @template TransformedType
+   * @param {!object} entry {@link #transformAncestors} entry of the value
+   * which was transformed.
+   * @param {TransformedType} result Result of transforming the value.
+   * @returns {TransformedType} result.
+   */
+  #closeCycles(entry, result) {
+    const cycles = this.#cycles.get(entry);
+    if (cycles === undefined) {
+      return result;
+    }
+
+    this.#cycles.delete(entry);
+
+    // If the value was returned unchanged, it still contains its cycles.
+    if (result === null
+      || typeof result !== 'object'
+      || result === entry.value) {
+      return result;
+    }
+
+    const isRecording =
+      this.#patchRoot !== undefined && this.transformRefs.length === 0;
+    for (const { ancestors, key } of cycles) {
+      const container = copyAncestors(result, ancestors);
+      if (container?.[key] === entry.value) {
+        container[key] = result;
+        if (isRecording) {
+          // Cycles can not be represented in JSON Patch.  Record them as
+          // unchanged.
+          this.#recordCopies(
+            this.transformPath,
+            result,
+            [...ancestors, { key }],
+          );
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /** Gets the type of value transformed by a transform method.
+   *
+   * @param {function(this:!OpenApiTransformerBase, ...*): *} method Method.
+   * @returns {string|undefined} Type of value transformed by method (as in
+   * {@link #transformAncestors}) if it is a transform method of this
+   * transformer, otherwise undefined.
+   */
+  #getMethodType(method) {
+    let methodName = method.name;
+    if (this[methodName] !== method) {
+      // Note: Methods assigned to the instance or prototype (e.g. wrappers)
+      // may not have the name of the property.
+      methodName = [
+        ...Object.getOwnPropertyNames(this),
+        ...OpenApiTransformerBase.#methodTypes.keys(),
+      ].find((propName) => this[propName] === method);
+    }
+
+    if (methodName === undefined || !isTransformMethodName(methodName)) {
+      return undefined;
+    }
+
+    // Note: Transform methods for the types of declared extensions may be
+    // defined by subclasses (e.g. vendor extension mixins).
+    return OpenApiTransformerBase.#methodTypes.get(methodName)
+      ?? methodName.slice('transform'.length);
+  }
+
+  /** Applies a visited method with an entry for its first argument added to
+   * {@link #transformAncestors}, or returns the memoized result of a
+   * previous call with the same arguments, if the <code>memoize</code>
+   * option is true.
+   *
+   * If the first argument is being transformed (i.e. it is a cyclic value),
+   * it is returned without calling the method, then replaced by the result
+   * of transforming it once that is known.
+   *
+   * @template ArgsType, TransformedType
+   * @param {string} key Name of the visited property.
+   * @param {function(this:!OpenApiTransformerBase, ...ArgsType):
+   * TransformedType} method Visited method.
+   * @param {!Array<ArgsType>} args Arguments to method.
+   * @param {function(this:!OpenApiTransformerBase,
+   *   function(this:!OpenApiTransformerBase, ...ArgsType): TransformedType,
+   *   !Array<ArgsType>): TransformedType
+   * } apply Function to call method with args.
+   * @returns {TransformedType} Result of calling method.
+   */
+  #applyAsAncestor(key, method, args, apply) {
+    const type = this.#getMethodType(method);
+
+    // Note: Values of Specification Extensions are checked for cycles and
+    // memoized when visited by the transform method for their declared type
+    // (if any), which may have the same value as the extension.
+    const [value, transform] = args;
+    const { transformAncestors } = this;
+    if (type !== 'Extension' && typeof value === 'object' && value !== null) {
+      const ancestorIndex = transformAncestors.findLastIndex(
+        (ancestor) => ancestor.value === value
+          && ancestor.type !== 'Extension'
+          && !roleSchemaTypes.has(ancestor.type),
+      );
+      if (ancestorIndex !== -1) {
+        const ancestor = transformAncestors[ancestorIndex];
+        let cycles = this.#cycles.get(ancestor);
+        if (cycles === undefined) {
+          cycles = [];
+          this.#cycles.set(ancestor, cycles);
+        }
+
+        cycles.push({
+          ancestors: transformAncestors.slice(ancestorIndex + 1),
+          key,
+        });
+        this.addDiagnostic(
+          'CYCLIC_VALUE',
+          'Using transformed ancestor for cyclic value',
+          value,
+        );
+        return value;
+      }
+    }
+
+    let valueMemo;
+    const memoTransform = typeof transform === 'function' ? transform
+      : undefined;
+    if (type !== 'Extension'
+      && value !== null
+      && typeof value === 'object'
+      && this.#memo
+      && !this.#memoizeExclude.has(type)) {
+      let methodMemo = this.#memo.get(method);
+      if (methodMemo === undefined) {
+        methodMemo = new WeakMap();
+        this.#memo.set(method, methodMemo);
+      }
+
+      valueMemo = methodMemo.get(value);
+      if (valueMemo === undefined) {
+        valueMemo = new Map();
+        methodMemo.set(value, valueMemo);
+      } else if (valueMemo.has(memoTransform)) {
+        return valueMemo.get(memoTransform);
+      }
+    }
+
+    const entry = { key, value, type };
+    transformAncestors.push(entry);
+    try {
+      const result = whenSettled(
+        apply.call(this, method, args),
+        (settled) => this.#closeCycles(entry, settled),
+      );
+      if (valueMemo !== undefined) {
+        valueMemo.set(memoTransform, result);
+      }
+
+      return result;
+    } finally {
+      transformAncestors.pop();
+    }
+  }
+
+  /** Applies visited methods which were deferred while applying the
+   * outermost visited method, and
+   * replaces their first arguments with their results in its result.
+   *
+   * @template TransformedType
+   * @param {number} rootIndex Index of the {@link #transformAncestors} entry
+   * of the outermost visited method.
+   * @param {TransformedType} rootResult Result of the outermost visited
+   * method.
+   * @returns {TransformedType} rootResult, or a copy of it, with the results
+   * of the deferred methods.
+   */
+  #applyDeferredVisits(rootIndex, rootResult) {
+    const { transformAncestors, transformPath, transformRefs } = this;
+    const rootTransformAncestors = [...transformAncestors];
+    const rootTransformPath = [...transformPath];
+    const rootTransformRefs = [...transformRefs];
+    const deferredVisits = this.#deferredVisits;
+    // Containers with REMOVE values, which are omitted once all deferred
+    // methods are applied, so the keys of the other deferred values are
+    // unchanged.
+    const removeContainers = new Set();
+    this.#applyingDeferredVisits = true;
+    try {
+      let result = rootResult;
+      while (deferredVisits.length > 0) {
+        const deferred = deferredVisits.shift();
+        const [value] = deferred.args;
+        const key = deferred.transformPath.at(-1);
+        transformAncestors.splice(
+          0,
+          transformAncestors.length,
+          ...deferred.transformAncestors,
+        );
+        transformPath.splice(
+          0,
+          transformPath.length,
+          ...deferred.transformPath.slice(0, -1),
+        );
+        transformRefs.splice(
+          0,
+          transformRefs.length,
+          ...deferred.transformRefs,
+        );
+        const deferredResult =
+          visit(this, deferred.method, key, ...deferred.args);
+        if (deferredResult === value) {
+          continue;
+        }
+
+        // Copy objects returned unchanged between the result of the
+        // outermost method and the deferred value, which may be shared.
+        const [root, ...ancestors] =
+          deferred.transformAncestors.slice(rootIndex);
+        if (result === root.value) {
+          result = isArray(result) ? [...result] : { ...result };
+        }
+
+        const container = copyAncestors(result, ancestors);
+        if (container?.[key] === value) {
+          container[key] = deferredResult;
+          if (deferredResult === REMOVE) {
+            removeContainers.add(container);
+          }
+
+          // deferredResult was recorded when visited.  Record the objects
+          // which contain it as unchanged.
+          if (this.#patchRoot !== undefined
+            && rootTransformRefs.length === 0) {
+            this.#recordCopies(rootTransformPath, result, ancestors);
+          }
+        }
+      }
+
+      for (const container of removeContainers) {
+        omitRemoved(container);
+      }
+
+      return result;
+    } finally {
+      deferredVisits.length = 0;
+      this.#applyingDeferredVisits = false;
+      transformAncestors.splice(
+        0,
+        transformAncestors.length,
+        ...rootTransformAncestors,
+      );
+      transformPath.splice(0, transformPath.length, ...rootTransformPath);
+      transformRefs.splice(0, transformRefs.length, ...rootTransformRefs);
+    }
+  }
+
+  /** Calls a visited method, unless a visited method returned
+   * {@link OpenApiTransformerBase.STOP}, and ends the traversal if it returns
+   * <code>STOP</code>.
+   *
+   * The enter and leave methods for the type of value the method transforms
+   * (e.g. <code>enterSchema</code> and <code>leaveSchema</code> for
+   * {@link #transformSchema}) are called before and after it, if defined.
+   *
+   * @template ArgsType, TransformedType
+   * @param {function(this:!OpenApiTransformerBase, ...ArgsType):
+   * TransformedType} method Visited method.
+   * @param {!Array<ArgsType>} args Arguments to method.
+   * @returns {TransformedType|symbol} Result of calling method, or
+   * {@link OpenApiTransformerBase.SKIP} if the traversal has ended.
+   */
+  #callUnlessStopped(method, args) {
+    if (this.#stopped) {
+      return SKIP;
+    }
+
+    // Note: The last entry of transformAncestors was added for method by
+    // #applyAsAncestor.
+    const type = this.transformAncestors.at(-1)?.type;
+    const hookNames = type === undefined ? undefined
+      : OpenApiTransformerBase.#hookNames.get(type)
+        ?? { enter: `enter${type}`, leave: `leave${type}` };
+    if (hookNames !== undefined
+      && typeof this[hookNames.enter] === 'function') {
+      this[hookNames.enter](...args);
+    }
+
+    const finish = (value) => {
+      if (value === STOP) {
+        this.#stopped = true;
+      }
+
+      if (hookNames !== undefined
+        && typeof this[hookNames.leave] === 'function') {
+        this[hookNames.leave](value, ...args);
+      }
+
+      return value;
+    };
+    return whenSettled(method.apply(this, args), finish);
+  }
+
+  /** Applies a visited method, or defers it if the <code>stackSafe</code>
+   * option is true and visited methods are nested too deeply.
+   *
+   * @template ArgsType, TransformedType
+   * @param {function(this:!OpenApiTransformerBase, ...ArgsType):
+   * TransformedType} method Visited method.
+   * @param {!Array<ArgsType>} args Arguments to method.
+   * @param {function(this:!OpenApiTransformerBase,
+   *   function(this:!OpenApiTransformerBase, ...ArgsType): TransformedType,
+   *   !Array<ArgsType>): TransformedType
+   * } apply Function to call method with (possibly resolved) arguments.
+   * @returns {TransformedType} Result of calling method.
+   */
+  #applyVisitStackSafe(method, args, apply) {
+    if (!this.#stackSafe) {
+      return this.#applyVisit(method, args, apply);
+    }
+
+    const stackDepth = this.#stackDepth;
+    if (stackDepth >= maxStackSafeDepth) {
+      return this[deferVisitSymbol](method, args);
+    }
+
+    const rootIndex = this.transformAncestors.length;
+    let result;
+    this.#stackDepth = stackDepth + 1;
+    try {
+      result = this.#applyVisit(method, args, apply);
+    } finally {
+      this.#stackDepth = stackDepth;
+    }
+
+    return stackDepth === 0
+      && !this.#applyingDeferredVisits
+      && this.#deferredVisits.length > 0
+      ? this.#applyDeferredVisits(rootIndex, result)
+      : result;
+  }
+
+  /** Applies a visited method, resolving a Reference Object argument if the
+   * <code>resolveRefs</code> option is true.
+   *
+   * @template ArgsType, TransformedType
+   * @param {function(this:!OpenApiTransformerBase, ...ArgsType):
+   * TransformedType} method Visited method.
+   * @param {!Array<ArgsType>} args Arguments to method.
+   * @param {function(this:!OpenApiTransformerBase,
+   *   function(this:!OpenApiTransformerBase, ...ArgsType): TransformedType,
+   *   !Array<ArgsType>): TransformedType
+   * } apply Function to call method with (possibly resolved) arguments.
+   * @returns {TransformedType} Result of calling method.
+   */
+  #applyVisit(method, args, apply) {
+    const ref = args[0];
+    const { transformPath, transformRefs } = this;
+    const key = transformPath.at(-1);
+    // Note: Reference Objects in Specification Extensions are resolved when
+    // visited by the transform method for their declared type, if any.
+    // Reference Objects visited by the method for a Schema Object in a
+    // particular location were resolved (or not) before it was visited.
+    const parent = this.transformAncestors.at(-1);
+    if (!this.#resolveRefs
+      || !isRef(ref)
+      || method === this.transformExtension
+      || (parent?.value === ref && roleSchemaTypes.has(parent.type))) {
+      return this.#applyAsAncestor(key, method, args, apply);
+    }
+
+    const refTransformPath = [...transformPath];
+    const transformRefsLength = transformRefs.length;
+    try {
+      let target = ref;
+      while (isRef(target)) {
+        const { $ref } = target;
+        const resolved = this.#resolveRef($ref);
+        if (resolved === undefined) {
+          break;
+        }
+
+        transformRefs.push({
+          $ref,
+          documentUri: resolved.documentUri,
+          transformPath: [...transformPath],
+        });
+        transformPath.splice(0, transformPath.length, ...resolved.propPath);
+        target = resolved.value;
+      }
+
+      if (target === ref) {
+        return this.#applyAsAncestor(key, method, args, apply);
+      }
+
+      const { documentUri } = transformRefs.at(-1);
+      if (documentUri === undefined) {
+        return refIfUnchanged(
+          ref,
+          target,
+          this.#applyAsAncestor(key, method, [target, ref], apply),
+        );
+      }
+
+      let methodTransformed = this.#transformedRefs.get(method);
+      if (methodTransformed === undefined) {
+        methodTransformed = new Map();
+        this.#transformedRefs.set(method, methodTransformed);
+      }
+
+      const targetUri = `${documentUri}#${toJsonPointer(transformPath)}`;
+      if (!methodTransformed.has(targetUri)) {
+        methodTransformed.set(
+          targetUri,
+          this.#applyAsAncestor(key, method, [target, ref], apply),
+        );
+      }
+
+      return refIfUnchanged(ref, target, methodTransformed.get(targetUri));
+    } finally {
+      transformRefs.length = transformRefsLength;
+      transformPath.splice(0, transformPath.length, ...refTransformPath);
+    }
+  }
+
+  /** Transforms a Schema Object in a particular location (e.g. the schema of
+   * a Response Object) by visiting {@link #transformSchema} with it, so that
+   * enterSchema and leaveSchema are called and its result is memoized as
+   * for other Schema Objects.
+   *
+   * @param {!object} schema Schema Object.
+   * @param {!Array<*>} args Additional arguments to
+   * {@link #transformSchema}.
+   * @returns {!object} Transformed Schema Object.
+   */
+  #visitRoleSchema(schema, args) {
+    // Note: Visited without visit(), since the property which contains schema
+    // is already in transformPath.  When applied by [applyShallowSymbol],
+    // transformSchema is called directly, since visited methods are not.
+    return this.#shallow ? this.transformSchema(schema, ...args)
+      : this[applyVisitSymbol](this.transformSchema, [schema, ...args]);
+  }
+
+  /** Version of the OpenAPI Object passed to the most recent call to
+   * {@link #transformOpenApi}, as <code>major.minor</code> (i.e.
+   * <code>'2.0'</code>, <code>'3.0'</code>, <code>'3.1'</code>, or
+   * <code>'3.2'</code>), or undefined if it declares a version which is not
+   * recognized.
+   *
+   * @type {string|undefined}
+   */
+  get openApiVersion() {
+    return this.#openApiVersion;
+  }
+
+  /** Diagnostics about the document added by {@link #addDiagnostic} during
+   * the most recent call to {@link #transformOpenApi} (and any transform
+   * methods called since), in the order they were added.  The properties of
+   * each diagnostic are described by {@link #addDiagnostic}.
+   *
+   * @type {!Array<{
+   *   code: string,
+   *   severity: string,
+   *   message: string,
+   *   pointer: string,
+   *   documentUri: (string|undefined),
+   *   value: *,
+   *   cause: (*|undefined)
+   * }>}
+   */
+  get diagnostics() {
+    return this.#diagnostics;
+  }
+
+  /** JSON Patch (RFC 6902) which changes the OpenAPI Object passed to the
+   * most recent call to {@link #transformOpenApi} into the transformed
+   * OpenAPI Object, if the <code>recordPatch</code> option is true.
+   *
+   * Operations are recorded during the traversal, where a visited method
+   * returns a value other than its argument.  Properties of the returned
+   * value which are neither the property value of the argument nor the
+   * result recorded for it (by the visited method for the property) are
+   * recorded by <code>add</code>, <code>replace</code>, or
+   * <code>remove</code> operations.  A Reference Object replaced by its
+   * target, or an Array with items which are neither its items nor their
+   * results (e.g. which were reordered or inserted), is recorded by a single
+   * <code>replace</code> operation.  Values removed by returning
+   * {@link OpenApiTransformerBase.REMOVE} are recorded by a
+   * <code>remove</code> operation, after all other operations, in an order
+   * such that removing an Array item does not change the index of items
+   * removed after it.  Operation values are not copied from the transformed
+   * OpenAPI Object.  Cycles are recorded as unchanged.
+   *
+   * @type {(!Array<{
+   *   op: string,
+   *   path: string,
+   *   value: (*|undefined)
+   * }>|undefined)}
+   */
+  get patch() {
+    return this.#patch;
+  }
+
+  /** Whether a visited method returned {@link OpenApiTransformerBase.STOP}
+   * during the most recent call to {@link #transformOpenApi} (or any
+   * visited methods called since), ending the traversal.
+   *
+   * @type {boolean}
+   */
+  get stopped() {
+    return this.#stopped;
+  }
+
+  /** JSON Pointer (RFC 6901) of the value currently being transformed.
+   *
+   * Built from {@link #transformPath}.  Therefore, when the
+   * <code>resolveRefs</code> option is true and a referenced value is being
+   * transformed, it is relative to the document which contains the value
+   * (see {@link #transformRefs}).
+   *
+   * @type {string}
+   */
+  get currentPointer() {
+    return toJsonPointer(this.transformPath);
+  }
+
+  /** Defers applying a visited method until the outermost visited method
+   * has been applied, when the <code>stackSafe</code> option is true and
+   * visited methods are nested too deeply.
+   *
+   * @template ArgsType
+   * @param {function(this:!OpenApiTransformerBase, ...ArgsType): *} method
+   * Visited method.
+   * @param {!Array<ArgsType>} args Arguments to method.
+   * @returns {ArgsType} First argument, which is replaced by the result of
+   * method once the outermost visited method has been applied.
+   */
+  [deferVisitSymbol](method, args) {
+    this.#deferredVisits.push({
+      method,
+      args,
+      transformAncestors: [...this.transformAncestors],
+      transformPath: [...this.transformPath],
+      transformRefs: [...this.transformRefs],
+    });
+    return args[0];
+  }
+
+  /** Applies a visited method, resolving a Reference Object argument if the
+   * <code>resolveRefs</code> option is true, or defers it if the
+   * <code>stackSafe</code> option is true and visited methods are nested too
+   * deeply.
+   *
+   * If the method returns {@link OpenApiTransformerBase.SKIP} or
+   * {@link OpenApiTransformerBase.STOP}, the first argument is returned
+   * instead.  Once a method returns <code>STOP</code>, the first argument is
+   * returned without applying the method.
+   *
+   * @template ArgsType, TransformedType
+   * @param {function(this:!OpenApiTransformerBase, ...ArgsType):
+   * TransformedType} method Visited method.
+   * @param {!Array<ArgsType>} args Arguments to method.
+   * @param {function(this:!OpenApiTransformerBase,
+   *   function(this:!OpenApiTransformerBase, ...ArgsType): TransformedType,
+   *   !Array<ArgsType>): TransformedType=
+   * } apply Function to call method with (possibly resolved) arguments.
+   * Allows subclasses to customize how method is called, after $ref
+   * resolution.
+   * @returns {TransformedType|ArgsType} Result of calling method, or its
+   * first argument.
+   */
+  [applyVisitSymbol](method, args, apply = defaultApply) {
+    const [value] = args;
+    if (this.#shallow || this.#stopped) {
+      return value;
     }
+
+    // Note: Changes are recorded where they are visited in the OpenAPI
+    // Object.  Values in referenced documents are recorded where the
+    // Reference Object is replaced.
+    const patchNode =
+      this.#patchRoot !== undefined && this.transformRefs.length === 0
+        ? this.#getPatchNode(this.transformPath)
+        : undefined;
+    const finishVisit = (settled) => {
+      const newValue = replaceControlValue(value, settled);
+      if (patchNode !== undefined) {
+        recordPatchResult(patchNode, value, newValue);
+      }
+
+      return newValue;
+    };
+
+    // Note: Check for STOP when method is called, rather than when visited,
+    // since subclasses may delay the call (e.g. to limit concurrency).
+    const result = this.#applyVisitStackSafe(
+      method,
+      args,
+      (resolvedMethod, resolvedArgs) => apply.call(
+        this,
+        (...methodArgs) => this.#callUnlessStopped(resolvedMethod, methodArgs),
+        resolvedArgs,
+      ),
+    );
+    return whenSettled(result, finishVisit);
   }
 
-  return newObj;
-}
+  /** Loads a document referenced by a $ref which is not a URI fragment, when
+   * the <code>resolveRefs</code> option is true.
+   *
+   * Only JSON documents at <code>file:</code> URLs are supported by default.
+   * Designed to be overridden and/or reassigned to load documents in other
+   * formats (e.g. YAML) or from other locations.  Must return the document
+   * synchronously, since Reference Objects are resolved when they are
+   * visited.  Each document is loaded at most once by each call to
+   * {@link #transformOpenApi}.
+   *
+   * @param {!URL} url URL of the document to load (without fragment).
+   * @returns {*} Loaded document.
+   * @throws {Error} If the document can not be loaded.
+   */
+  // eslint-disable-next-line class-methods-use-this
+  loadDocument(url) {
+    if (url.protocol !== 'file:') {
+      throw new Error(`Unsupported $ref URL protocol: ${url.protocol}`);
+    }
 
-/** Base class for traversing or transforming OpenAPI 2.x or 3.x documents
- * using a modified visitor design pattern to traverse object types within
- * the OpenAPI document tree.
- *
- * This class uses the following conventions:
- *
- * <ul>
- * <li>Objects passed as arguments are never modified by this class.
- *   Subclasses are encouraged to maintain this invariant by returning modified
- *   copies rather than modifying the argument objects.</li>
- * <li>JSON References, if present, are passed to the transform method for
- *   the type required by their position.  (e.g. a schema $ref is passed to
- *   {@link #transformSchema}).</li>
- * <li>Properties which are not defined in the OpenAPI specification are
- *   preserved in returned objects unchanged. (e.g. <code>x-</code> extension
- *   properties)</li>
- * <li>The order that properties are visited is not defined and may change
- *   in future versions.</li>
- * <li>The behavior of this class is not conditional on the declared OpenAPI
- *   version in the document.  It will traverse properties which are present,
- *   regardless of whether they are specified in the declared version.</li>
- * <li>Callers may begin traversal at any point in the document (e.g. by
- *   calling {@link #transformSchema}
- *   directly, instead of transitively through {@link #transformOpenApi}).</li>
- * <li>No validation is performed on the OpenAPI document and every attempt is
- *   made to handle invalid values gracefully.  Child classes should be
- *   prepared for arguments with any type or value if the document may not be
- *   valid.</li>
- * <li>Minimal effort is made to handle or preserve values which are not
- *   representable in JSON (e.g. Date, RegExp, non-Object.prototype, Symbol
- *   and non-enumerable properties, etc.), which are usually treated as generic
- *   objects.</li>
- * <li>One exception to the previous point: transform methods are not called on
- *   <code>undefined</code> values, which are treated like missing properties
- *   except that they are copied to the transformed object to preserve the
- *   object shape.</li>
- * <li>Returned values are added to the transformed object, regardless of value.
- *   Therefore, unless overridden, returned objects will have the same
- *   properties as the original object, some of which may be undefined.</li>
- * </ul>
- */
-class OpenApiTransformerBase {
-  constructor() {
-    /** Property names traversed in current transformation.
-     *
-     * @type {!Array<string>}
-     */
-    Object.defineProperty(this, 'transformPath', { value: [] });
+    return JSON.parse(readFileSync(url, 'utf8'));
   }
 
   /** Transforms an <code>Array[ValueType]</code> using a given transform
@@ -128,19 +2140,23 @@ class OpenApiTransformerBase {
    * @param {function(this:!OpenApiTransformerBase, ValueType): TransformedType
    * } transform Method which transforms values in arr.
    * @returns {!Array<TransformedType>|*} If arr is an Array, the result of
-   * Array#map(transform).  Otherwise, obj is returned unchanged.
+   * Array#map(transform), or arr if transform returned each value unchanged.
+   * Otherwise, arr is returned unchanged.
    */
   transformArray(arr, transform) {
     if (!isArray(arr)) {
-      this.warn('Ignoring non-Array', arr);
+      this.addDiagnostic('NON_ARRAY', 'Ignoring non-Array', arr);
       return arr;
     }
 
-    return arr.map(
-      (value, i) => (value !== undefined
-        ? visit(this, transform, `${i}`, value)
-        : undefined),
-    );
+    let newArr = arr;
+    for (const [i, value] of arr.entries()) {
+      if (value !== undefined) {
+        newArr = visitProp(this, arr, newArr, String(i), transform);
+      }
+    }
+
+    return finishCopy(arr, newArr);
   }
 
   /** Transforms a <code>Map[string, ValueType]</code> using a given transform
@@ -154,7 +2170,8 @@ class OpenApiTransformerBase {
    * <li>If the first argument is an Array, it is returned unchanged.</li>
    * <li>If the first argument is a non-null object, the returned object will
    * be a new object with prototype Object.prototype and properties matching
-   * the first argument with transformed values.</li>
+   * the first argument with transformed values, unless every value was
+   * returned unchanged, in which case the first argument is returned.</li>
    * </ul>
    *
    * @template ValueType, TransformedType
@@ -163,12 +2180,56 @@ class OpenApiTransformerBase {
    * } transform Method which transforms values in obj.
    * @returns {!Object<string,TransformedType>|*} If obj is a Map, a plain
    * object with the same own enumerable string-keyed properties as obj with
-   * values returned by transform.  Otherwise, obj is returned unchanged.
+   * values returned by transform, or obj if transform returned each value
+   * unchanged.  Otherwise, obj is returned unchanged.
    */
   transformMap(obj, transform) {
     return transformMapLike.call(this, obj, transform, 'Map');
   }
 
+  /** Transforms the value of a {@link
+   * https://github.com/OAI/OpenAPI-Specification/blob/main/versions/3.0.2.md#specificationExtensions
+   * Specification Extension} (i.e. a property starting with "x-") of an
+   * OpenAPI object.
+   *
+   * Called for each extension property of each object passed to a transform
+   * method for an OpenAPI object type (i.e. not Maps, such as
+   * Schema properties or Security Requirement Objects, where properties
+   * starting with "x-" are names).  If the extension is declared (by the
+   * <code>extensions</code> option or by default) to contain an OpenAPI
+   * type on objects of ownerType, the value is visited by the transform
+   * method for that type (without adding to {@link #transformPath} again).
+   * Otherwise, the value is returned unchanged.
+   *
+   * Unlike other transform methods, Reference Objects are not resolved when
+   * visited by this method, since the type of the value is unknown.
+   *
+   * @param {*} extension Value of the extension property.
+   * @param {string} name Name of the extension property.
+   * @param {string} ownerType Type of the object with the extension property
+   * (as in {@link #transformAncestors}, e.g. <code>'Operation'</code>).
+   * @returns {*} Transformed extension value.
+   */
+  transformExtension(extension, name, ownerType) {
+    const declaration = this.#extensions.get(name)?.find(
+      ({ ownerTypes }) => !ownerTypes || ownerTypes.has(ownerType),
+    );
+    if (declaration === undefined) {
+      return extension;
+    }
+
+    // Note: Visited without visit(), since name is already in transformPath
+    // while this method is visited.
+    const method = this[`transform${declaration.type}`];
+    const { container } = declaration;
+    return container === undefined
+      ? this[applyVisitSymbol](method, [extension])
+      : this[applyVisitSymbol](
+        this[`transform${container}`],
+        [extension, method],
+      );
+  }
+
   /** Transforms a {@link
    * https://github.com/OAI/OpenAPI-Specification/blob/master/versions/3.0.2.md#discriminatorObject
    * Discriminator Object}.
@@ -176,9 +2237,11 @@ class OpenApiTransformerBase {
    * @param {!object} discriminator Discriminator Object.
    * @returns {!object} Transformed Discriminator Object.
    */
-  // eslint-disable-next-line class-methods-use-this
   transformDiscriminator(discriminator) {
-    return discriminator;
+    return finishCopy(
+      discriminator,
+      visitExtensions(this, discriminator, discriminator, 'Discriminator'),
+    );
   }
 
   /** Transforms an {@link
@@ -200,9 +2263,11 @@ class OpenApiTransformerBase {
    * @param {!object} example OpenAPI 3.x Example Object.
    * @returns {!object} Transformed Example Object.
    */
-  // eslint-disable-next-line class-methods-use-this
   transformExample3(example) {
-    return example;
+    return finishCopy(
+      example,
+      visitExtensions(this, example, example, 'Example3'),
+    );
   }
 
   /** Transforms an {@link
@@ -212,9 +2277,11 @@ class OpenApiTransformerBase {
    * @param {!object} externalDocs External Documentation Object.
    * @returns {!object} Transformed External Documentation Object.
    */
-  // eslint-disable-next-line class-methods-use-this
   transformExternalDocs(externalDocs) {
-    return externalDocs;
+    return finishCopy(
+      externalDocs,
+      visitExtensions(this, externalDocs, externalDocs, 'ExternalDocs'),
+    );
   }
 
   /** Transforms an {@link
@@ -224,9 +2291,8 @@ class OpenApiTransformerBase {
    * @param {!object} xml XML Object.
    * @returns {!object} Transformed XML Object.
    */
-  // eslint-disable-next-line class-methods-use-this
   transformXml(xml) {
-    return xml;
+    return finishCopy(xml, visitExtensions(this, xml, xml, 'Xml'));
   }
 
   /** Transforms a {@link
@@ -247,20 +2313,29 @@ class OpenApiTransformerBase {
       // with true equivalent to {} and false equivalent to {not:{}}
       // https://json-schema.org/draft/2020-12/json-schema-core.html#rfc.section.4.3.2
       if (typeof schema !== 'boolean') {
-        this.warn('Ignoring non-object Schema', schema);
+        this.addDiagnostic(
+          'NON_OBJECT_SCHEMA',
+          'Ignoring non-object Schema',
+          schema,
+        );
       }
 
       return schema;
     }
 
-    const newSchema = { ...schema };
+    let newSchema = schema;
     const {
+      $defs,
       contains,
+      contentSchema,
+      definitions,
+      dependencies,
       dependentSchemas,
       discriminator,
       externalDocs,
       items,
       patternProperties,
+      prefixItems,
       properties,
       propertyNames,
       unevaluatedItems,
@@ -269,83 +2344,127 @@ class OpenApiTransformerBase {
     } = schema;
 
     if (discriminator !== undefined) {
-      newSchema.discriminator = visit(
+      newSchema = visitProp(
         this,
-        this.transformDiscriminator,
+        schema,
+        newSchema,
         'discriminator',
-        discriminator,
+        this.transformDiscriminator,
       );
     }
 
     if (externalDocs !== undefined) {
-      newSchema.externalDocs = visit(
+      newSchema = visitProp(
         this,
-        this.transformExternalDocs,
+        schema,
+        newSchema,
         'externalDocs',
-        externalDocs,
+        this.transformExternalDocs,
       );
     }
 
     if (xml !== undefined) {
-      newSchema.xml = visit(this, this.transformXml, 'xml', xml);
+      newSchema = visitProp(this, schema, newSchema, 'xml', this.transformXml);
     }
 
     if (items !== undefined) {
       // Note: OpenAPI 3.0 disallows Arrays, 2.0 and 3.1 drafts allow it
       if (isArray(items)) {
-        newSchema.items = this.transformArray(items, this.transformSchema);
+        newSchema = visitProp(
+          this,
+          schema,
+          newSchema,
+          'items',
+          this.transformArray,
+          this.transformSchema,
+        );
       } else {
-        newSchema.items = visit(this, this.transformSchema, 'items', items);
+        newSchema = visitProp(
+          this,
+          schema,
+          newSchema,
+          'items',
+          this.transformSchema,
+        );
       }
     }
 
+    if (prefixItems !== undefined
+      && this.#isDefinedIn(openApi31Versions, schema, 'prefixItems')) {
+      newSchema = visitProp(
+        this,
+        schema,
+        newSchema,
+        'prefixItems',
+        this.transformArray,
+        this.transformSchema,
+      );
+    }
+
     for (const schemaProp of ['if', 'then', 'else', 'not']) {
       const subSchema = schema[schemaProp];
-      if (subSchema !== undefined) {
-        newSchema[schemaProp] = visit(
+      if (subSchema !== undefined
+        && this.#isDefinedIn(
+          schemaProp === 'not' ? openApi3Versions : openApi31Versions,
+          schema,
+          schemaProp,
+        )) {
+        newSchema = visitProp(
           this,
+          schema,
+          newSchema,
+          schemaProp,
           this.transformSchema,
-          'subSchema',
-          subSchema,
         );
       }
     }
 
     if (properties !== undefined) {
-      newSchema.properties = visit(
+      newSchema = visitProp(
         this,
-        this.transformSchemaProperties,
+        schema,
+        newSchema,
         'properties',
-        properties,
+        this.transformSchemaProperties,
       );
     }
 
-    if (patternProperties !== undefined) {
-      newSchema.patternProperties = visit(
+    if (patternProperties !== undefined
+      && this.#isDefinedIn(openApi31Versions, schema, 'patternProperties')) {
+      newSchema = visitProp(
         this,
-        transformMapLike,
+        schema,
+        newSchema,
         'patternProperties',
-        patternProperties,
+        transformMapLike,
         this.transformSchema,
         'Schema',
       );
     }
 
-    if (unevaluatedProperties !== undefined) {
-      newSchema.unevaluatedProperties = visit(
+    if (unevaluatedProperties !== undefined
+      && this.#isDefinedIn(
+        openApi31Versions,
+        schema,
+        'unevaluatedProperties',
+      )) {
+      newSchema = visitProp(
         this,
-        this.transformSchema,
+        schema,
+        newSchema,
         'unevaluatedProperties',
-        unevaluatedProperties,
+        this.transformSchema,
       );
     }
 
-    if (propertyNames !== undefined) {
-      newSchema.propertyNames = visit(
+    if (propertyNames !== undefined
+      && this.#isDefinedIn(openApi31Versions, schema, 'propertyNames')) {
+      newSchema = visitProp(
         this,
-        this.transformSchema,
+        schema,
+        newSchema,
         'propertyNames',
-        propertyNames,
+        this.transformSchema,
       );
     }
 
@@ -356,49 +2475,121 @@ class OpenApiTransformerBase {
     // so they are now passed to transformSchema.
     for (const schemaProp of ['additionalItems', 'additionalProperties']) {
       const additionalItemsProps = schema[schemaProp];
-      if (additionalItemsProps !== undefined) {
-        newSchema[schemaProp] = visit(
+      if (additionalItemsProps !== undefined
+        && (schemaProp === 'additionalProperties'
+          || this.#isDefinedIn(openApi31Versions, schema, schemaProp))) {
+        newSchema = visitProp(
           this,
-          this.transformSchema,
+          schema,
+          newSchema,
           schemaProp,
-          additionalItemsProps,
+          this.transformSchema,
         );
       }
     }
 
-    if (unevaluatedItems !== undefined) {
-      newSchema.unevaluatedItems =
-        visit(this, this.transformSchema, 'unevaluatedItems', unevaluatedItems);
+    if (unevaluatedItems !== undefined
+      && this.#isDefinedIn(openApi31Versions, schema, 'unevaluatedItems')) {
+      newSchema = visitProp(
+        this,
+        schema,
+        newSchema,
+        'unevaluatedItems',
+        this.transformSchema,
+      );
     }
 
-    if (dependentSchemas !== undefined) {
-      newSchema.dependentSchemas = visit(
+    if (dependentSchemas !== undefined
+      && this.#isDefinedIn(openApi31Versions, schema, 'dependentSchemas')) {
+      newSchema = visitProp(
         this,
-        transformMapLike,
+        schema,
+        newSchema,
         'dependentSchemas',
-        dependentSchemas,
+        transformMapLike,
         this.transformSchema,
         'Schema',
       );
     }
 
-    if (contains !== undefined) {
-      newSchema.contains = visit(
+    // Note: dependentRequired is not traversed, since its values are Arrays
+    // of property names, rather than schemas.
+
+    // Note: dependencies was split into dependentSchemas and
+    // dependentRequired in JSON Schema 2019-09.  It is traversed for schemas
+    // which use an earlier dialect.
+    if (dependencies !== undefined
+      && this.#isDefinedIn(openApi31Versions, schema, 'dependencies')) {
+      newSchema = visitProp(
         this,
-        this.transformSchema,
+        schema,
+        newSchema,
+        'dependencies',
+        transformDependencies,
+      );
+    }
+
+    if (contains !== undefined
+      && this.#isDefinedIn(openApi31Versions, schema, 'contains')) {
+      newSchema = visitProp(
+        this,
+        schema,
+        newSchema,
         'contains',
-        contains,
+        this.transformSchema,
+      );
+    }
+
+    if (contentSchema !== undefined
+      && this.#isDefinedIn(openApi31Versions, schema, 'contentSchema')) {
+      newSchema = visitProp(
+        this,
+        schema,
+        newSchema,
+        'contentSchema',
+        this.transformSchema,
+      );
+    }
+
+    if ($defs !== undefined
+      && this.#isDefinedIn(openApi31Versions, schema, '$defs')) {
+      newSchema = visitProp(
+        this,
+        schema,
+        newSchema,
+        '$defs',
+        transformMapLike,
+        this.transformSchema,
+        'Schema',
+      );
+    }
+
+    // Note: definitions was renamed to $defs in JSON Schema 2019-09.  It is
+    // traversed for schemas which use an earlier dialect.
+    if (definitions !== undefined
+      && this.#isDefinedIn(openApi31Versions, schema, 'definitions')) {
+      newSchema = visitProp(
+        this,
+        schema,
+        newSchema,
+        'definitions',
+        transformMapLike,
+        this.transformSchema,
+        'Schema',
       );
     }
 
     for (const schemaProp of ['allOf', 'anyOf', 'oneOf']) {
       const subSchemas = schema[schemaProp];
-      if (subSchemas !== undefined) {
-        newSchema[schemaProp] = visit(
+      if (subSchemas !== undefined
+        && (schemaProp === 'allOf'
+          || this.#isDefinedIn(openApi3Versions, schema, schemaProp))) {
+        newSchema = visitProp(
           this,
-          this.transformArray,
+          schema,
+          newSchema,
           schemaProp,
-          subSchemas,
+          this.transformArray,
           this.transformSchema,
         );
       }
@@ -408,7 +2599,8 @@ class OpenApiTransformerBase {
     // Schema, and is therefore not suitable for any transformExample* method.
     // See https://github.com/OAI/OpenAPI-Specification/issues/2094
 
-    return newSchema;
+    newSchema = visitExtensions(this, schema, newSchema, 'Schema');
+    return finishCopy(schema, newSchema);
   }
 
   /** Transforms {@link
@@ -427,6 +2619,87 @@ class OpenApiTransformerBase {
     );
   }
 
+  /** Transforms the {@link
+   * https://github.com/OAI/OpenAPI-Specification/blob/master/versions/3.0.2.md#schemaObject
+   * Schema Object} which describes a request body (i.e. the schema of a
+   * {@link
+   * https://github.com/OAI/OpenAPI-Specification/blob/master/versions/3.0.2.md#mediaTypeObject
+   * Media Type Object} in a Request Body Object, or of an OpenAPI 2.0
+   * Parameter Object with <code>in: 'body'</code>).
+   *
+   * Calls {@link #transformSchema} by default.  Designed to be overridden to
+   * transform request schemas differently from other schemas (e.g. to remove
+   * <code>readOnly</code> properties).
+   *
+   * @param {!object} schema Schema Object.
+   * @param {...*} args Additional arguments to pass to
+   * {@link #transformSchema} (e.g. the Reference Object, if schema was
+   * resolved from one).
+   * @returns {!object} Transformed Schema Object.
+   */
+  transformRequestBodySchema(schema, ...args) {
+    return this.#visitRoleSchema(schema, args);
+  }
+
+  /** Transforms the {@link
+   * https://github.com/OAI/OpenAPI-Specification/blob/master/versions/3.0.2.md#schemaObject
+   * Schema Object} which describes a response body (i.e. the schema of a
+   * {@link
+   * https://github.com/OAI/OpenAPI-Specification/blob/master/versions/3.0.2.md#mediaTypeObject
+   * Media Type Object} in a Response Object, or of an OpenAPI 2.0 Response
+   * Object).
+   *
+   * Calls {@link #transformSchema} by default.  Designed to be overridden to
+   * transform response schemas differently from other schemas (e.g. to
+   * remove <code>writeOnly</code> properties).
+   *
+   * @param {!object} schema Schema Object.
+   * @param {...*} args Additional arguments to pass to
+   * {@link #transformSchema} (e.g. the Reference Object, if schema was
+   * resolved from one).
+   * @returns {!object} Transformed Schema Object.
+   */
+  transformResponseSchema(schema, ...args) {
+    return this.#visitRoleSchema(schema, args);
+  }
+
+  /** Transforms the {@link
+   * https://github.com/OAI/OpenAPI-Specification/blob/master/versions/3.0.2.md#schemaObject
+   * Schema Object} of a {@link
+   * https://github.com/OAI/OpenAPI-Specification/blob/master/versions/3.0.2.md#parameterObject
+   * Parameter Object} (or of a Media Type Object in its
+   * <code>content</code>), except OpenAPI 2.0 body parameters.
+   *
+   * Calls {@link #transformSchema} by default.
+   *
+   * @param {!object} schema Schema Object.
+   * @param {...*} args Additional arguments to pass to
+   * {@link #transformSchema} (e.g. the Reference Object, if schema was
+   * resolved from one).
+   * @returns {!object} Transformed Schema Object.
+   */
+  transformParameterSchema(schema, ...args) {
+    return this.#visitRoleSchema(schema, args);
+  }
+
+  /** Transforms the {@link
+   * https://github.com/OAI/OpenAPI-Specification/blob/master/versions/3.0.2.md#schemaObject
+   * Schema Object} of a {@link
+   * https://github.com/OAI/OpenAPI-Specification/blob/master/versions/3.0.2.md#headerObject
+   * Header Object} (or of a Media Type Object in its <code>content</code>).
+   *
+   * Calls {@link #transformSchema} by default.
+   *
+   * @param {!object} schema Schema Object.
+   * @param {...*} args Additional arguments to pass to
+   * {@link #transformSchema} (e.g. the Reference Object, if schema was
+   * resolved from one).
+   * @returns {!object} Transformed Schema Object.
+   */
+  transformHeaderSchema(schema, ...args) {
+    return this.#visitRoleSchema(schema, args);
+  }
+
   /** Transforms an {@link
    * https://github.com/OAI/OpenAPI-Specification/blob/master/versions/2.0.md#itemsObject
    * Items Object}.
@@ -439,18 +2712,27 @@ class OpenApiTransformerBase {
    */
   transformItems(items) {
     if (typeof items !== 'object' || items === null || isArray(items)) {
-      this.warn('Ignoring non-object Items', items);
+      this.addDiagnostic(
+        'NON_OBJECT_ITEMS',
+        'Ignoring non-object Items',
+        items,
+      );
       return items;
     }
 
-    if (items.items === undefined) {
-      return items;
+    let newItems = items;
+    if (items.items !== undefined) {
+      newItems = visitProp(
+        this,
+        items,
+        newItems,
+        'items',
+        this.transformItems,
+      );
     }
 
-    return {
-      ...items,
-      items: visit(this, this.transformItems, 'items', items.items),
-    };
+    newItems = visitExtensions(this, items, newItems, 'Items');
+    return finishCopy(items, newItems);
   }
 
   /** Transforms a {@link
@@ -464,26 +2746,40 @@ class OpenApiTransformerBase {
     if (typeof header !== 'object'
       || header === null
       || isArray(header)) {
-      this.warn('Ignoring non-object Header', header);
+      this.addDiagnostic(
+        'NON_OBJECT_HEADER',
+        'Ignoring non-object Header',
+        header,
+      );
       return header;
     }
 
-    const newHeader = { ...header };
+    let newHeader = header;
 
-    if (header.items !== undefined) {
-      newHeader.items = visit(this, this.transformItems, 'items', header.items);
+    if (header.items !== undefined
+      && this.#isDefinedIn(swaggerVersions, header, 'items')) {
+      newHeader = visitProp(
+        this,
+        header,
+        newHeader,
+        'items',
+        this.transformItems,
+      );
     }
 
-    if (header.schema !== undefined) {
-      newHeader.schema = visit(
+    if (header.schema !== undefined
+      && this.#isDefinedIn(openApi3Versions, header, 'schema')) {
+      newHeader = visitProp(
         this,
-        this.transformSchema,
+        header,
+        newHeader,
         'schema',
-        header.schema,
+        this.transformHeaderSchema,
       );
     }
 
-    return newHeader;
+    newHeader = visitExtensions(this, header, newHeader, 'Header');
+    return finishCopy(header, newHeader);
   }
 
   /** Transforms a {@link
@@ -497,24 +2793,28 @@ class OpenApiTransformerBase {
     if (typeof encoding !== 'object'
       || encoding === null
       || isArray(encoding)) {
-      this.warn('Ignoring non-object Encoding', encoding);
-      return encoding;
-    }
-
-    if (encoding.headers === undefined) {
+      this.addDiagnostic(
+        'NON_OBJECT_ENCODING',
+        'Ignoring non-object Encoding',
+        encoding,
+      );
       return encoding;
     }
 
-    return {
-      ...encoding,
-      headers: visit(
+    let newEncoding = encoding;
+    if (encoding.headers !== undefined) {
+      newEncoding = visitProp(
         this,
-        this.transformMap,
+        encoding,
+        newEncoding,
         'headers',
-        encoding.headers,
+        this.transformMap,
         this.transformHeader,
-      ),
-    };
+      );
+    }
+
+    newEncoding = visitExtensions(this, encoding, newEncoding, 'Encoding');
+    return finishCopy(encoding, newEncoding);
   }
 
   /** Transforms an {@link
@@ -528,18 +2828,23 @@ class OpenApiTransformerBase {
     if (typeof link !== 'object'
       || link === null
       || isArray(link)) {
-      this.warn('Ignoring non-object Link', link);
+      this.addDiagnostic('NON_OBJECT_LINK', 'Ignoring non-object Link', link);
       return link;
     }
 
-    if (link.server === undefined) {
-      return link;
+    let newLink = link;
+    if (link.server !== undefined) {
+      newLink = visitProp(
+        this,
+        link,
+        newLink,
+        'server',
+        this.transformServer,
+      );
     }
 
-    return {
-      ...link,
-      server: visit(this, this.transformServer, 'server', link.server),
-    };
+    newLink = visitExtensions(this, link, newLink, 'Link');
+    return finishCopy(link, newLink);
   }
 
   /** Transforms a {@link
@@ -553,42 +2858,50 @@ class OpenApiTransformerBase {
     if (typeof mediaType !== 'object'
       || mediaType === null
       || isArray(mediaType)) {
-      this.warn('Ignoring non-object Media Type', mediaType);
+      this.addDiagnostic(
+        'NON_OBJECT_MEDIA_TYPE',
+        'Ignoring non-object Media Type',
+        mediaType,
+      );
       return mediaType;
     }
 
-    const newMediaType = { ...mediaType };
+    let newMediaType = mediaType;
 
     if (mediaType.schema !== undefined) {
-      newMediaType.schema = visit(
+      newMediaType = visitProp(
         this,
-        this.transformSchema,
+        mediaType,
+        newMediaType,
         'schema',
-        mediaType.schema,
+        this.#getMediaTypeSchemaTransform(mediaType),
       );
     }
 
     if (mediaType.examples !== undefined) {
-      newMediaType.examples = visit(
+      newMediaType = visitProp(
         this,
-        this.transformMap,
+        mediaType,
+        newMediaType,
         'examples',
-        mediaType.examples,
+        this.transformMap,
         this.transformExample3,
       );
     }
 
     if (mediaType.encoding !== undefined) {
-      newMediaType.encoding = visit(
+      newMediaType = visitProp(
         this,
-        this.transformMap,
+        mediaType,
+        newMediaType,
         'encoding',
-        mediaType.encoding,
+        this.transformMap,
         this.transformEncoding,
       );
     }
 
-    return newMediaType;
+    newMediaType = visitExtensions(this, mediaType, newMediaType, 'MediaType');
+    return finishCopy(mediaType, newMediaType);
   }
 
   /** Transforms a {@link
@@ -602,61 +2915,75 @@ class OpenApiTransformerBase {
     if (typeof response !== 'object'
       || response === null
       || isArray(response)) {
-      this.warn('Ignoring non-object Response', response);
+      this.addDiagnostic(
+        'NON_OBJECT_RESPONSE',
+        'Ignoring non-object Response',
+        response,
+      );
       return response;
     }
 
-    const newResponse = { ...response };
+    let newResponse = response;
 
     if (response.headers !== undefined) {
-      newResponse.headers = visit(
+      newResponse = visitProp(
         this,
-        this.transformMap,
+        response,
+        newResponse,
         'headers',
-        response.headers,
+        this.transformMap,
         this.transformHeader,
       );
     }
 
-    if (response.content !== undefined) {
-      newResponse.content = visit(
+    if (response.content !== undefined
+      && this.#isDefinedIn(openApi3Versions, response, 'content')) {
+      newResponse = visitProp(
         this,
-        this.transformMap,
+        response,
+        newResponse,
         'content',
-        response.content,
+        this.transformMap,
         this.transformMediaType,
       );
     }
 
-    if (response.links !== undefined) {
-      newResponse.links = visit(
+    if (response.links !== undefined
+      && this.#isDefinedIn(openApi3Versions, response, 'links')) {
+      newResponse = visitProp(
         this,
-        this.transformMap,
+        response,
+        newResponse,
         'links',
-        response.links,
+        this.transformMap,
         this.transformLink,
       );
     }
 
-    if (response.schema !== undefined) {
-      newResponse.schema = visit(
+    if (response.schema !== undefined
+      && this.#isDefinedIn(swaggerVersions, response, 'schema')) {
+      newResponse = visitProp(
         this,
-        this.transformSchema,
+        response,
+        newResponse,
         'schema',
-        response.schema,
+        this.transformResponseSchema,
       );
     }
 
-    if (response.examples !== undefined) {
-      newResponse.examples = visit(
+    if (response.examples !== undefined
+      && this.#isDefinedIn(swaggerVersions, response, 'examples')) {
+      newResponse = visitProp(
         this,
-        this.transformExample,
+        response,
+        newResponse,
         'examples',
-        response.examples,
+        this.transformExample,
       );
     }
 
-    return newResponse;
+    newResponse = visitExtensions(this, response, newResponse, 'Response');
+    return finishCopy(response, newResponse);
   }
 
   /** Transforms a {@link
@@ -673,51 +3000,64 @@ class OpenApiTransformerBase {
     if (typeof parameter !== 'object'
       || parameter === null
       || isArray(parameter)) {
-      this.warn('Ignoring non-object Parameter', parameter);
+      this.addDiagnostic(
+        'NON_OBJECT_PARAMETER',
+        'Ignoring non-object Parameter',
+        parameter,
+      );
       return parameter;
     }
 
-    const newParameter = { ...parameter };
+    let newParameter = parameter;
 
-    if (parameter.content !== undefined) {
-      newParameter.content = visit(
+    if (parameter.content !== undefined
+      && this.#isDefinedIn(openApi3Versions, parameter, 'content')) {
+      newParameter = visitProp(
         this,
-        this.transformMap,
+        parameter,
+        newParameter,
         'content',
-        parameter.content,
+        this.transformMap,
         this.transformMediaType,
       );
     }
 
     if (parameter.schema !== undefined) {
-      newParameter.schema = visit(
+      newParameter = visitProp(
         this,
-        this.transformSchema,
+        parameter,
+        newParameter,
         'schema',
-        parameter.schema,
+        parameter.in === 'body' ? this.transformRequestBodySchema
+          : this.transformParameterSchema,
       );
     }
 
-    if (parameter.items !== undefined) {
-      newParameter.items = visit(
+    if (parameter.items !== undefined
+      && this.#isDefinedIn(swaggerVersions, parameter, 'items')) {
+      newParameter = visitProp(
         this,
-        this.transformItems,
+        parameter,
+        newParameter,
         'items',
-        parameter.items,
+        this.transformItems,
       );
     }
 
-    if (parameter.examples !== undefined) {
-      newParameter.examples = visit(
+    if (parameter.examples !== undefined
+      && this.#isDefinedIn(openApi3Versions, parameter, 'examples')) {
+      newParameter = visitProp(
         this,
-        this.transformMap,
+        parameter,
+        newParameter,
         'examples',
-        parameter.examples,
+        this.transformMap,
         this.transformExample3,
       );
     }
 
-    return newParameter;
+    newParameter = visitExtensions(this, parameter, newParameter, 'Parameter');
+    return finishCopy(parameter, newParameter);
   }
 
   /** Transforms a {@link
@@ -729,12 +3069,16 @@ class OpenApiTransformerBase {
    */
   transformResponses(responses) {
     if (!responses || typeof responses !== 'object' || isArray(responses)) {
-      this.warn('Ignoring non-object Responses', responses);
+      this.addDiagnostic(
+        'NON_OBJECT_RESPONSES',
+        'Ignoring non-object Responses',
+        responses,
+      );
       return responses;
     }
 
-    const newResponses = { ...responses };
-    for (const prop of Object.keys(responses)) {
+    let newResponses = responses;
+    for (const [prop, response] of Object.entries(responses)) {
       // Only "default", HTTP response codes, and HTTP response code patterns
       // are defined to contain Response Object.  Other properties may be
       // extensions or defined as something else in future OpenAPI versions.
@@ -745,21 +3089,26 @@ class OpenApiTransformerBase {
       // Although lowercase and single x are not valid, the risk of being
       // anything other than a response object is low enough to justify.
       if (prop === 'default' || /^[1-5][0-9Xx][0-9Xx]$/.test(prop)) {
-        const response = responses[prop];
         if (response !== undefined) {
-          newResponses[prop] = visit(
+          newResponses = visitProp(
             this,
-            this.transformResponse,
+            responses,
+            newResponses,
             prop,
-            response,
+            this.transformResponse,
           );
         }
       } else if (prop !== '$ref' && !prop.startsWith('x-')) {
-        this.warn('Ignoring unrecognized property of Responses', prop);
+        this.addDiagnostic(
+          'UNRECOGNIZED_RESPONSES_PROPERTY',
+          'Ignoring unrecognized property of Responses',
+          prop,
+        );
       }
     }
 
-    return newResponses;
+    newResponses = visitExtensions(this, responses, newResponses, 'Responses');
+    return finishCopy(responses, newResponses);
   }
 
   /** Transforms a {@link
@@ -770,13 +3119,17 @@ class OpenApiTransformerBase {
    * @returns {!object} Transformed Callback Object.
    */
   transformCallback(callback) {
-    return transformMapLike.call(
+    const newCallback = transformMapLike.call(
       this,
       callback,
       this.transformPathItem,
       'Callback',
       true,
     );
+    return finishCopy(
+      callback,
+      visitExtensions(this, callback, newCallback, 'Callback'),
+    );
   }
 
   /** Transforms a {@link
@@ -790,24 +3143,33 @@ class OpenApiTransformerBase {
     if (typeof requestBody !== 'object'
       || requestBody === null
       || isArray(requestBody)) {
-      this.warn('Ignoring non-object Request Body', requestBody);
-      return requestBody;
-    }
-
-    if (requestBody.content === undefined) {
+      this.addDiagnostic(
+        'NON_OBJECT_REQUEST_BODY',
+        'Ignoring non-object Request Body',
+        requestBody,
+      );
       return requestBody;
     }
 
-    return {
-      ...requestBody,
-      content: visit(
+    let newRequestBody = requestBody;
+    if (requestBody.content !== undefined) {
+      newRequestBody = visitProp(
         this,
-        this.transformMap,
+        requestBody,
+        newRequestBody,
         'content',
-        requestBody.content,
+        this.transformMap,
         this.transformMediaType,
-      ),
-    };
+      );
+    }
+
+    newRequestBody = visitExtensions(
+      this,
+      requestBody,
+      newRequestBody,
+      'RequestBody',
+    );
+    return finishCopy(requestBody, newRequestBody);
   }
 
   /** Transforms a {@link
@@ -821,67 +3183,95 @@ class OpenApiTransformerBase {
     if (typeof operation !== 'object'
       || operation === null
       || isArray(operation)) {
-      this.warn('Ignoring non-object Operation', operation);
+      this.addDiagnostic(
+        'NON_OBJECT_OPERATION',
+        'Ignoring non-object Operation',
+        operation,
+      );
       return operation;
     }
 
-    const newOperation = { ...operation };
+    let newOperation = operation;
 
     if (operation.externalDocs !== undefined) {
-      newOperation.externalDocs = visit(
+      newOperation = visitProp(
         this,
-        this.transformExternalDocs,
+        operation,
+        newOperation,
         'externalDocs',
-        operation.externalDocs,
+        this.transformExternalDocs,
+      );
+    }
+
+    if (operation.parameters !== undefined) {
+      newOperation = visitProp(
+        this,
+        operation,
+        newOperation,
+        'parameters',
+        this.transformArray,
+        this.transformParameter,
       );
     }
 
-    if (operation.parameters !== undefined) {
-      newOperation.parameters =
-        this.transformArray(operation.parameters, this.transformParameter);
-    }
-
-    if (operation.requestBody !== undefined) {
-      newOperation.requestBody = visit(
+    if (operation.requestBody !== undefined
+      && this.#isDefinedIn(openApi3Versions, operation, 'requestBody')) {
+      newOperation = visitProp(
         this,
-        this.transformRequestBody,
+        operation,
+        newOperation,
         'requestBody',
-        operation.requestBody,
+        this.transformRequestBody,
       );
     }
 
     if (operation.responses !== undefined) {
-      newOperation.responses = visit(
+      newOperation = visitProp(
         this,
-        this.transformResponses,
+        operation,
+        newOperation,
         'responses',
-        operation.responses,
+        this.transformResponses,
       );
     }
 
-    if (operation.callbacks !== undefined) {
-      newOperation.callbacks = visit(
+    if (operation.callbacks !== undefined
+      && this.#isDefinedIn(openApi3Versions, operation, 'callbacks')) {
+      newOperation = visitProp(
         this,
-        this.transformMap,
+        operation,
+        newOperation,
         'callbacks',
-        operation.callbacks,
+        this.transformMap,
         this.transformCallback,
       );
     }
 
     if (operation.security !== undefined) {
-      newOperation.security = this.transformArray(
-        operation.security,
+      newOperation = visitProp(
+        this,
+        operation,
+        newOperation,
+        'security',
+        this.transformArray,
         this.transformSecurityRequirement,
       );
     }
 
-    if (operation.servers !== undefined) {
-      newOperation.servers =
-        this.transformArray(operation.servers, this.transformServer);
+    if (operation.servers !== undefined
+      && this.#isDefinedIn(openApi3Versions, operation, 'servers')) {
+      newOperation = visitProp(
+        this,
+        operation,
+        newOperation,
+        'servers',
+        this.transformArray,
+        this.transformServer,
+      );
     }
 
-    return newOperation;
+    newOperation = visitExtensions(this, operation, newOperation, 'Operation');
+    return finishCopy(operation, newOperation);
   }
 
   /** Transforms a {@link
@@ -895,41 +3285,73 @@ class OpenApiTransformerBase {
     if (typeof pathItem !== 'object'
       || pathItem === null
       || isArray(pathItem)) {
-      this.warn('Ignoring non-object Path Item', pathItem);
+      this.addDiagnostic(
+        'NON_OBJECT_PATH_ITEM',
+        'Ignoring non-object Path Item',
+        pathItem,
+      );
       return pathItem;
     }
 
-    const newPathItem = { ...pathItem };
+    let newPathItem = pathItem;
 
-    if (pathItem.servers !== undefined) {
-      newPathItem.servers =
-        this.transformArray(pathItem.servers, this.transformServer);
+    if (pathItem.servers !== undefined
+      && this.#isDefinedIn(openApi3Versions, pathItem, 'servers')) {
+      newPathItem = visitProp(
+        this,
+        pathItem,
+        newPathItem,
+        'servers',
+        this.transformArray,
+        this.transformServer,
+      );
     }
 
     if (pathItem.parameters !== undefined) {
-      newPathItem.parameters =
-        this.transformArray(pathItem.parameters, this.transformParameter);
+      newPathItem = visitProp(
+        this,
+        pathItem,
+        newPathItem,
+        'parameters',
+        this.transformArray,
+        this.transformParameter,
+      );
     }
 
     for (const [method, operation] of Object.entries(pathItem)) {
-      if (operation !== undefined && httpMethodSet.has(method.toLowerCase())) {
-        newPathItem[method] = visit(
-          this,
-          this.transformOperation,
+      const methodLower = method.toLowerCase();
+      if (operation !== undefined
+        && (httpMethodSet.has(methodLower)
+          || operationMethodVersions.has(methodLower))) {
+        if (this.#isDefinedIn(
+          operationMethodVersions.get(methodLower) ?? [],
+          pathItem,
           method,
-          operation,
-        );
+        )) {
+          newPathItem = visitProp(
+            this,
+            pathItem,
+            newPathItem,
+            method,
+            this.transformOperation,
+          );
+        }
       } else if (method !== '$ref'
         && method !== 'description'
         && method !== 'parameters'
         && method !== 'servers'
         && method !== 'summary'
         && !method.startsWith('x-')) {
-        this.warn('Ignoring unrecognized property of Path Item', method);
+        this.addDiagnostic(
+          'UNRECOGNIZED_PATH_ITEM_PROPERTY',
+          'Ignoring unrecognized property of Path Item',
+          method,
+        );
       }
     }
 
-    return newPathItem;
+    newPathItem = visitExtensions(this, pathItem, newPathItem, 'PathItem');
+    return finishCopy(pathItem, newPathItem);
   }
 
   /** Transforms a {@link
@@ -943,13 +3365,14 @@ class OpenApiTransformerBase {
    * @returns {!object} Transformed Paths Object.
    */
   transformPaths(paths) {
-    return transformMapLike.call(
+    const newPaths = transformMapLike.call(
       this,
       paths,
       this.transformPathItem,
       'Paths',
       true,
     );
+    return finishCopy(paths, visitExtensions(this, paths, newPaths, 'Paths'));
   }
 
   /** Transforms a {@link
@@ -963,113 +3386,134 @@ class OpenApiTransformerBase {
     if (typeof components !== 'object'
       || components === null
       || isArray(components)) {
-      this.warn('Ignoring non-object Components', components);
+      this.addDiagnostic(
+        'NON_OBJECT_COMPONENTS',
+        'Ignoring non-object Components',
+        components,
+      );
       return components;
     }
 
-    const newComponents = { ...components };
+    let newComponents = components;
 
     if (components.schemas !== undefined) {
-      newComponents.schemas = visit(
+      newComponents = visitProp(
         this,
-        this.transformMap,
+        components,
+        newComponents,
         'schemas',
-        components.schemas,
+        this.transformMap,
         this.transformSchema,
       );
     }
 
     if (components.responses !== undefined) {
-      newComponents.responses = visit(
+      newComponents = visitProp(
         this,
-        this.transformMap,
+        components,
+        newComponents,
         'responses',
-        components.responses,
+        this.transformMap,
         this.transformResponse,
       );
     }
 
     if (components.parameters !== undefined) {
-      newComponents.parameters = visit(
+      newComponents = visitProp(
         this,
-        this.transformMap,
+        components,
+        newComponents,
         'parameters',
-        components.parameters,
+        this.transformMap,
         this.transformParameter,
       );
     }
 
     if (components.examples !== undefined) {
-      newComponents.examples = visit(
+      newComponents = visitProp(
         this,
-        this.transformMap,
+        components,
+        newComponents,
         'examples',
-        components.examples,
+        this.transformMap,
         this.transformExample3,
       );
     }
 
     if (components.requestBodies !== undefined) {
-      newComponents.requestBodies = visit(
+      newComponents = visitProp(
         this,
-        this.transformMap,
+        components,
+        newComponents,
         'requestBodies',
-        components.requestBodies,
+        this.transformMap,
         this.transformRequestBody,
       );
     }
 
     if (components.headers !== undefined) {
-      newComponents.headers = visit(
+      newComponents = visitProp(
         this,
-        this.transformMap,
+        components,
+        newComponents,
         'headers',
-        components.headers,
+        this.transformMap,
         this.transformHeader,
       );
     }
 
     if (components.securitySchemes !== undefined) {
-      newComponents.securitySchemes = visit(
+      newComponents = visitProp(
         this,
-        this.transformMap,
+        components,
+        newComponents,
         'securitySchemes',
-        components.securitySchemes,
+        this.transformMap,
         this.transformSecurityScheme,
       );
     }
 
     if (components.links !== undefined) {
-      newComponents.links = visit(
+      newComponents = visitProp(
         this,
-        this.transformMap,
+        components,
+        newComponents,
         'links',
-        components.links,
+        this.transformMap,
         this.transformLink,
       );
     }
 
     if (components.callbacks !== undefined) {
-      newComponents.callbacks = visit(
+      newComponents = visitProp(
         this,
-        this.transformMap,
+        components,
+        newComponents,
         'callbacks',
-        components.callbacks,
+        this.transformMap,
         this.transformCallback,
       );
     }
 
-    if (components.pathItems !== undefined) {
-      newComponents.pathItems = visit(
+    if (components.pathItems !== undefined
+      && this.#isDefinedIn(openApi31Versions, components, 'pathItems')) {
+      newComponents = visitProp(
         this,
-        this.transformMap,
+        components,
+        newComponents,
         'pathItems',
-        components.pathItems,
+        this.transformMap,
         this.transformPathItem,
       );
     }
 
-    return newComponents;
+    newComponents = visitExtensions(
+      this,
+      components,
+      newComponents,
+      'Components',
+    );
+    return finishCopy(components, newComponents);
   }
 
   /** Transforms a {@link
@@ -1079,9 +3523,11 @@ class OpenApiTransformerBase {
    * @param {!object} serverVariable Server Variable Object.
    * @returns {!object} Transformed Server Variable Object.
    */
-  // eslint-disable-next-line class-methods-use-this
   transformServerVariable(serverVariable) {
-    return serverVariable;
+    return finishCopy(
+      serverVariable,
+      visitExtensions(this, serverVariable, serverVariable, 'ServerVariable'),
+    );
   }
 
   /** Transforms a {@link
@@ -1093,24 +3539,28 @@ class OpenApiTransformerBase {
    */
   transformServer(server) {
     if (typeof server !== 'object' || server === null || isArray(server)) {
-      this.warn('Ignoring non-object Server', server);
-      return server;
-    }
-
-    if (server.variables === undefined) {
+      this.addDiagnostic(
+        'NON_OBJECT_SERVER',
+        'Ignoring non-object Server',
+        server,
+      );
       return server;
     }
 
-    return {
-      ...server,
-      variables: visit(
+    let newServer = server;
+    if (server.variables !== undefined) {
+      newServer = visitProp(
         this,
-        this.transformMap,
+        server,
+        newServer,
         'variables',
-        server.variables,
+        this.transformMap,
         this.transformServerVariable,
-      ),
-    };
+      );
+    }
+
+    newServer = visitExtensions(this, server, newServer, 'Server');
+    return finishCopy(server, newServer);
   }
 
   /** Transforms an {@link
@@ -1120,9 +3570,8 @@ class OpenApiTransformerBase {
    * @param {!object} flow OAuth Flow Object.
    * @returns {!object} Transformed OAuth Flow Object.
    */
-  // eslint-disable-next-line class-methods-use-this
   transformOAuthFlow(flow) {
-    return flow;
+    return finishCopy(flow, visitExtensions(this, flow, flow, 'OAuthFlow'));
   }
 
   /** Transforms an {@link
@@ -1134,49 +3583,58 @@ class OpenApiTransformerBase {
    */
   transformOAuthFlows(flows) {
     if (typeof flows !== 'object' || flows === null || isArray(flows)) {
-      this.warn('Ignoring non-object OAuth Flows', flows);
+      this.addDiagnostic(
+        'NON_OBJECT_OAUTH_FLOWS',
+        'Ignoring non-object OAuth Flows',
+        flows,
+      );
       return flows;
     }
 
-    const newFlows = { ...flows };
+    let newFlows = flows;
 
     if (flows.implicit) {
-      newFlows.implicit = visit(
+      newFlows = visitProp(
         this,
-        this.transformOAuthFlow,
+        flows,
+        newFlows,
         'implicit',
-        flows.implicit,
+        this.transformOAuthFlow,
       );
     }
 
     if (flows.password) {
-      newFlows.password = visit(
+      newFlows = visitProp(
         this,
-        this.transformOAuthFlow,
+        flows,
+        newFlows,
         'password',
-        flows.password,
+        this.transformOAuthFlow,
       );
     }
 
     if (flows.clientCredentials) {
-      newFlows.clientCredentials = visit(
+      newFlows = visitProp(
         this,
-        this.transformOAuthFlow,
+        flows,
+        newFlows,
         'clientCredentials',
-        flows.clientCredentials,
+        this.transformOAuthFlow,
       );
     }
 
     if (flows.authorizationCode) {
-      newFlows.authorizationCode = visit(
+      newFlows = visitProp(
         this,
-        this.transformOAuthFlow,
+        flows,
+        newFlows,
         'authorizationCode',
-        flows.authorizationCode,
+        this.transformOAuthFlow,
       );
     }
 
-    return newFlows;
+    newFlows = visitExtensions(this, flows, newFlows, 'OAuthFlows');
+    return finishCopy(flows, newFlows);
   }
 
   /** Transforms a {@link
@@ -1190,23 +3648,32 @@ class OpenApiTransformerBase {
     if (typeof securityScheme !== 'object'
       || securityScheme === null
       || isArray(securityScheme)) {
-      this.warn('Ignoring non-object Security Scheme', securityScheme);
-      return securityScheme;
-    }
-
-    if (securityScheme.flows === undefined) {
+      this.addDiagnostic(
+        'NON_OBJECT_SECURITY_SCHEME',
+        'Ignoring non-object Security Scheme',
+        securityScheme,
+      );
       return securityScheme;
     }
 
-    return {
-      ...securityScheme,
-      flows: visit(
+    let newSecurityScheme = securityScheme;
+    if (securityScheme.flows !== undefined) {
+      newSecurityScheme = visitProp(
         this,
-        this.transformOAuthFlows,
+        securityScheme,
+        newSecurityScheme,
         'flows',
-        securityScheme.flows,
-      ),
-    };
+        this.transformOAuthFlows,
+      );
+    }
+
+    newSecurityScheme = visitExtensions(
+      this,
+      securityScheme,
+      newSecurityScheme,
+      'SecurityScheme',
+    );
+    return finishCopy(securityScheme, newSecurityScheme);
   }
 
   /** Transforms a {@link
@@ -1230,23 +3697,23 @@ class OpenApiTransformerBase {
    */
   transformTag(tag) {
     if (typeof tag !== 'object' || tag === null || isArray(tag)) {
-      this.warn('Ignoring non-object Tag', tag);
-      return tag;
-    }
-
-    if (tag.externalDocs === undefined) {
+      this.addDiagnostic('NON_OBJECT_TAG', 'Ignoring non-object Tag', tag);
       return tag;
     }
 
-    return {
-      ...tag,
-      externalDocs: visit(
+    let newTag = tag;
+    if (tag.externalDocs !== undefined) {
+      newTag = visitProp(
         this,
-        this.transformExternalDocs,
+        tag,
+        newTag,
         'externalDocs',
-        tag.externalDocs,
-      ),
-    };
+        this.transformExternalDocs,
+      );
+    }
+
+    newTag = visitExtensions(this, tag, newTag, 'Tag');
+    return finishCopy(tag, newTag);
   }
 
   /** Transforms a {@link
@@ -1256,9 +3723,11 @@ class OpenApiTransformerBase {
    * @param {!object} contact Contact Object.
    * @returns {!object} Transformed Contact Object.
    */
-  // eslint-disable-next-line class-methods-use-this
   transformContact(contact) {
-    return contact;
+    return finishCopy(
+      contact,
+      visitExtensions(this, contact, contact, 'Contact'),
+    );
   }
 
   /** Transforms a {@link
@@ -1268,9 +3737,11 @@ class OpenApiTransformerBase {
    * @param {!object} license License Object.
    * @returns {!object} Transformed License Object.
    */
-  // eslint-disable-next-line class-methods-use-this
   transformLicense(license) {
-    return license;
+    return finishCopy(
+      license,
+      visitExtensions(this, license, license, 'License'),
+    );
   }
 
   /** Transforms an {@link
@@ -1282,31 +3753,242 @@ class OpenApiTransformerBase {
    */
   transformInfo(info) {
     if (typeof info !== 'object' || info === null || isArray(info)) {
-      this.warn('Ignoring non-object Info', info);
+      this.addDiagnostic('NON_OBJECT_INFO', 'Ignoring non-object Info', info);
       return info;
     }
 
-    const newInfo = { ...info };
+    let newInfo = info;
 
     if (info.contact !== undefined) {
-      newInfo.contact = visit(
+      newInfo = visitProp(
         this,
-        this.transformContact,
+        info,
+        newInfo,
         'contact',
-        info.contact,
+        this.transformContact,
       );
     }
 
     if (info.license !== undefined) {
-      newInfo.license = visit(
+      newInfo = visitProp(
         this,
-        this.transformLicense,
+        info,
+        newInfo,
         'license',
-        info.license,
+        this.transformLicense,
+      );
+    }
+
+    newInfo = visitExtensions(this, info, newInfo, 'Info');
+    return finishCopy(info, newInfo);
+  }
+
+  /** Transforms the value of the {@link
+   * https://github.com/Azure/autorest/blob/master/docs/extensions/readme.md#x-ms-client-name
+   * x-ms-client-name} extension property of a Parameter or Schema Object.
+   *
+   * @param {string} xMsClientName Value of x-ms-client-name.
+   * @returns {string} Transformed value of x-ms-client-name.
+   */
+  transformMsClientName(xMsClientName) {
+    if (typeof xMsClientName !== 'string') {
+      this.addDiagnostic(
+        'NON_STRING_MS_CLIENT_NAME',
+        'Ignoring non-string x-ms-client-name',
+        xMsClientName,
+      );
+    }
+
+    return xMsClientName;
+  }
+
+  /** Transforms the value of the {@link
+   * https://github.com/Azure/autorest/blob/master/docs/extensions/readme.md#x-ms-discriminator-value
+   * x-ms-discriminator-value} extension property of a Schema Object.
+   *
+   * @param {string} xMsDiscriminatorValue Value of x-ms-discriminator-value.
+   * @returns {string} Transformed value of x-ms-discriminator-value.
+   */
+  transformMsDiscriminatorValue(xMsDiscriminatorValue) {
+    if (typeof xMsDiscriminatorValue !== 'string') {
+      this.addDiagnostic(
+        'NON_STRING_MS_DISCRIMINATOR_VALUE',
+        'Ignoring non-string x-ms-discriminator-value',
+        xMsDiscriminatorValue,
+      );
+    }
+
+    return xMsDiscriminatorValue;
+  }
+
+  /** Transforms the value of the {@link
+   * https://github.com/Azure/autorest/blob/master/docs/extensions/readme.md#x-ms-enum
+   * x-ms-enum} extension property of a Schema, Parameter, Header, or Items
+   * Object.
+   *
+   * @param {!object} xMsEnum Value of x-ms-enum.
+   * @returns {!object} Transformed value of x-ms-enum.
+   */
+  transformMsEnum(xMsEnum) {
+    if (typeof xMsEnum !== 'object' || xMsEnum === null || isArray(xMsEnum)) {
+      this.addDiagnostic(
+        'NON_OBJECT_MS_ENUM',
+        'Ignoring non-object x-ms-enum',
+        xMsEnum,
+      );
+      return xMsEnum;
+    }
+
+    if (typeof xMsEnum.name !== 'string') {
+      this.addDiagnostic(
+        'NON_STRING_MS_ENUM_NAME',
+        'x-ms-enum name must be a string',
+        xMsEnum.name,
       );
     }
 
-    return info;
+    if (xMsEnum.values !== undefined && !isArray(xMsEnum.values)) {
+      this.addDiagnostic(
+        'NON_ARRAY',
+        'Ignoring non-Array x-ms-enum values',
+        xMsEnum.values,
+      );
+    }
+
+    return xMsEnum;
+  }
+
+  /** Transforms the value of the {@link
+   * https://github.com/Azure/autorest/blob/master/docs/extensions/readme.md#x-ms-examples
+   * x-ms-examples} extension property of an Operation Object, which maps
+   * example names to Reference Objects for example files.
+   *
+   * Note: The example files are not loaded, even when the
+   * <code>resolveRefs</code> option is true.
+   *
+   * @param {!object} xMsExamples Value of x-ms-examples.
+   * @returns {!object} Transformed value of x-ms-examples.
+   */
+  transformMsExamples(xMsExamples) {
+    if (typeof xMsExamples !== 'object'
+      || xMsExamples === null
+      || isArray(xMsExamples)) {
+      this.addDiagnostic(
+        'NON_OBJECT_MS_EXAMPLES',
+        'Ignoring non-object x-ms-examples',
+        xMsExamples,
+      );
+      return xMsExamples;
+    }
+
+    for (const example of Object.values(xMsExamples)) {
+      if (typeof example !== 'object' || example === null || isArray(example)) {
+        this.addDiagnostic(
+          'NON_OBJECT_MS_EXAMPLE',
+          'Ignoring non-object x-ms-examples value',
+          example,
+        );
+      }
+    }
+
+    return xMsExamples;
+  }
+
+  /** Transforms the value of the {@link
+   * https://github.com/Azure/autorest/blob/master/docs/extensions/readme.md#x-ms-long-running-operation-options
+   * x-ms-long-running-operation-options} extension property of an Operation
+   * Object.
+   *
+   * @param {!object} options Value of x-ms-long-running-operation-options.
+   * @returns {!object} Transformed value of
+   * x-ms-long-running-operation-options.
+   */
+  transformMsLongRunningOperationOptions(options) {
+    if (typeof options !== 'object' || options === null || isArray(options)) {
+      this.addDiagnostic(
+        'NON_OBJECT_MS_LONG_RUNNING_OPERATION_OPTIONS',
+        'Ignoring non-object x-ms-long-running-operation-options',
+        options,
+      );
+      return options;
+    }
+
+    const finalStateVia = options['final-state-via'];
+    if (finalStateVia !== undefined && typeof finalStateVia !== 'string') {
+      this.addDiagnostic(
+        'NON_STRING_MS_FINAL_STATE_VIA',
+        'x-ms-long-running-operation-options final-state-via must be a string',
+        finalStateVia,
+      );
+    }
+
+    return options;
+  }
+
+  /** Transforms the value of the {@link
+   * https://github.com/Azure/autorest/blob/master/docs/extensions/readme.md#x-ms-pageable
+   * x-ms-pageable} extension property of an Operation Object.
+   *
+   * @param {!object} xMsPageable Value of x-ms-pageable.
+   * @returns {!object} Transformed value of x-ms-pageable.
+   */
+  transformMsPageable(xMsPageable) {
+    if (typeof xMsPageable !== 'object'
+      || xMsPageable === null
+      || isArray(xMsPageable)) {
+      this.addDiagnostic(
+        'NON_OBJECT_MS_PAGEABLE',
+        'Ignoring non-object x-ms-pageable',
+        xMsPageable,
+      );
+      return xMsPageable;
+    }
+
+    // Note: null indicates that all results are returned in one page.
+    const { nextLinkName } = xMsPageable;
+    if (nextLinkName !== null && typeof nextLinkName !== 'string') {
+      this.addDiagnostic(
+        'NON_STRING_MS_PAGEABLE_NEXT_LINK_NAME',
+        'x-ms-pageable nextLinkName must be a string or null',
+        nextLinkName,
+      );
+    }
+
+    return xMsPageable;
+  }
+
+  /** Transforms the value of the {@link
+   * https://github.com/Azure/autorest/blob/master/docs/extensions/readme.md#x-ms-parameterized-host
+   * x-ms-parameterized-host} extension property of an OpenAPI Object.
+   *
+   * @param {!object} xMsParameterizedHost Value of x-ms-parameterized-host.
+   * @returns {!object} xMsParameterizedHost with parameters transformed by
+   * transformParameter.
+   */
+  transformMsParameterizedHost(xMsParameterizedHost) {
+    if (typeof xMsParameterizedHost !== 'object'
+      || xMsParameterizedHost === null
+      || isArray(xMsParameterizedHost)) {
+      this.addDiagnostic(
+        'NON_OBJECT_MS_PARAMETERIZED_HOST',
+        'Ignoring non-object x-ms-parameterized-host',
+        xMsParameterizedHost,
+      );
+      return xMsParameterizedHost;
+    }
+
+    if (xMsParameterizedHost.parameters === undefined) {
+      return xMsParameterizedHost;
+    }
+
+    return finishCopy(xMsParameterizedHost, visitProp(
+      this,
+      xMsParameterizedHost,
+      xMsParameterizedHost,
+      'parameters',
+      this.transformArray,
+      this.transformParameter,
+    ));
   }
 
   /** Transforms an {@link
@@ -1319,126 +4001,345 @@ class OpenApiTransformerBase {
    * @returns {!object} Transformed OpenAPI Object.
    */
   transformOpenApi(openApi) {
-    if (typeof openApi !== 'object' || openApi === null || isArray(openApi)) {
-      this.warn('Ignoring non-object OpenAPI', openApi);
-      return openApi;
+    // Note: When applied by [applyShallowSymbol], the composition which
+    // applies it begins and finishes the transformation.
+    const shallow = this.#shallow;
+    if (!shallow) {
+      this[beginTransformSymbol](openApi);
     }
 
-    const newOpenApi = {
-      ...openApi,
-    };
+    if (typeof openApi !== 'object' || openApi === null || isArray(openApi)) {
+      this.addDiagnostic(
+        'NON_OBJECT_OPENAPI',
+        'Ignoring non-object OpenAPI',
+        openApi,
+      );
+      return shallow ? openApi : this[finishTransformSymbol](openApi, openApi);
+    }
 
-    if (openApi.info !== undefined) {
-      newOpenApi.info = visit(this, this.transformInfo, 'info', openApi.info);
+    if (this.#strictVersion && this.#openApiVersion === undefined) {
+      this.addDiagnostic(
+        'UNRECOGNIZED_OPENAPI_VERSION',
+        'Unrecognized OpenAPI version',
+        openApi.openapi ?? openApi.swagger,
+      );
     }
 
-    if (openApi.servers !== undefined) {
-      newOpenApi.servers =
-        this.transformArray(openApi.servers, this.transformServer);
+    let newOpenApi = openApi;
+
+    if (openApi.info !== undefined) {
+      newOpenApi = visitProp(
+        this,
+        openApi,
+        newOpenApi,
+        'info',
+        this.transformInfo,
+      );
     }
 
-    // https://github.com/Azure/autorest/blob/master/docs/extensions/readme.md#x-ms-parameterized-host
-    const xMsParameterizedHost = openApi['x-ms-parameterized-host'];
-    if (typeof xMsParameterizedHost === 'object'
-      && xMsParameterizedHost !== null) {
-      const { parameters } = xMsParameterizedHost;
-      if (parameters !== undefined) {
-        newOpenApi['x-ms-parameterized-host'] = {
-          ...xMsParameterizedHost,
-          parameters: this.transformArray(parameters, this.transformParameter),
-        };
-      }
+    if (openApi.servers !== undefined
+      && this.#isDefinedIn(openApi3Versions, openApi, 'servers')) {
+      newOpenApi = visitProp(
+        this,
+        openApi,
+        newOpenApi,
+        'servers',
+        this.transformArray,
+        this.transformServer,
+      );
     }
 
     // Note: Transform components and definitions before properties likely
     // to have $refs pointing to them (to simplify renaming).
     // TODO: Guarantee this as part of the API?  Document in JSDoc comment.
-    if (openApi.components !== undefined) {
-      newOpenApi.components = visit(
+    if (openApi.components !== undefined
+      && this.#isDefinedIn(openApi3Versions, openApi, 'components')) {
+      newOpenApi = visitProp(
         this,
-        this.transformComponents,
+        openApi,
+        newOpenApi,
         'components',
-        openApi.components,
+        this.transformComponents,
       );
     }
 
-    if (openApi.definitions !== undefined) {
-      newOpenApi.definitions = visit(
+    if (openApi.definitions !== undefined
+      && this.#isDefinedIn(swaggerVersions, openApi, 'definitions')) {
+      newOpenApi = visitProp(
         this,
-        this.transformMap,
+        openApi,
+        newOpenApi,
         'definitions',
-        openApi.definitions,
+        this.transformMap,
         this.transformSchema,
       );
     }
 
-    if (openApi.parameters !== undefined) {
-      newOpenApi.parameters = visit(
+    if (openApi.parameters !== undefined
+      && this.#isDefinedIn(swaggerVersions, openApi, 'parameters')) {
+      newOpenApi = visitProp(
         this,
-        this.transformMap,
+        openApi,
+        newOpenApi,
         'parameters',
-        openApi.parameters,
+        this.transformMap,
         this.transformParameter,
       );
     }
 
-    if (openApi.responses !== undefined) {
-      newOpenApi.responses = visit(
+    if (openApi.responses !== undefined
+      && this.#isDefinedIn(swaggerVersions, openApi, 'responses')) {
+      newOpenApi = visitProp(
         this,
-        this.transformMap,
+        openApi,
+        newOpenApi,
         'responses',
-        openApi.responses,
+        this.transformMap,
         this.transformResponse,
       );
     }
 
     if (openApi.paths !== undefined) {
-      newOpenApi.paths = visit(
+      newOpenApi = visitProp(
         this,
-        this.transformPaths,
+        openApi,
+        newOpenApi,
         'paths',
-        openApi.paths,
-      );
-    }
-
-    // https://github.com/Azure/autorest/tree/master/docs/extensions#x-ms-paths
-    if (openApi['x-ms-paths'] !== undefined) {
-      newOpenApi['x-ms-paths'] = visit(
-        this,
         this.transformPaths,
-        'x-ms-paths',
-        openApi['x-ms-paths'],
       );
     }
 
-    if (openApi.webhooks !== undefined) {
-      newOpenApi.webhooks = visit(
+    if (openApi.webhooks !== undefined
+      && this.#isDefinedIn(openApi31Versions, openApi, 'webhooks')) {
+      newOpenApi = visitProp(
         this,
-        this.transformMap,
+        openApi,
+        newOpenApi,
         'webhooks',
-        openApi.webhooks,
+        this.transformMap,
         this.transformPathItem,
       );
     }
 
     if (openApi.security !== undefined) {
-      newOpenApi.security = this.transformArray(
-        openApi.security,
+      newOpenApi = visitProp(
+        this,
+        openApi,
+        newOpenApi,
+        'security',
+        this.transformArray,
         this.transformSecurityRequirement,
       );
     }
 
     if (openApi.tags !== undefined) {
-      newOpenApi.tags = this.transformArray(openApi.tags, this.transformTag);
+      newOpenApi = visitProp(
+        this,
+        openApi,
+        newOpenApi,
+        'tags',
+        this.transformArray,
+        this.transformTag,
+      );
     }
 
     if (openApi.externalDocs !== undefined) {
-      newOpenApi.externalDocs = visit(
+      newOpenApi = visitProp(
         this,
-        this.transformExternalDocs,
+        openApi,
+        newOpenApi,
         'externalDocs',
-        openApi.externalDocs,
+        this.transformExternalDocs,
+      );
+    }
+
+    newOpenApi = visitExtensions(this, openApi, newOpenApi, 'OpenApi');
+    const result = finishCopy(openApi, newOpenApi);
+    return shallow ? result : this[finishTransformSymbol](openApi, result);
+  }
+
+  /** Adds a diagnostic about the document being transformed.
+   *
+   * The diagnostic is added to {@link #diagnostics}, passed to the
+   * <code>onDiagnostic</code> function (if one was given to the
+   * constructor), and logged by {@link #warn}.  It has the following
+   * properties:
+   *
+   * <dl>
+   * <dt><code>code</code></dt>
+   * <dd>Stable identifier of the condition (e.g.
+   *   <code>NON_OBJECT_SCHEMA</code>, <code>UNRESOLVABLE_REF</code>).</dd>
+   * <dt><code>severity</code></dt>
+   * <dd><code>'error'</code> if the <code>strict</code> option is set and
+   *   the diagnostic indicates a problem with the document, otherwise
+   *   <code>'warning'</code>.</dd>
+   * <dt><code>message</code></dt>
+   * <dd>Human-readable description of the condition.</dd>
+   * <dt><code>pointer</code></dt>
+   * <dd>{@link #currentPointer} when the diagnostic was added.</dd>
+   * <dt><code>documentUri</code></dt>
+   * <dd>URI of the document which <code>pointer</code> refers to (only
+   *   present if it is a document loaded to resolve a <code>$ref</code>,
+   *   rather than the document passed to {@link #transformOpenApi}).</dd>
+   * <dt><code>value</code></dt>
+   * <dd>Value which caused the diagnostic.</dd>
+   * <dt><code>cause</code></dt>
+   * <dd>Error which caused the diagnostic (only present if there is
+   *   one).</dd>
+   * </dl>
+   *
+   * Warnings are logged by {@link #warn}.  Errors are thrown as an {@link
+   * module:"openapi-transformer-base/invalid-openapi-error.js"} if the
+   * <code>strict</code> option is true.
+   *
+   * @param {string} code Stable identifier of the condition.
+   * @param {string} message Description of the condition.
+   * @param {*} value Value which caused the diagnostic.
+   * @param {*=} cause Error which caused the diagnostic, if any.
+   * @throws {module:"openapi-transformer-base/invalid-openapi-error.js"} If
+   * the <code>strict</code> option is true and code indicates a problem
+   * with the document.
+   */
+  addDiagnostic(code, message, value, cause) {
+    const isError = Boolean(this.#strict) && !nonErrorCodes.has(code);
+    const diagnostic = {
+      code,
+      severity: isError ? 'error' : 'warning',
+      message,
+      pointer: this.currentPointer,
+      value,
+    };
+    const documentUri = this.transformRefs.at(-1)?.documentUri;
+    if (documentUri !== undefined) {
+      diagnostic.documentUri = documentUri;
+    }
+
+    if (cause !== undefined) {
+      diagnostic.cause = cause;
+    }
+
+    this.#diagnostics.push(diagnostic);
+
+    if (this.#onDiagnostic) {
+      this.#onDiagnostic(diagnostic);
+    }
+
+    if (isError) {
+      if (this.#strict !== 'aggregate') {
+        const err = new InvalidOpenApiError(diagnostic);
+        // Message includes pointer.  Prevent visit from adding transformPath.
+        err.transformPath = [...this.transformPath];
+        throw err;
+      }
+    } else if (cause === undefined) {
+      this.warn(message, value);
+    } else {
+      this.warn(message, value, cause);
+    }
+  }
+
+  /** Begins a call to {@link #transformOpenApi}.
+   *
+   * @param {*} openApi OpenAPI Object to be transformed.
+   */
+  [beginTransformSymbol](openApi) {
+    this.#diagnostics = [];
+    this.#patch = undefined;
+    this.#patchRoot = this.#recordPatch ? createPatchNode() : undefined;
+    this.#stopped = false;
+
+    if (typeof openApi !== 'object' || openApi === null || isArray(openApi)) {
+      return;
+    }
+
+    this.#openApi = openApi;
+    this.#openApiVersion = getOpenApiVersion(openApi);
+    this.#documents.clear();
+    this.#transformedRefs.clear();
+    if (this.#memo) {
+      this.#memo.clear();
+    }
+  }
+
+  /** Applies a transform method without applying visited methods, with
+   * {@link #transformPath}, {@link #transformAncestors}, and
+   * {@link #transformRefs} of another transformer.
+   *
+   * @template ArgsType, TransformedType
+   * @param {function(this:!OpenApiTransformerBase, ...ArgsType):
+   * TransformedType} method Transform method.
+   * @param {!Array<ArgsType>} args Arguments to method.
+   * @param {!OpenApiTransformerBase} transformer Transformer which is
+   * transforming args.
+   * @returns {TransformedType|ArgsType} Result of calling method, or its
+   * first argument if the result is {@link OpenApiTransformerBase.SKIP} or
+   * {@link OpenApiTransformerBase.STOP}.
+   */
+  [applyShallowSymbol](method, args, transformer) {
+    const { transformAncestors, transformPath, transformRefs } = this;
+    const prevTransformAncestors = [...transformAncestors];
+    const prevTransformPath = [...transformPath];
+    const prevTransformRefs = [...transformRefs];
+    const shallow = this.#shallow;
+    transformAncestors.splice(
+      0,
+      transformAncestors.length,
+      ...transformer.transformAncestors,
+    );
+    transformPath.splice(0, transformPath.length, ...transformer.transformPath);
+    transformRefs.splice(0, transformRefs.length, ...transformer.transformRefs);
+    this.#shallow = true;
+    try {
+      const result = method.apply(this, args);
+      if (result === STOP) {
+        this.#stopped = true;
+      }
+
+      return replaceControlValue(args[0], result);
+    } finally {
+      this.#shallow = shallow;
+      transformAncestors.splice(
+        0,
+        transformAncestors.length,
+        ...prevTransformAncestors,
       );
+      transformPath.splice(0, transformPath.length, ...prevTransformPath);
+      transformRefs.splice(0, transformRefs.length, ...prevTransformRefs);
+    }
+  }
+
+  /** Finishes a call to {@link #transformOpenApi}.
+   *
+   * @param {*} openApi OpenAPI Object which was transformed.
+   * @param {*} newOpenApi Transformed OpenAPI Object.
+   * @param {!Array<!object>=} patch JSON Patch recorded by the transformer
+   * which transformed openApi into newOpenApi, if it was not this
+   * transformer (e.g. a composition of it).
+   * @returns {*} newOpenApi.
+   * @throws {AggregateError} If the <code>strict</code> option is
+   * <code>'aggregate'</code> and any diagnostics are errors.
+   */
+  [finishTransformSymbol](openApi, newOpenApi, patch) {
+    if (this.#recordPatch) {
+      if (patch === undefined) {
+        const patchRoot = this.#patchRoot;
+        recordPatchResult(patchRoot, openApi, newOpenApi);
+        this.#patch = getPatchOps(patchRoot);
+      } else {
+        this.#patch = [...patch];
+      }
+    }
+
+    if (this.#strict === 'aggregate') {
+      const errors = this.#diagnostics
+        .filter(({ severity }) => severity === 'error')
+        .map((diagnostic) => new InvalidOpenApiError(diagnostic));
+      if (errors.length > 0) {
+        throw new AggregateError(
+          errors,
+          `OpenAPI document has ${errors.length} error(s)`,
+        );
+      }
     }
 
     return newOpenApi;
@@ -1446,9 +4347,11 @@ class OpenApiTransformerBase {
 
   /** Logs a warning about the transformation.
    *
-   * Logs to util.debuglog('openapi-transformer-base') by default.  Designed
-   * to be overridden and/or reassigned to log as appropriate for projects
-   * which use this class.
+   * Logs to util.debuglog('openapi-transformer-base') by default, followed by
+   * the JSON Pointer of {@link #transformPath} (preceded by the document URI
+   * while transforming a value in a loaded document).  Designed to be
+   * overridden and/or reassigned to log as appropriate for projects which use
+   * this class.
    *
    * @param {string|*} message Message with zero or more substitution strings,
    * or first value to log.
@@ -1457,9 +4360,18 @@ class OpenApiTransformerBase {
    */
   warn(message, ...values) {
     // Note: debug.enabled defined on Node.js v14.9.0 and later
-    if (debug.enabled !== false) {
-      debug(message, ...values, 'at', toJsonPointer(this.transformPath));
+    if (debug.enabled === false) {
+      return;
     }
+
+    const pointer = this.currentPointer;
+    const documentUri = this.transformRefs.at(-1)?.documentUri;
+    debug(
+      message,
+      ...values,
+      'at',
+      documentUri === undefined ? pointer : `${documentUri}#${pointer}`,
+    );
   }
 }
 
@@ -0,0 +1,104 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module "openapi-transformer-base/invalid-openapi-error.js"
+ */
+
+'use strict';
+
+/** Gets the type of value expected where a diagnostic with a given code
+ * occurred.
+ *
+ * @private
+ * @param {string} code Diagnostic code.
+ * @returns {string|undefined} Expected type of value, if code indicates a
+ * value with an unexpected type, otherwise undefined.
+ */
+function getExpectedType(code) {
+  if (code.startsWith('NON_OBJECT_')) {
+    return 'object';
+  }
+
+  if (code === 'NON_ARRAY') {
+    return 'Array';
+  }
+
+  if (code.startsWith('NON_STRING_')) {
+    return 'string';
+  }
+
+  return undefined;
+}
+
+/** Error thrown for a problem with an OpenAPI document when the
+ * <code>strict</code> option of {@link module:openapi-transformer-base} is
+ * true, or included in the <code>AggregateError</code> thrown when it is
+ * <code>'aggregate'</code>.
+ */
+class InvalidOpenApiError extends Error {
+  /** Constructs an InvalidOpenApiError for a given diagnostic.
+   *
+   * @param {{
+   *   code: string,
+   *   message: string,
+   *   pointer: string,
+   *   documentUri: (string|undefined),
+   *   value: *,
+   *   cause: (*|undefined)
+   * }} diagnostic Diagnostic which describes the problem, as passed to
+   * {@link module:openapi-transformer-base#addDiagnostic}.
+   */
+  constructor(diagnostic) {
+    const {
+      code,
+      message,
+      pointer,
+      documentUri,
+      value,
+    } = diagnostic;
+    const location = documentUri === undefined ? pointer || '/'
+      : `${pointer || '/'} in ${documentUri}`;
+    super(
+      `${message} at ${location}`,
+      Object.hasOwn(diagnostic, 'cause') ? { cause: diagnostic.cause }
+        : undefined,
+    );
+
+    this.name = 'InvalidOpenApiError';
+
+    /** Stable identifier of the problem (e.g. <code>NON_OBJECT_SCHEMA</code>).
+     *
+     * @type {string}
+     */
+    this.code = code;
+
+    /** JSON Pointer (RFC 6901) of the location of the problem.
+     *
+     * @type {string}
+     */
+    this.pointer = pointer;
+
+    /** URI of the document which {@link #pointer} refers to, if it is not
+     * the document being transformed.
+     *
+     * @type {string|undefined}
+     */
+    this.documentUri = documentUri;
+
+    /** Value which caused the problem.
+     *
+     * @type {*}
+     */
+    this.value = value;
+
+    /** Type of value expected at {@link #pointer} (<code>'object'</code>,
+     * <code>'Array'</code>, or <code>'string'</code>), or undefined if the
+     * problem is not a value with an unexpected type.
+     *
+     * @type {string|undefined}
+     */
+    this.expectedType = getExpectedType(code);
+  }
+}
+
+module.exports = InvalidOpenApiError;
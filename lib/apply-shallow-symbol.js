@@ -0,0 +1,27 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+/** Symbol for the transformer method which applies a transform method to a
+ * value without transforming its children, as if by another transformer
+ * which has already transformed them.
+ *
+ * The method is called with <code>this</code> bound to the transformer and
+ * is passed the transform method, an Array of arguments, and the other
+ * transformer.  While the method is applied, <code>transformPath</code>,
+ * <code>transformAncestors</code>, and <code>transformRefs</code> have the
+ * values of the other transformer and visited methods return their first
+ * argument unchanged.  It returns the result of the method, or the first
+ * argument if the method returned {@link
+ * module:openapi-transformer-base.SKIP} or {@link
+ * module:openapi-transformer-base.STOP}.  It is used by {@link
+ * module:"openapi-transformer-base/compose-transformers.js"} to apply the
+ * methods of each composed transformer to values transformed by the
+ * composition.
+ *
+ * @type {symbol}
+ */
+module.exports = Symbol('applyShallow');
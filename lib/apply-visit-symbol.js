@@ -0,0 +1,20 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+/** Symbol for an optional transformer method which {@link
+ * module:"openapi-transformer-base/visit.js"} calls, if present, to apply the
+ * visited method, instead of calling the visited method directly.
+ *
+ * The method is called with <code>this</code> bound to the transformer and
+ * is passed the visited method and an Array of arguments, after the visited
+ * property name has been added to <code>transformPath</code>.  It is used by
+ * {@link module:"openapi-transformer-base/async.js"} to run each visited
+ * method in its own asynchronous context.
+ *
+ * @type {symbol}
+ */
+module.exports = Symbol('applyVisit');
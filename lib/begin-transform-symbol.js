@@ -0,0 +1,22 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+/** Symbol for the transformer method which {@link
+ * module:openapi-transformer-base#transformOpenApi} calls with the OpenAPI
+ * Object before transforming it.
+ *
+ * The method resets the diagnostics, patch, and other state from any
+ * previous transformation and records the OpenAPI Object and its version,
+ * against which $refs are resolved and properties are checked.  It is called
+ * by {@link module:"openapi-transformer-base/compose-transformers.js"} to
+ * prepare each composed transformer, since their
+ * <code>transformOpenApi</code> methods are not called until the rest of the
+ * document has been transformed.
+ *
+ * @type {symbol}
+ */
+module.exports = Symbol('beginTransform');
@@ -0,0 +1,25 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+/** Symbol for the transformer method which is called instead of applying a
+ * visited method when the <code>stackSafe</code> option is true and the
+ * visited methods currently being applied are nested too deeply.
+ *
+ * The method is called with <code>this</code> bound to the transformer and
+ * is passed the visited method and an Array of arguments, with
+ * <code>transformPath</code>, <code>transformAncestors</code>, and
+ * <code>transformRefs</code> as they would be for the visited method.  It
+ * returns a value to use in place of the result of the visited method, and
+ * arranges for the visited method to be applied once the stack has unwound.
+ * {@link module:openapi-transformer-base} returns the first argument, then
+ * applies the method and replaces it in the result of the outermost visited
+ * method.  {@link module:"openapi-transformer-base/async.js"} returns a
+ * Promise for the result of applying the method in a microtask.
+ *
+ * @type {symbol}
+ */
+module.exports = Symbol('deferVisit');
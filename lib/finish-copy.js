@@ -0,0 +1,26 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const omitRemoved = require('./omit-removed.js');
+const originalIfUnchanged = require('./original-if-unchanged.js');
+
+/** Finishes a copy of a value being transformed, which has had transformed
+ * property values assigned to it.
+ *
+ * @template T
+ * @param {T} original Value being transformed.
+ * @param {T} copy Copy of original with transformed property values, which
+ * is modified.
+ * @returns {T} original if it is the same as copy, without properties or
+ * Array items with value {@link module:openapi-transformer-base.REMOVE}.
+ * Otherwise, copy without those properties or items.
+ */
+module.exports =
+function finishCopy(original, copy) {
+  return copy === original ? original
+    : originalIfUnchanged(original, omitRemoved(copy));
+};
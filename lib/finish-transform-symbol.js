@@ -0,0 +1,24 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+/** Symbol for the transformer method which {@link
+ * module:openapi-transformer-base#transformOpenApi} calls with the OpenAPI
+ * Object and the transformed OpenAPI Object before returning the latter.
+ *
+ * The method sets the patch (if the <code>recordPatch</code> option is
+ * true) to the operations recorded during the traversal, or to the patch
+ * passed as an optional third argument by a transformer which traversed the
+ * document in its place (e.g. a composition).  It then throws an
+ * <code>AggregateError</code> if the <code>strict</code> option is
+ * <code>'aggregate'</code> and any errors were found, otherwise it returns
+ * the transformed OpenAPI Object.  It is
+ * overridden by {@link module:"openapi-transformer-base/async.js"} to defer
+ * these until all asynchronous branches of the traversal have completed.
+ *
+ * @type {symbol}
+ */
+module.exports = Symbol('finishTransform');
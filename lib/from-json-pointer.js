@@ -0,0 +1,31 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+/** Convert a JSON Pointer (RFC 6901) to an Array of property names.
+ *
+ * @param {string} pointer JSON Pointer.
+ * @returns {!Array<string>} Property names.
+ * @throws {SyntaxError} If pointer is not a valid JSON Pointer.
+ */
+module.exports =
+function fromJsonPointer(pointer) {
+  if (pointer === '') {
+    return [];
+  }
+
+  if (!pointer.startsWith('/')) {
+    throw new SyntaxError(`JSON Pointer must start with /: ${pointer}`);
+  }
+
+  if (/~(?![01])/.test(pointer)) {
+    throw new SyntaxError(`Invalid escape in JSON Pointer: ${pointer}`);
+  }
+
+  return pointer.slice(1)
+    .split('/')
+    .map((p) => p.replaceAll('~1', '/').replaceAll('~0', '~'));
+};
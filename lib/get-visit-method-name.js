@@ -0,0 +1,17 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+/** Gets the name of the visit method of OpenApiVisitorBase which corresponds
+ * to a transform method of OpenApiTransformerBase.
+ *
+ * @param {string} methodName Name of transform method.
+ * @returns {string} Name of visit method.
+ */
+module.exports =
+function getVisitMethodName(methodName) {
+  return `visit${methodName.slice('transform'.length)}`;
+};
@@ -0,0 +1,36 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const REMOVE = require('./remove-symbol.js');
+
+const { isArray } = Array;
+
+/** Removes properties and Array items with value REMOVE from a transformed
+ * object or Array.
+ *
+ * @template T
+ * @param {T} value Transformed object or Array, which is modified.
+ * @returns {T} value, without properties or items with value REMOVE.
+ */
+module.exports =
+function omitRemoved(value) {
+  if (isArray(value)) {
+    for (let i = value.length - 1; i >= 0; i -= 1) {
+      if (value[i] === REMOVE) {
+        value.splice(i, 1);
+      }
+    }
+  } else if (typeof value === 'object' && value !== null) {
+    for (const [propName, propValue] of Object.entries(value)) {
+      if (propValue === REMOVE) {
+        delete value[propName];
+      }
+    }
+  }
+
+  return value;
+};
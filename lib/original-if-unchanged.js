@@ -0,0 +1,46 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const { isArray } = Array;
+
+/** Returns an object, or a modified copy of it if the copy differs.
+ *
+ * Used by transform methods, which copy the object being transformed before
+ * assigning transformed property values to the copy, to return the object
+ * being transformed when none of its property values were changed.
+ *
+ * @template T
+ * @param {T} original Object which was copied.
+ * @param {T} copy Copy of original, which may have been modified.
+ * @returns {T} original if copy has the same own enumerable string-keyed
+ * properties as original, with identical values.  Otherwise copy.
+ */
+module.exports =
+function originalIfUnchanged(original, copy) {
+  if (copy === original
+    || typeof original !== 'object'
+    || original === null
+    || typeof copy !== 'object'
+    || copy === null
+    || isArray(original) !== isArray(copy)) {
+    return copy;
+  }
+
+  const copyEntries = Object.entries(copy);
+  if (copyEntries.length !== Object.keys(original).length
+    || (isArray(original) && original.length !== copy.length)) {
+    return copy;
+  }
+
+  for (const [propName, value] of copyEntries) {
+    if (value !== original[propName] || !Object.hasOwn(original, propName)) {
+      return copy;
+    }
+  }
+
+  return original;
+};
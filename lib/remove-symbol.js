@@ -0,0 +1,15 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+/** Symbol which transform methods return to remove the value they were
+ * called on from the transformed object or Array which contains it.
+ *
+ * Exposed as {@link module:openapi-transformer-base.REMOVE}.
+ *
+ * @type {symbol}
+ */
+module.exports = Symbol('REMOVE');
@@ -0,0 +1,19 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+/** Names of methods of OpenApiTransformerBase which transform a Schema
+ * Object in a particular location, and call
+ * {@link module:openapi-transformer-base#transformSchema} by default.
+ *
+ * @type {!Set<string>}
+ */
+module.exports = new Set([
+  'transformHeaderSchema',
+  'transformParameterSchema',
+  'transformRequestBodySchema',
+  'transformResponseSchema',
+]);
@@ -0,0 +1,15 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+/** Symbol which visited methods return to leave the value they were called
+ * on unchanged, without (or regardless of) transforming its children.
+ *
+ * Exposed as {@link module:openapi-transformer-base.SKIP}.
+ *
+ * @type {symbol}
+ */
+module.exports = Symbol('SKIP');
@@ -0,0 +1,16 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+/** Symbol which visited methods return to leave the value they were called
+ * on unchanged and end the traversal, so that no further visited methods
+ * are called.
+ *
+ * Exposed as {@link module:openapi-transformer-base.STOP}.
+ *
+ * @type {symbol}
+ */
+module.exports = Symbol('STOP');
@@ -12,8 +12,7 @@
  */
 module.exports =
 function toJsonPointer(propPath) {
-  // eslint-disable-next-line prefer-template
-  return '/' + propPath
-    .map((p) => p.replaceAll('~', '~0').replaceAll('/', '~1'))
-    .join('/');
+  return propPath
+    .map((p) => `/${p.replaceAll('~', '~0').replaceAll('/', '~1')}`)
+    .join('');
 };
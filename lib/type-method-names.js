@@ -0,0 +1,24 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const OpenApiTransformerBase = require('../index.js');
+
+/** Names of methods of OpenApiTransformerBase which transform values of a
+ * particular type.
+ *
+ * transformArray and transformMap are excluded, since they only traverse
+ * values of other types.  transformOpenApi is excluded, since it begins and
+ * finishes a traversal rather than being visited.
+ *
+ * @type {!Array<string>}
+ */
+module.exports =
+  Object.getOwnPropertyNames(OpenApiTransformerBase.prototype)
+    .filter((propName) => propName.startsWith('transform')
+      && propName !== 'transformArray'
+      && propName !== 'transformMap'
+      && propName !== 'transformOpenApi');
@@ -0,0 +1,50 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const visitProp = require('./visit-prop.js');
+
+const { isArray } = Array;
+
+/** Visits the {@link
+ * https://github.com/OAI/OpenAPI-Specification/blob/main/versions/3.0.2.md#specificationExtensions
+ * Specification Extensions} (i.e. properties starting with "x-") of an
+ * OpenAPI object being transformed with transformExtension, as for
+ * visitProp.
+ *
+ * @param {!module:openapi-transformer-base} transformer Transformer on which
+ * to call transformExtension.
+ * @param {*} original Value being transformed.
+ * @param {*} copy Copy of original with transformed property values, or
+ * original if no property values have changed.  If not original, it is
+ * modified.
+ * @param {string} ownerType Type of original (as in transformAncestors).
+ * @returns {*} copy with transformed extension values, or original if copy
+ * is original and every extension value was returned unchanged.
+ */
+module.exports =
+function visitExtensions(transformer, original, copy, ownerType) {
+  if (typeof original !== 'object' || original === null || isArray(original)) {
+    return copy;
+  }
+
+  let newCopy = copy;
+  for (const [propName, propValue] of Object.entries(original)) {
+    if (propValue !== undefined && propName.startsWith('x-')) {
+      newCopy = visitProp(
+        transformer,
+        original,
+        newCopy,
+        propName,
+        transformer.transformExtension,
+        propName,
+        ownerType,
+      );
+    }
+  }
+
+  return newCopy;
+};
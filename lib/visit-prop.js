@@ -0,0 +1,51 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const visit = require('../visit.js');
+
+const { isArray } = Array;
+const { slice } = Array.prototype;
+
+/** Visits a property of a value being transformed and assigns the result to
+ * a copy of the value, which is created when the result first differs from
+ * the property value.
+ *
+ * This avoids allocating copies of values which are not changed by the
+ * transformation (e.g. when traversing without modification).
+ *
+ * @template ArgsType
+ * @param {!module:openapi-transformer-base} transformer Transformer on which
+ * to call method.
+ * @param {!object} original Value being transformed.
+ * @param {!object} copy Copy of original with transformed property values,
+ * or original if no property values have changed.  If not original, it is
+ * modified.
+ * @param {string} propName Name of property to visit.
+ * @param {function(this:!module:openapi-transformer-base, ...ArgsType): *}
+ * method Method to call on the property value.
+ * @param {...ArgsType} args Additional arguments to method.
+ * @returns {!object} copy with the transformed property value, or original
+ * if copy is original and the property value was returned unchanged.
+ */
+module.exports =
+function visitProp(transformer, original, copy, propName, method, ...args) {
+  const value = original[propName];
+  const result = visit(transformer, method, propName, value, ...args);
+  if (copy !== original) {
+    copy[propName] = result;
+    return copy;
+  }
+
+  if (result === value && Object.hasOwn(original, propName)) {
+    return original;
+  }
+
+  // Note: Array#slice preserves holes, unlike spread syntax.
+  const newCopy = isArray(original) ? slice.call(original) : { ...original };
+  newCopy[propName] = result;
+  return newCopy;
+};
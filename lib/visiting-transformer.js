@@ -0,0 +1,84 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const OpenApiTransformerBase = require('../index.js');
+const getVisitMethodName = require('./get-visit-method-name.js');
+const typeMethodNames = require('./type-method-names.js');
+
+const { STOP } = OpenApiTransformerBase;
+
+/** Transformer which traverses a document for an OpenApiVisitorBase by
+ * calling its visit methods, and returns each value unchanged (so no
+ * objects are copied).
+ *
+ * Has a transform method for each visit method of OpenApiVisitorBase.
+ */
+class VisitingTransformer extends OpenApiTransformerBase {
+  static {
+    for (const methodName of typeMethodNames) {
+      const visitMethodName = getVisitMethodName(methodName);
+      Object.defineProperty(this.prototype, methodName, {
+        configurable: true,
+        value: {
+          [methodName](value, ...args) {
+            const result = this.#visitor[visitMethodName](value, ...args);
+            return result === STOP ? result : value;
+          },
+        }[methodName],
+        writable: true,
+      });
+    }
+  }
+
+  /** Visitor whose visit methods are called.
+   *
+   * @type {!module:"openapi-transformer-base/visitor.js"}
+   */
+  #visitor;
+
+  /** Constructs a VisitingTransformer.
+   *
+   * @param {!module:"openapi-transformer-base/visitor.js"} visitor Visitor
+   * whose visit methods are called.
+   * @param {!object=} options Options for OpenApiTransformerBase.
+   */
+  constructor(visitor, options) {
+    super(options);
+    this.#visitor = visitor;
+  }
+
+  /** Adds a diagnostic using the visitor.
+   *
+   * @param {string} code Stable identifier of the condition.
+   * @param {string} message Description of the condition.
+   * @param {*} value Value which caused the diagnostic.
+   * @param {*=} cause Error which caused the diagnostic, if any.
+   */
+  addDiagnostic(code, message, value, cause) {
+    this.#visitor.addDiagnostic(code, message, value, cause);
+  }
+
+  /** Loads a document using the visitor.
+   *
+   * @param {!URL} url URL of document to load.
+   * @returns {*} Loaded document.
+   */
+  loadDocument(url) {
+    return this.#visitor.loadDocument(url);
+  }
+
+  /** Logs a warning using the visitor.
+   *
+   * @param {string} message Message with zero or more substitution strings.
+   * @param {...*} values Values to log.
+   */
+  warn(message, ...values) {
+    this.#visitor.warn(message, ...values);
+  }
+}
+
+module.exports = VisitingTransformer;
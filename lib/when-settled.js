@@ -0,0 +1,38 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+/** Calls a function with the resolved value of a Promise.
+ *
+ * @private
+ * @template T, R
+ * @param {!Promise<T>} promise Promise for value.
+ * @param {function(T): R} onSettled Function to call with value.
+ * @returns {!Promise<R>} Promise for the result of onSettled.
+ */
+async function callWhenResolved(promise, onSettled) {
+  return onSettled(await promise);
+}
+
+/** Calls a function with a value, or with the value it resolves to if it is
+ * a Promise (or other thenable).
+ *
+ * Used to handle the results of transform methods, which are Promises
+ * when returned by asynchronous subclasses and must be handled without
+ * delay otherwise.
+ *
+ * @template T, R
+ * @param {T|!Promise<T>} value Value, or Promise for value.
+ * @param {function(T): R} onSettled Function to call with value.
+ * @returns {R|!Promise<R>} Result of onSettled, or a Promise for it if
+ * value is a Promise.
+ */
+module.exports =
+function whenSettled(value, onSettled) {
+  return typeof value?.then === 'function'
+    ? callWhenResolved(value, onSettled)
+    : onSettled(value);
+};
@@ -0,0 +1,95 @@
+/**
+ * Fixtures and transform methods shared by tests.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @private
+ */
+
+'use strict';
+
+const { setImmediate: setImmediateP } = require('node:timers/promises');
+
+const deepFreeze = require('deep-freeze');
+
+const AsyncOpenApiTransformerBase = require('../async.js');
+const OpenApiTransformerBase = require('../index.js');
+
+/** OpenAPI 3 document with a variety of object types, including integer
+ * Schema Objects and Reference Objects.
+ *
+ * @type {!object}
+ */
+exports.petstore = deepFreeze(require('../test/fixtures/petstore.json'));
+
+/** Converts an integer Schema Object to a number Schema Object.
+ *
+ * @param {!object} schema Schema Object.
+ * @returns {!object|undefined} Copy of schema with type number, if schema
+ * has type integer.  Otherwise undefined.
+ */
+function integerSchemaToNumber(schema) {
+  return schema.type === 'integer' ? { ...schema, type: 'number' }
+    : undefined;
+}
+exports.integerSchemaToNumber = integerSchemaToNumber;
+
+/** transformSchema method which converts integer Schema Objects to number.
+ *
+ * @this {!OpenApiTransformerBase}
+ * @param {!object} schema Schema Object.
+ * @returns {!object} Transformed Schema Object.
+ */
+exports.integerToNumber = function integerToNumber(schema) {
+  const newSchema =
+    OpenApiTransformerBase.prototype.transformSchema.call(this, schema);
+  return integerSchemaToNumber(newSchema) ?? newSchema;
+};
+
+/** transformSchema method which converts integer Schema Objects to number
+ * after waiting for pending callbacks, so transformations interleave.
+ *
+ * @this {!AsyncOpenApiTransformerBase}
+ * @param {!object} schema Schema Object.
+ * @returns {!Promise<!object>} Transformed Schema Object.
+ */
+exports.integerToNumberAsync = async function integerToNumberAsync(schema) {
+  await setImmediateP();
+  const newSchema = await AsyncOpenApiTransformerBase.prototype.transformSchema
+    .call(this, schema);
+  return integerSchemaToNumber(newSchema) ?? newSchema;
+};
+
+/** Waits for a given number of turns of the event loop.
+ *
+ * @param {number} count Number of turns to wait.
+ * @returns {!Promise<void>} Promise which is resolved after count calls to
+ * setImmediate callbacks.
+ */
+exports.waitImmediates = async function waitImmediates(count) {
+  if (count <= 0) {
+    return;
+  }
+
+  await setImmediateP();
+  await waitImmediates(count - 1);
+};
+
+/** Makes an OpenAPI 2 document with a Schema Object nested to a given depth.
+ *
+ * @param {number} depth Number of nested properties.
+ * @returns {!object} OpenAPI document where the Schema Object at
+ * #/definitions/Deep has depth nested child properties, with the innermost
+ * of type integer.
+ */
+exports.makeDeepOpenApi = function makeDeepOpenApi(depth) {
+  const root = { type: 'object' };
+  let schema = root;
+  for (let i = 0; i < depth; i += 1) {
+    const child = { type: 'object' };
+    schema.properties = { child };
+    schema = child;
+  }
+  schema.type = 'integer';
+  return { swagger: '2.0', definitions: { Deep: root } };
+};
@@ -0,0 +1,687 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @private
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const { setImmediate: setImmediateP } = require('node:timers/promises');
+
+const deepFreeze = require('deep-freeze');
+
+const AsyncOpenApiTransformerBase = require('../async.js');
+const OpenApiTransformerBase = require('../index.js');
+const {
+  integerToNumberAsync,
+  makeDeepOpenApi,
+  waitImmediates,
+} = require('../test-lib/transform-helpers.js');
+
+const { transformSchema } = AsyncOpenApiTransformerBase.prototype;
+
+describe('AsyncOpenApiTransformerBase', () => {
+  it('throws RangeError for concurrency 0', () => {
+    assert.throws(
+      () => new AsyncOpenApiTransformerBase({ concurrency: 0 }),
+      RangeError,
+    );
+  });
+
+  it('throws RangeError for non-integer concurrency', () => {
+    assert.throws(
+      () => new AsyncOpenApiTransformerBase({ concurrency: 1.5 }),
+      RangeError,
+    );
+  });
+
+  describe('#transformOpenApi()', () => {
+    it('returns a Promise for an equivalent document', async () => {
+      const openApi = deepFreeze({
+        openapi: '3.1.0',
+        info: { title: 'Title', version: '1.0' },
+        paths: {
+          '/pets': {
+            get: {
+              parameters: [{ name: 'q', in: 'query', schema: {} }],
+              responses: {
+                200: {
+                  content: {
+                    'application/json': {
+                      schema: { items: { type: 'integer' } },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+        'x-ms-parameterized-host': {
+          hostTemplate: 'example.{tld}',
+          parameters: [{ name: 'tld', in: 'path' }],
+        },
+      });
+      const t = new AsyncOpenApiTransformerBase();
+      const result = t.transformOpenApi(openApi);
+      assert(result instanceof Promise);
+      assert.deepStrictEqual(await result, openApi);
+    });
+
+    it('resolves values returned asynchronously', async () => {
+      const openApi = deepFreeze({
+        components: {
+          schemas: {
+            A: {
+              properties: {
+                b: { type: 'integer' },
+                c: { items: [{ type: 'integer' }] },
+              },
+              patternProperties: {
+                '^x': { type: 'integer' },
+              },
+            },
+          },
+        },
+      });
+      const t = new AsyncOpenApiTransformerBase();
+      t.transformSchema = integerToNumberAsync;
+      assert.deepStrictEqual(
+        await t.transformOpenApi(openApi),
+        {
+          components: {
+            schemas: {
+              A: {
+                properties: {
+                  b: { type: 'number' },
+                  c: { items: [{ type: 'number' }] },
+                },
+                patternProperties: {
+                  '^x': { type: 'number' },
+                },
+              },
+            },
+          },
+        },
+      );
+    });
+
+    it('keeps transformPath for each branch after await', async () => {
+      const paths = [];
+      const openApi = deepFreeze({
+        definitions: {
+          a: { wait: 3, properties: { c: { wait: 0 } } },
+          b: { wait: 0, properties: { d: { wait: 2 } } },
+        },
+      });
+      const t = new AsyncOpenApiTransformerBase();
+      t.transformSchema = async function(schema) {
+        const pathBefore = [...this.transformPath];
+        // Wait a different amount for each schema to interleave branches
+        await waitImmediates(schema.wait);
+        const result = await transformSchema.call(this, schema);
+        paths.push([pathBefore, [...this.transformPath]]);
+        return result;
+      };
+      await t.transformOpenApi(openApi);
+      for (const [pathBefore, pathAfter] of paths) {
+        assert.deepStrictEqual(pathAfter, pathBefore);
+      }
+      assert.deepStrictEqual(
+        paths
+          .map(([pathBefore]) => pathBefore.join('/'))
+          .toSorted((a, b) => a.localeCompare(b)),
+        [
+          'definitions/a',
+          'definitions/a/properties/c',
+          'definitions/b',
+          'definitions/b/properties/d',
+        ],
+      );
+      assert.deepStrictEqual(t.transformPath, []);
+    });
+
+    it('keeps transformAncestors for each branch after await', async () => {
+      const keysByName = {};
+      const openApi = deepFreeze({
+        tags: [{ name: 'a' }, { name: 'b' }],
+      });
+      const t = new AsyncOpenApiTransformerBase();
+      t.transformTag = async function(tag) {
+        await setImmediateP();
+        if (tag.name === 'a') {
+          await setImmediateP();
+        }
+        keysByName[tag.name] = this.transformAncestors.map(({ key }) => key);
+        return tag;
+      };
+      await t.transformOpenApi(openApi);
+      assert.deepStrictEqual(keysByName, {
+        a: ['tags', '0'],
+        b: ['tags', '1'],
+      });
+      assert.deepStrictEqual(t.transformAncestors, []);
+    });
+
+    it('resolves to same document if unchanged', async () => {
+      const openApi = deepFreeze({
+        openapi: '3.1.0',
+        paths: {
+          '/': {
+            get: {
+              parameters: [{ name: 'q', in: 'query', schema: {} }],
+              responses: { 200: { description: 'OK' } },
+            },
+          },
+        },
+        tags: [{ name: 'a' }],
+      });
+      const t = new AsyncOpenApiTransformerBase();
+      t.transformTag = async (tag) => {
+        await setImmediateP();
+        return tag;
+      };
+      assert.strictEqual(await t.transformOpenApi(openApi), openApi);
+    });
+
+    it('shares unchanged values with changed document', async () => {
+      const openApi = deepFreeze({
+        definitions: { A: {} },
+        tags: [{ name: 'a' }, { name: 'b' }],
+      });
+      const t = new AsyncOpenApiTransformerBase();
+      t.transformTag = async (tag) => {
+        await setImmediateP();
+        return tag.name === 'b' ? { ...tag, description: 'B' } : tag;
+      };
+      const result = await t.transformOpenApi(openApi);
+      assert.strictEqual(result.definitions, openApi.definitions);
+      assert.notStrictEqual(result.tags, openApi.tags);
+      assert.strictEqual(result.tags[0], openApi.tags[0]);
+      assert.deepStrictEqual(result.tags[1], { name: 'b', description: 'B' });
+    });
+
+    it('does not modify objects returned by transform methods', async () => {
+      const openApi = deepFreeze({
+        swagger: '2.0',
+        info: { title: 'Title', version: '1.0' },
+        paths: {},
+      });
+      const t = new AsyncOpenApiTransformerBase();
+      const contactP = setImmediateP({ name: 'Contact' });
+      const newInfo = Object.freeze({
+        ...openApi.info,
+        contact: contactP,
+        'x-removed': OpenApiTransformerBase.REMOVE,
+      });
+      t.transformInfo = () => newInfo;
+      assert.deepStrictEqual(await t.transformOpenApi(openApi), {
+        ...openApi,
+        info: {
+          title: 'Title',
+          version: '1.0',
+          contact: { name: 'Contact' },
+        },
+      });
+      assert.strictEqual(newInfo.contact, contactP);
+    });
+
+    it('resolves values in the same object in each call', async () => {
+      const openApi = deepFreeze({
+        swagger: '2.0',
+        info: { title: 'Title', version: '1.0' },
+        paths: {},
+      });
+      const t = new AsyncOpenApiTransformerBase();
+      const newInfo = { ...openApi.info };
+      t.transformInfo = () => newInfo;
+      newInfo.contact = setImmediateP({ name: 'A' });
+      const newOpenApiA = await t.transformOpenApi(openApi);
+      assert.deepStrictEqual(newOpenApiA.info.contact, { name: 'A' });
+      newInfo.contact = setImmediateP({ name: 'B' });
+      const newOpenApiB = await t.transformOpenApi(openApi);
+      assert.deepStrictEqual(newOpenApiB.info.contact, { name: 'B' });
+    });
+
+    it('limits concurrent child transforms to concurrency', async () => {
+      let active = 0;
+      let maxActive = 0;
+      const openApi = deepFreeze({
+        tags: [{ name: 'a' }, { name: 'b' }, { name: 'c' }, { name: 'd' }],
+      });
+      const t = new AsyncOpenApiTransformerBase({ concurrency: 2 });
+      t.transformTag = async (tag) => {
+        active += 1;
+        maxActive = Math.max(maxActive, active);
+        await setImmediateP();
+        active -= 1;
+        return tag;
+      };
+      assert.deepStrictEqual(await t.transformOpenApi(openApi), openApi);
+      assert.strictEqual(maxActive, 2);
+    });
+
+    it('limits concurrent transforms at any depth to concurrency', async () => {
+      let active = 0;
+      let maxActive = 0;
+      async function work() {
+        active += 1;
+        maxActive = Math.max(maxActive, active);
+        await setImmediateP();
+        await setImmediateP();
+        active -= 1;
+      }
+
+      const responses = {
+        200: { description: 'OK' },
+        400: { description: 'Bad Request' },
+        500: { description: 'Error' },
+      };
+      const pathItem = { get: { responses }, put: { responses } };
+      const openApi = deepFreeze({
+        openapi: '3.1.0',
+        paths: { '/a': pathItem, '/b': pathItem, '/c': pathItem },
+      });
+      const t = new AsyncOpenApiTransformerBase({ concurrency: 2 });
+      t.transformPathItem = async function(value) {
+        await work();
+        return AsyncOpenApiTransformerBase.prototype.transformPathItem
+          .call(this, value);
+      };
+      t.transformResponse = async (response) => {
+        await work();
+        return response;
+      };
+      assert.strictEqual(await t.transformOpenApi(openApi), openApi);
+      assert.strictEqual(maxActive, 2);
+    });
+
+    it('transforms children sequentially with concurrency 1', async () => {
+      const order = [];
+      const openApi = deepFreeze({ tags: [{ name: 'a' }, { name: 'b' }] });
+      const t = new AsyncOpenApiTransformerBase({ concurrency: 1 });
+      t.transformTag = async (tag) => {
+        order.push(`start ${tag.name}`);
+        await setImmediateP();
+        order.push(`end ${tag.name}`);
+        return tag;
+      };
+      await t.transformOpenApi(openApi);
+      assert.deepStrictEqual(order, ['start a', 'end a', 'start b', 'end b']);
+    });
+
+    it('rejects with transformPath of rejected method', async () => {
+      const errTest = new Error('test');
+      const openApi = deepFreeze({
+        paths: { '/a': { get: { externalDocs: {} } } },
+      });
+      const t = new AsyncOpenApiTransformerBase();
+      t.transformExternalDocs = async () => {
+        await setImmediateP();
+        throw errTest;
+      };
+      await assert.rejects(
+        () => t.transformOpenApi(openApi),
+        (err) => {
+          assert.strictEqual(err, errTest);
+          assert.deepStrictEqual(
+            err.transformPath,
+            ['paths', '/a', 'get', 'externalDocs'],
+          );
+          return true;
+        },
+      );
+    });
+  });
+
+  describe('with strict', () => {
+    it('rejects with InvalidOpenApiError', async () => {
+      const t = new AsyncOpenApiTransformerBase({ strict: true });
+      const openApi = deepFreeze({ paths: { '/': { get: null } } });
+      await assert.rejects(
+        () => t.transformOpenApi(openApi),
+        {
+          name: 'InvalidOpenApiError',
+          code: 'NON_OBJECT_OPERATION',
+          pointer: '/paths/~1/get',
+        },
+      );
+    });
+
+    it('rejects with AggregateError after all branches complete', async () => {
+      const t = new AsyncOpenApiTransformerBase({ strict: 'aggregate' });
+      t.transformTag = async function(tag) {
+        await setImmediateP();
+        this.addDiagnostic('TEST_TAG', 'Test tag', tag);
+        return tag;
+      };
+      const openApi = deepFreeze({
+        definitions: { A: 1 },
+        tags: [{ name: 'a' }],
+      });
+      await assert.rejects(
+        () => t.transformOpenApi(openApi),
+        (err) => {
+          assert(err instanceof AggregateError);
+          assert.deepStrictEqual(
+            err.errors
+              .map(({ code }) => code)
+              .toSorted((a, b) => a.localeCompare(b)),
+            ['NON_OBJECT_SCHEMA', 'TEST_TAG'],
+          );
+          return true;
+        },
+      );
+    });
+  });
+
+  describe('with recordPatch', () => {
+    it('has operations for values changed asynchronously', async () => {
+      const t = new AsyncOpenApiTransformerBase({ recordPatch: true });
+      t.transformTag = async (tag) => {
+        await setImmediateP();
+        return { ...tag, description: tag.name.toUpperCase() };
+      };
+      const openApi = deepFreeze({ tags: [{ name: 'a' }, { name: 'b' }] });
+      await t.transformOpenApi(openApi);
+      assert.deepStrictEqual(t.patch, [
+        { op: 'add', path: '/tags/0/description', value: 'A' },
+        { op: 'add', path: '/tags/1/description', value: 'B' },
+      ]);
+    });
+
+    it('has remove operations last for concurrent removes', async () => {
+      const t = new AsyncOpenApiTransformerBase({ recordPatch: true });
+      t.transformTag = async (tag) => {
+        // Finish in reverse order
+        await waitImmediates(100 - tag.name.codePointAt(0));
+        return tag.name === 'b' ? { name: 'B' } : OpenApiTransformerBase.REMOVE;
+      };
+      const openApi = deepFreeze({
+        tags: [{ name: 'a' }, { name: 'b' }, { name: 'c' }],
+      });
+      assert.deepStrictEqual(
+        await t.transformOpenApi(openApi),
+        { tags: [{ name: 'B' }] },
+      );
+      assert.deepStrictEqual(t.patch, [
+        { op: 'replace', path: '/tags/1/name', value: 'B' },
+        { op: 'remove', path: '/tags/2' },
+        { op: 'remove', path: '/tags/0' },
+      ]);
+    });
+
+    it('has operations for changes to objects returned by super', async () => {
+      const t = new AsyncOpenApiTransformerBase({ recordPatch: true });
+      t.transformContact = async (contact) => {
+        await setImmediateP();
+        return { ...contact, name: 'B' };
+      };
+      t.transformInfo = async function(info) {
+        const newInfo = await AsyncOpenApiTransformerBase.prototype
+          .transformInfo.call(this, info);
+        return { ...newInfo, title: 'Changed' };
+      };
+      await t.transformOpenApi(deepFreeze({
+        info: { title: 'Title', contact: { name: 'A' } },
+      }));
+      assert.deepStrictEqual(t.patch, [
+        { op: 'replace', path: '/info/contact/name', value: 'B' },
+        { op: 'replace', path: '/info/title', value: 'Changed' },
+      ]);
+    });
+  });
+
+  describe('with memoize', () => {
+    it('transforms shared object once', async () => {
+      let callCount = 0;
+      const tag = { name: 'a' };
+      const openApi = deepFreeze({ tags: [tag, tag] });
+      const t = new AsyncOpenApiTransformerBase({ memoize: true });
+      t.transformTag = async (value) => {
+        callCount += 1;
+        await setImmediateP();
+        return { ...value, description: 'A' };
+      };
+      const result = await t.transformOpenApi(openApi);
+      assert.strictEqual(callCount, 1);
+      assert.deepStrictEqual(result.tags[0], { name: 'a', description: 'A' });
+      assert.strictEqual(result.tags[1], result.tags[0]);
+    });
+  });
+
+  describe('with cyclic values', () => {
+    it('returns cycle to transformed value if changed', async () => {
+      const node = { type: 'integer', properties: {} };
+      node.properties.child = node;
+      const openApi = deepFreeze({ definitions: { Node: node } });
+      const t = new AsyncOpenApiTransformerBase();
+      t.transformSchema = integerToNumberAsync;
+      const result = await t.transformOpenApi(openApi);
+      const newNode = result.definitions.Node;
+      assert.strictEqual(newNode.type, 'number');
+      assert.strictEqual(newNode.properties.child, newNode);
+    });
+  });
+
+  describe('with stackSafe', () => {
+    it('transforms deeply nested schemas', async () => {
+      const depth = 1500;
+      const openApi = makeDeepOpenApi(depth);
+      const t = new AsyncOpenApiTransformerBase({ stackSafe: true });
+      t.transformSchema = integerToNumberAsync;
+      const result = await t.transformOpenApi(openApi);
+      let deepest = openApi.definitions.Deep;
+      let newDeepest = result.definitions.Deep;
+      for (let i = 0; i < depth; i += 1) {
+        deepest = deepest.properties.child;
+        newDeepest = newDeepest.properties.child;
+      }
+      assert.strictEqual(newDeepest.type, 'number');
+      assert.strictEqual(deepest.type, 'integer');
+    });
+  });
+
+  describe('.REMOVE', () => {
+    it('is OpenApiTransformerBase.REMOVE', () => {
+      assert.strictEqual(
+        AsyncOpenApiTransformerBase.REMOVE,
+        OpenApiTransformerBase.REMOVE,
+      );
+    });
+
+    it('removes values resolved asynchronously', async () => {
+      const { REMOVE } = AsyncOpenApiTransformerBase;
+      const t = new AsyncOpenApiTransformerBase();
+      t.transformTag = async (tag) => {
+        await setImmediateP();
+        return tag.name === 'b' ? REMOVE : tag;
+      };
+      t.transformInfo = async () => {
+        await setImmediateP();
+        return REMOVE;
+      };
+      const openApi = deepFreeze({
+        info: {},
+        tags: [{ name: 'a' }, { name: 'b' }, { name: 'c' }],
+      });
+      assert.deepStrictEqual(
+        await t.transformOpenApi(openApi),
+        { tags: [{ name: 'a' }, { name: 'c' }] },
+      );
+    });
+  });
+
+  describe('.STOP', () => {
+    const { SKIP, STOP } = AsyncOpenApiTransformerBase;
+
+    it('ends traversal when resolved', async () => {
+      const t = new AsyncOpenApiTransformerBase({ concurrency: 1 });
+      let callCount = 0;
+      t.transformTag = async (tag) => {
+        callCount += 1;
+        await setImmediateP();
+        return tag.name === 'b' ? STOP : { ...tag, description: 'changed' };
+      };
+      const openApi = deepFreeze({
+        tags: [{ name: 'a' }, { name: 'b' }, { name: 'c' }],
+      });
+      assert.deepStrictEqual(
+        await t.transformOpenApi(openApi),
+        {
+          tags: [
+            { name: 'a', description: 'changed' },
+            { name: 'b' },
+            { name: 'c' },
+          ],
+        },
+      );
+      assert.strictEqual(callCount, 2);
+      assert.strictEqual(t.stopped, true);
+    });
+
+    it('keeps value resolved to SKIP', async () => {
+      const t = new AsyncOpenApiTransformerBase();
+      t.transformInfo = async () => {
+        await setImmediateP();
+        return SKIP;
+      };
+      const openApi = deepFreeze({ info: { title: 'Title' } });
+      assert.strictEqual(await t.transformOpenApi(openApi), openApi);
+      assert.strictEqual(t.stopped, false);
+    });
+  });
+
+  describe('enter and leave methods', () => {
+    it('calls leave method with resolved result', async () => {
+      const t = new AsyncOpenApiTransformerBase();
+      const calls = [];
+      t.enterTag = function(tag) {
+        calls.push(['enterTag', this.currentPointer, tag.name]);
+      };
+      t.transformTag = async (tag) => {
+        await setImmediateP();
+        return { ...tag, description: 'changed' };
+      };
+      t.leaveTag = function(newTag, tag) {
+        calls.push([
+          'leaveTag',
+          this.currentPointer,
+          newTag.description,
+          tag.name,
+        ]);
+      };
+      const openApi = deepFreeze({ tags: [{ name: 'a' }] });
+      await t.transformOpenApi(openApi);
+      assert.deepStrictEqual(calls, [
+        ['enterTag', '/tags/0', 'a'],
+        ['leaveTag', '/tags/0', 'changed', 'a'],
+      ]);
+    });
+  });
+
+  describe('with resolveRefs', () => {
+    it('returns unchanged document if no targets changed', async () => {
+      const openApi = deepFreeze({
+        components: {
+          parameters: {
+            A: { name: 'a', in: 'query' },
+          },
+        },
+        paths: {
+          '/': {
+            parameters: [{ $ref: '#/components/parameters/A' }],
+          },
+        },
+      });
+      const t = new AsyncOpenApiTransformerBase({ resolveRefs: true });
+      assert.strictEqual(await t.transformOpenApi(openApi), openApi);
+    });
+
+    it('keeps transformRefs for each branch after await', async () => {
+      const refsByName = {};
+      const openApi = deepFreeze({
+        components: {
+          parameters: {
+            A: { name: 'a', in: 'query' },
+            B: { name: 'b', in: 'query' },
+          },
+        },
+        paths: {
+          '/': {
+            parameters: [
+              { $ref: '#/components/parameters/A' },
+              { $ref: '#/components/parameters/B' },
+            ],
+          },
+        },
+      });
+      const t = new AsyncOpenApiTransformerBase({ resolveRefs: true });
+      t.transformParameter = async function(parameter) {
+        await waitImmediates(parameter.name === 'a' ? 2 : 1);
+        refsByName[parameter.name] ??= [];
+        refsByName[parameter.name].push(
+          this.transformRefs.map(({ $ref }) => $ref),
+        );
+        return { ...parameter };
+      };
+      const result = await t.transformOpenApi(openApi);
+      assert.deepStrictEqual(
+        result.paths['/'].parameters,
+        [
+          { name: 'a', in: 'query' },
+          { name: 'b', in: 'query' },
+        ],
+      );
+      assert.deepStrictEqual(refsByName, {
+        a: [[], ['#/components/parameters/A']],
+        b: [[], ['#/components/parameters/B']],
+      });
+    });
+  });
+
+  describe('#transformArray()', () => {
+    it('resolves Promises returned by its second argument', async () => {
+      const t = new AsyncOpenApiTransformerBase();
+      assert.deepStrictEqual(
+        await t.transformArray([1, 2], async (value) => value * 2),
+        [2, 4],
+      );
+    });
+  });
+
+  describe('#transformMap()', () => {
+    it('resolves Promises returned by its second argument', async () => {
+      const t = new AsyncOpenApiTransformerBase();
+      assert.deepStrictEqual(
+        await t.transformMap({ a: 1, b: 2 }, async (value) => value * 2),
+        { a: 2, b: 4 },
+      );
+    });
+  });
+
+  describe('#transformExtension()', () => {
+    it('resolves Promises for extension values', async () => {
+      const t = new AsyncOpenApiTransformerBase({
+        extensions: [{ name: 'x-acme-schema', type: 'Schema' }],
+      });
+      t.transformSchema = async (schema) => {
+        await setImmediateP();
+        return { ...schema, transformed: true };
+      };
+      t.transformExtension = async function(value, name, ownerType) {
+        const newValue = await AsyncOpenApiTransformerBase.prototype
+          .transformExtension.call(this, value, name, ownerType);
+        return name === 'x-logo' ? { ...newValue, ownerType } : newValue;
+      };
+      const contact = deepFreeze({
+        'x-acme-schema': {},
+        'x-logo': { url: 'logo.png' },
+      });
+      assert.deepStrictEqual(await t.transformContact(contact), {
+        'x-acme-schema': { transformed: true },
+        'x-logo': { url: 'logo.png', ownerType: 'Contact' },
+      });
+    });
+  });
+});
@@ -0,0 +1,371 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @private
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const { setImmediate: setImmediateP } = require('node:timers/promises');
+
+const deepFreeze = require('deep-freeze');
+const sinon = require('sinon');
+
+const AsyncOpenApiTransformerBase = require('../async.js');
+const awsApiGatewayExtensions = require('../aws-api-gateway-extensions.js');
+const OpenApiTransformerBase = require('../index.js');
+const { petstore } = require('../test-lib/transform-helpers.js');
+
+const AwsApiGatewayTransformer =
+  awsApiGatewayExtensions(OpenApiTransformerBase);
+
+const openApi = deepFreeze({
+  ...petstore,
+  components: {
+    ...petstore.components,
+    securitySchemes: {
+      ...petstore.components.securitySchemes,
+      lambda: {
+        type: 'apiKey',
+        name: 'Authorization',
+        in: 'header',
+        'x-amazon-apigateway-authorizer': {
+          type: 'token',
+          authorizerUri: 'arn:aws:apigateway:us-east-1:lambda:path/a',
+        },
+      },
+    },
+  },
+  paths: {
+    '/pets': {
+      ...petstore.paths['/pets'],
+      get: {
+        ...petstore.paths['/pets'].get,
+        'x-amazon-apigateway-integration': {
+          type: 'http',
+          uri: 'https://staging.example.com/pets',
+          responses: {
+            default: {
+              statusCode: '200',
+              responseTemplates: { 'application/json': '$input.body' },
+            },
+          },
+        },
+      },
+    },
+  },
+  'x-amazon-apigateway-request-validators': {
+    all: { validateRequestBody: true, validateRequestParameters: true },
+  },
+});
+
+describe('aws-api-gateway-extensions', () => {
+  it('is not traversed by OpenApiTransformerBase', () => {
+    const t = sinon.spy(new OpenApiTransformerBase());
+    assert.strictEqual(t.transformOpenApi(openApi), openApi);
+    assert.strictEqual(t.transformAmazonApigatewayIntegration, undefined);
+    sinon.assert.calledWith(
+      t.transformOperation,
+      sinon.match.same(openApi.paths['/pets'].get),
+    );
+  });
+
+  it('calls typed methods at their pointers', () => {
+    const t = new AwsApiGatewayTransformer();
+    const pointers = [];
+    for (const methodName of [
+      'transformAmazonApigatewayAuthorizer',
+      'transformAmazonApigatewayIntegration',
+      'transformAmazonApigatewayIntegrationResponse',
+      'transformAmazonApigatewayRequestValidator',
+    ]) {
+      const method = t[methodName];
+      t[methodName] = function(value) {
+        pointers.push([methodName, this.currentPointer]);
+        return method.call(this, value);
+      };
+    }
+
+    assert.strictEqual(t.transformOpenApi(openApi), openApi);
+    assert.deepStrictEqual(pointers, [
+      [
+        'transformAmazonApigatewayAuthorizer',
+        '/components/securitySchemes/lambda/x-amazon-apigateway-authorizer',
+      ],
+      [
+        'transformAmazonApigatewayIntegration',
+        '/paths/~1pets/get/x-amazon-apigateway-integration',
+      ],
+      [
+        'transformAmazonApigatewayIntegrationResponse',
+        '/paths/~1pets/get/x-amazon-apigateway-integration/responses/default',
+      ],
+      [
+        'transformAmazonApigatewayRequestValidator',
+        '/x-amazon-apigateway-request-validators/all',
+      ],
+    ]);
+    assert.deepStrictEqual(t.diagnostics, []);
+  });
+
+  it('can rewrite integration URIs and authorizer ARNs', () => {
+    const t = new AwsApiGatewayTransformer();
+    t.transformAmazonApigatewayIntegration = function(integration) {
+      return {
+        ...AwsApiGatewayTransformer.prototype
+          .transformAmazonApigatewayIntegration.call(this, integration),
+        uri: integration.uri.replace('staging.', 'api.'),
+      };
+    };
+    t.transformAmazonApigatewayAuthorizer = (authorizer) => ({
+      ...authorizer,
+      authorizerUri: authorizer.authorizerUri.replace('us-east-1', 'eu-west-1'),
+    });
+    const newOpenApi = t.transformOpenApi(openApi);
+    assert.strictEqual(
+      newOpenApi.paths['/pets'].get['x-amazon-apigateway-integration'].uri,
+      'https://api.example.com/pets',
+    );
+    const { lambda } = newOpenApi.components.securitySchemes;
+    assert.strictEqual(
+      lambda['x-amazon-apigateway-authorizer'].authorizerUri,
+      'arn:aws:apigateway:eu-west-1:lambda:path/a',
+    );
+    assert.strictEqual(
+      newOpenApi['x-amazon-apigateway-request-validators'],
+      openApi['x-amazon-apigateway-request-validators'],
+    );
+  });
+
+  it('declares extensions in addition to extensions option', () => {
+    const t = sinon.spy(new AwsApiGatewayTransformer({
+      extensions: [{ name: 'x-acme-schema', type: 'Schema' }],
+    }));
+    const operation = deepFreeze({
+      responses: {},
+      'x-acme-schema': {},
+      'x-amazon-apigateway-integration': {},
+    });
+    assert.strictEqual(t.transformOperation(operation), operation);
+    sinon.assert.calledOnce(t.transformSchema);
+    sinon.assert.calledOnce(t.transformAmazonApigatewayIntegration);
+  });
+
+  it('is not traversed on other object types', () => {
+    const t = sinon.spy(new AwsApiGatewayTransformer());
+    const tag = deepFreeze({
+      name: 'pets',
+      'x-amazon-apigateway-integration': {},
+    });
+    assert.strictEqual(t.transformTag(tag), tag);
+    sinon.assert.notCalled(t.transformAmazonApigatewayIntegration);
+  });
+
+  describe('#transformAmazonApigatewayAuthorizer()', () => {
+    it('returns non-object argument unchanged', () => {
+      const t = new AwsApiGatewayTransformer();
+      for (const arg of [undefined, null, false, true, 0, 1, '', 'x', []]) {
+        assert.strictEqual(t.transformAmazonApigatewayAuthorizer(arg), arg);
+      }
+    });
+
+    it('adds diagnostic for non-object', () => {
+      const t = new AwsApiGatewayTransformer();
+      assert.strictEqual(t.transformAmazonApigatewayAuthorizer(1), 1);
+      assert.deepStrictEqual(
+        t.diagnostics.map(({ code }) => code),
+        ['NON_OBJECT_AMAZON_APIGATEWAY_AUTHORIZER'],
+      );
+    });
+  });
+
+  describe('#transformAmazonApigatewayIntegration()', () => {
+    it('returns non-object argument unchanged', () => {
+      const t = new AwsApiGatewayTransformer();
+      for (const arg of [undefined, null, false, true, 0, 1, '', 'x', []]) {
+        assert.strictEqual(t.transformAmazonApigatewayIntegration(arg), arg);
+      }
+    });
+
+    it('calls transformMap on responses', () => {
+      const t = sinon.spy(new AwsApiGatewayTransformer());
+      const integration = deepFreeze({
+        type: 'http',
+        uri: 'https://example.com',
+        responses: { default: { statusCode: '200' } },
+      });
+      assert.strictEqual(
+        t.transformAmazonApigatewayIntegration(integration),
+        integration,
+      );
+      sinon.assert.calledOnceWithExactly(
+        t.transformMap,
+        integration.responses,
+        t.transformAmazonApigatewayIntegrationResponse,
+      );
+      sinon.assert.calledOnceWithExactly(
+        t.transformAmazonApigatewayIntegrationResponse,
+        integration.responses.default,
+      );
+    });
+
+    it('returns copy with transformed responses', () => {
+      const t = new AwsApiGatewayTransformer();
+      t.transformAmazonApigatewayIntegrationResponse = (response) => ({
+        ...response,
+        statusCode: '204',
+      });
+      const integration = deepFreeze({
+        type: 'mock',
+        responses: { default: { statusCode: '200' } },
+      });
+      assert.deepStrictEqual(
+        t.transformAmazonApigatewayIntegration(integration),
+        {
+          type: 'mock',
+          responses: { default: { statusCode: '204' } },
+        },
+      );
+    });
+
+    it('resolves Promises for integration responses when async', async () => {
+      const t = new (awsApiGatewayExtensions(AsyncOpenApiTransformerBase))();
+      t.transformAmazonApigatewayIntegrationResponse = async (response) => {
+        await setImmediateP();
+        return { ...response, statusCode: '204' };
+      };
+      const operation = deepFreeze({
+        responses: {},
+        'x-amazon-apigateway-integration': {
+          type: 'mock',
+          responses: { default: { statusCode: '200' } },
+        },
+      });
+      assert.deepStrictEqual(await t.transformOperation(operation), {
+        responses: {},
+        'x-amazon-apigateway-integration': {
+          type: 'mock',
+          responses: { default: { statusCode: '204' } },
+        },
+      });
+    });
+
+    it('calls transformExtension on extensions', () => {
+      const t = sinon.spy(new AwsApiGatewayTransformer());
+      const integration = deepFreeze({
+        type: 'mock',
+        'x-acme-timeout': 30,
+      });
+      assert.strictEqual(
+        t.transformAmazonApigatewayIntegration(integration),
+        integration,
+      );
+      sinon.assert.calledOnceWithExactly(
+        t.transformExtension,
+        30,
+        'x-acme-timeout',
+        'AmazonApigatewayIntegration',
+      );
+    });
+
+    it('returns unchanged integration when async', async () => {
+      const t = new (awsApiGatewayExtensions(AsyncOpenApiTransformerBase))();
+      t.transformAmazonApigatewayIntegrationResponse = async (response) => {
+        await setImmediateP();
+        return response;
+      };
+      const operation = deepFreeze({
+        responses: {},
+        'x-amazon-apigateway-integration': {
+          type: 'mock',
+          responses: { default: { statusCode: '200' } },
+        },
+      });
+      assert.strictEqual(await t.transformOperation(operation), operation);
+    });
+
+    it('removes integration responses resolved to REMOVE', async () => {
+      const t = new (awsApiGatewayExtensions(AsyncOpenApiTransformerBase))();
+      t.transformAmazonApigatewayIntegrationResponse = async (response) => {
+        await setImmediateP();
+        return response.statusCode === '500' ? OpenApiTransformerBase.REMOVE
+          : response;
+      };
+      const operation = deepFreeze({
+        responses: {},
+        'x-amazon-apigateway-integration': {
+          type: 'mock',
+          responses: {
+            default: { statusCode: '200' },
+            '5\\d{2}': { statusCode: '500' },
+          },
+        },
+      });
+      assert.deepStrictEqual(await t.transformOperation(operation), {
+        responses: {},
+        'x-amazon-apigateway-integration': {
+          type: 'mock',
+          responses: { default: { statusCode: '200' } },
+        },
+      });
+    });
+
+    it('adds diagnostic for non-object', () => {
+      const t = new AwsApiGatewayTransformer();
+      assert.strictEqual(t.transformAmazonApigatewayIntegration(null), null);
+      assert.deepStrictEqual(
+        t.diagnostics.map(({ code }) => code),
+        ['NON_OBJECT_AMAZON_APIGATEWAY_INTEGRATION'],
+      );
+    });
+  });
+
+  describe('#transformAmazonApigatewayIntegrationResponse()', () => {
+    it('returns non-object argument unchanged', () => {
+      const t = new AwsApiGatewayTransformer();
+      for (const arg of [undefined, null, false, true, 0, 1, '', 'x', []]) {
+        assert.strictEqual(
+          t.transformAmazonApigatewayIntegrationResponse(arg),
+          arg,
+        );
+      }
+    });
+
+    it('adds diagnostic for non-object', () => {
+      const t = new AwsApiGatewayTransformer();
+      assert.strictEqual(
+        t.transformAmazonApigatewayIntegrationResponse('200'),
+        '200',
+      );
+      assert.deepStrictEqual(
+        t.diagnostics.map(({ code }) => code),
+        ['NON_OBJECT_AMAZON_APIGATEWAY_INTEGRATION_RESPONSE'],
+      );
+    });
+  });
+
+  describe('#transformAmazonApigatewayRequestValidator()', () => {
+    it('returns non-object argument unchanged', () => {
+      const t = new AwsApiGatewayTransformer();
+      for (const arg of [undefined, null, false, true, 0, 1, '', 'x', []]) {
+        assert.strictEqual(
+          t.transformAmazonApigatewayRequestValidator(arg),
+          arg,
+        );
+      }
+    });
+
+    it('adds diagnostic for non-object', () => {
+      const t = new AwsApiGatewayTransformer();
+      assert.deepStrictEqual(
+        t.transformAmazonApigatewayRequestValidator([]),
+        [],
+      );
+      assert.deepStrictEqual(
+        t.diagnostics.map(({ code }) => code),
+        ['NON_OBJECT_AMAZON_APIGATEWAY_REQUEST_VALIDATOR'],
+      );
+    });
+  });
+});
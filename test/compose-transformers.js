@@ -0,0 +1,256 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @private
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const composeTransformers = require('../compose-transformers.js');
+const OpenApiTransformerBase = require('../index.js');
+const {
+  integerToNumber,
+  petstore,
+} = require('../test-lib/transform-helpers.js');
+
+const {
+  transformOpenApi,
+  transformOperation,
+  transformRequestBodySchema,
+  transformSchema,
+} = OpenApiTransformerBase.prototype;
+
+function describeNumber(schema) {
+  const newSchema = transformSchema.call(this, schema);
+  return newSchema.type === 'number'
+    ? { ...newSchema, description: 'Number' }
+    : newSchema;
+}
+
+function removeReadOnly(schema) {
+  const newSchema = transformRequestBodySchema.call(this, schema);
+  if (newSchema.properties === undefined) {
+    return newSchema;
+  }
+
+  const properties = { ...newSchema.properties };
+  for (const [name, propSchema] of Object.entries(properties)) {
+    if (propSchema.readOnly) {
+      delete properties[name];
+    }
+  }
+
+  return { ...newSchema, properties };
+}
+
+function addOperationId(operation) {
+  return {
+    ...transformOperation.call(this, operation),
+    operationId: this.transformPath.slice(1).join('_'),
+  };
+}
+
+function addHasIds(openApi) {
+  return { ...transformOpenApi.call(this, openApi), 'x-has-ids': true };
+}
+
+function createTransformer(methods, options) {
+  return Object.assign(new OpenApiTransformerBase(options), methods);
+}
+
+describe('composeTransformers', () => {
+  it('throws TypeError for non-transformer', () => {
+    assert.throws(
+      () => composeTransformers([new OpenApiTransformerBase(), {}]),
+      TypeError,
+    );
+  });
+
+  it('returns an OpenApiTransformerBase', () => {
+    assert(composeTransformers([]) instanceof OpenApiTransformerBase);
+  });
+
+  it('returns unchanged document if transformers make no changes', () => {
+    const composed = composeTransformers([
+      new OpenApiTransformerBase(),
+      new OpenApiTransformerBase(),
+    ]);
+    assert.strictEqual(composed.transformOpenApi(petstore), petstore);
+  });
+
+  it('produces the same result as sequential transformers', () => {
+    const transformers = [
+      createTransformer({ transformSchema: integerToNumber }),
+      createTransformer({ transformSchema: describeNumber }),
+      createTransformer({ transformRequestBodySchema: removeReadOnly }),
+      createTransformer({
+        transformOpenApi: addHasIds,
+        transformOperation: addOperationId,
+      }),
+    ];
+    let expected = petstore;
+    for (const transformer of transformers) {
+      expected = transformer.transformOpenApi(expected);
+    }
+
+    const composed = composeTransformers(transformers);
+    assert.deepStrictEqual(composed.transformOpenApi(petstore), expected);
+  });
+
+  it('applies transformers in order', () => {
+    const composed = composeTransformers([
+      createTransformer({ transformSchema: describeNumber }),
+      createTransformer({ transformSchema: integerToNumber }),
+    ]);
+    const newOpenApi = composed.transformOpenApi(petstore);
+    assert.deepStrictEqual(
+      newOpenApi.paths['/pets'].get.parameters[0].schema,
+      { type: 'number' },
+    );
+  });
+
+  it('applies each method once to each value', () => {
+    const transformer = new OpenApiTransformerBase();
+    const schemaPointers = [];
+    transformer.transformSchema = function(schema) {
+      schemaPointers.push(this.currentPointer);
+      return OpenApiTransformerBase.prototype.transformSchema.call(
+        this,
+        schema,
+      );
+    };
+    composeTransformers([transformer]).transformOpenApi(petstore);
+    const getSchema =
+      '/paths/~1pets/get/responses/200/content/application~1json/schema';
+    const bodySchema =
+      '/paths/~1pets/post/requestBody/content/application~1json/schema';
+    const sortedPointers =
+      schemaPointers.toSorted((a, b) => a.localeCompare(b));
+    assert.deepStrictEqual(sortedPointers, [
+      '/components/schemas/Pet',
+      '/components/schemas/Pet/properties/id',
+      '/components/schemas/Pet/properties/name',
+      '/components/schemas/Pet/properties/tags',
+      '/components/schemas/Pet/properties/tags/items',
+      '/paths/~1pets/get/parameters/0/schema',
+      getSchema,
+      `${getSchema}/items`,
+      bodySchema,
+      `${bodySchema}/properties/age`,
+      `${bodySchema}/properties/id`,
+      '/paths/~1pets/post/responses/200/content/application~1json/schema',
+    ]);
+  });
+
+  it('attributes diagnostics to each transformer', () => {
+    const transformer1 = new OpenApiTransformerBase();
+    const transformer2 = new OpenApiTransformerBase();
+    transformer2.transformOperation = function(operation) {
+      this.addDiagnostic('TEST', 'Test', operation);
+      return operation;
+    };
+    const composed = composeTransformers([transformer1, transformer2]);
+    composed.transformOpenApi(petstore);
+    assert.deepStrictEqual(transformer1.diagnostics, []);
+    assert.deepStrictEqual(transformer2.diagnostics, [
+      {
+        code: 'TEST',
+        severity: 'warning',
+        message: 'Test',
+        pointer: '/paths/~1pets/get',
+        value: petstore.paths['/pets'].get,
+      },
+      {
+        code: 'TEST',
+        severity: 'warning',
+        message: 'Test',
+        pointer: '/paths/~1pets/post',
+        value: petstore.paths['/pets'].post,
+      },
+    ]);
+    assert.deepStrictEqual(transformer2.transformPath, []);
+
+    composed.transformOpenApi({});
+    assert.deepStrictEqual(transformer2.diagnostics, []);
+  });
+
+  it('does not apply later transformers to REMOVE', () => {
+    const transformer1 = new OpenApiTransformerBase();
+    transformer1.transformOperation = () => OpenApiTransformerBase.REMOVE;
+    const transformer2 =
+      createTransformer({ transformOperation: addOperationId });
+    const composed = composeTransformers([transformer1, transformer2]);
+    assert.deepStrictEqual(
+      composed.transformOpenApi(petstore).paths,
+      { '/pets': {} },
+    );
+  });
+
+  it('ends transformation by transformer which returns STOP', () => {
+    const transformer1 = new OpenApiTransformerBase();
+    transformer1.transformSchema = () => OpenApiTransformerBase.STOP;
+    const transformer2 =
+      createTransformer({ transformSchema: integerToNumber });
+    const composed = composeTransformers([transformer1, transformer2]);
+    const newOpenApi = composed.transformOpenApi(petstore);
+    assert.strictEqual(transformer1.stopped, true);
+    assert.strictEqual(composed.stopped, false);
+    assert.deepStrictEqual(
+      newOpenApi.paths['/pets'].get.parameters[0].schema,
+      { type: 'number' },
+    );
+  });
+
+  it('records patch for transformers with recordPatch', () => {
+    const transformer1 = createTransformer(
+      { transformOperation: addOperationId },
+      { recordPatch: true },
+    );
+    const transformer2 = createTransformer({ transformOpenApi: addHasIds });
+    const composed = composeTransformers([transformer1, transformer2]);
+    composed.transformOpenApi(petstore);
+    assert.deepStrictEqual(transformer1.patch, [
+      {
+        op: 'replace',
+        path: '/paths/~1pets/get/operationId',
+        value: '/pets_get',
+      },
+      {
+        op: 'replace',
+        path: '/paths/~1pets/post/operationId',
+        value: '/pets_post',
+      },
+      { op: 'add', path: '/x-has-ids', value: true },
+    ]);
+    assert.strictEqual(transformer2.patch, undefined);
+    assert.strictEqual(composed.patch, undefined);
+  });
+
+  it('applies options of composition', () => {
+    const composed = composeTransformers(
+      [createTransformer({ transformSchema: integerToNumber })],
+      { resolveRefs: true },
+    );
+    const newOpenApi = composed.transformOpenApi(petstore);
+    assert.deepStrictEqual(
+      newOpenApi.paths['/pets'].post.responses[200]
+        .content['application/json'].schema,
+      {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'number',
+            readOnly: true,
+          },
+          name: { type: 'string' },
+          tags: {
+            type: 'array',
+            items: { type: 'string' },
+          },
+        },
+      },
+    );
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @private
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const deepFreeze = require('deep-freeze');
+const sinon = require('sinon');
+
+const createTransformer = require('../create-transformer.js');
+const OpenApiTransformerBase = require('../index.js');
+const {
+  integerSchemaToNumber,
+  petstore,
+} = require('../test-lib/transform-helpers.js');
+
+describe('createTransformer', () => {
+  it('returns an OpenApiTransformerBase', () => {
+    assert(createTransformer({}) instanceof OpenApiTransformerBase);
+  });
+
+  it('calls handlers with value, pointer, and parent', () => {
+    const operation = petstore.paths['/pets'].get;
+    const handlers = {
+      ExternalDocs: sinon.stub(),
+      Parameter: sinon.stub(),
+    };
+    const transformer = createTransformer(handlers);
+    assert.strictEqual(transformer.transformOpenApi(petstore), petstore);
+
+    sinon.assert.calledTwice(handlers.ExternalDocs);
+    sinon.assert.calledWithExactly(
+      handlers.ExternalDocs,
+      petstore.externalDocs,
+      sinon.match({ pointer: '/externalDocs', parent: petstore }),
+    );
+    sinon.assert.calledOn(handlers.ExternalDocs, transformer);
+    sinon.assert.calledOnceWithExactly(
+      handlers.Parameter,
+      operation.parameters[0],
+      sinon.match({
+        pointer: '/paths/~1pets/get/parameters/0',
+        parent: sinon.match.same(operation),
+      }),
+    );
+  });
+
+  it('calls Schema handler with parent of Schema in location', () => {
+    const parameter = {
+      name: 'limit',
+      in: 'query',
+      schema: { type: 'integer' },
+    };
+    const openApi = deepFreeze({
+      openapi: '3.0.3',
+      paths: { '/': { get: { parameters: [parameter] } } },
+    });
+    const handlers = { ParameterSchema: sinon.stub(), Schema: sinon.stub() };
+    const transformer = createTransformer(handlers);
+    assert.strictEqual(transformer.transformOpenApi(openApi), openApi);
+    for (const handler of Object.values(handlers)) {
+      sinon.assert.calledOnceWithExactly(
+        handler,
+        parameter.schema,
+        sinon.match({
+          pointer: '/paths/~1/get/parameters/0/schema',
+          parent: sinon.match.same(openApi.paths['/'].get.parameters[0]),
+        }),
+      );
+    }
+  });
+
+  it('calls handlers with additional arguments of transform method', () => {
+    const info = { title: 'Title', version: '1.0', 'x-logo': {} };
+    const openApi = deepFreeze({ ...petstore, info });
+    const handlers = { Extension: sinon.stub() };
+    const transformer = createTransformer(handlers);
+    assert.strictEqual(transformer.transformOpenApi(openApi), openApi);
+    sinon.assert.calledOnceWithExactly(
+      handlers.Extension,
+      openApi.info['x-logo'],
+      sinon.match({
+        pointer: '/info/x-logo',
+        parent: sinon.match.same(openApi.info),
+      }),
+      'x-logo',
+      'Info',
+    );
+  });
+
+  it('calls handlers after transforming children by default', () => {
+    const transformer = createTransformer({
+      Schema: integerSchemaToNumber,
+      Parameter(parameter) {
+        assert.deepStrictEqual(parameter.schema, { type: 'number' });
+        return { ...parameter, description: 'Limit' };
+      },
+    });
+    const newOpenApi = transformer.transformOpenApi(petstore);
+    assert.deepStrictEqual(newOpenApi.paths['/pets'].get.parameters, [
+      {
+        name: 'limit',
+        in: 'query',
+        description: 'Limit',
+        schema: { type: 'number' },
+      },
+    ]);
+  });
+
+  it('returns the transformed value from next() after', () => {
+    const schemaHandler = sinon.spy(integerSchemaToNumber);
+    const transformer = createTransformer({
+      Schema: schemaHandler,
+      Operation(operation, ctx) {
+        assert.strictEqual(ctx.next(), operation);
+      },
+    });
+    const newOpenApi = transformer.transformOpenApi(petstore);
+    const [{ schema }] = petstore.paths['/pets'].get.parameters;
+    assert.deepStrictEqual(
+      newOpenApi.paths['/pets'].get.parameters[0].schema,
+      { type: 'number' },
+    );
+    sinon.assert.calledOnce(schemaHandler.withArgs(sinon.match.same(schema)));
+  });
+
+  it('calls OpenApi handler without parent', () => {
+    const handlers = { OpenApi: sinon.stub() };
+    const transformer = createTransformer(handlers);
+    assert.strictEqual(transformer.transformOpenApi(petstore), petstore);
+    sinon.assert.calledOnceWithExactly(
+      handlers.OpenApi,
+      petstore,
+      sinon.match({ pointer: '', parent: undefined }),
+    );
+  });
+
+  it('calls handlers before transforming children with order before', () => {
+    const schemaHandler = sinon.spy(integerSchemaToNumber);
+    const transformer = createTransformer(
+      {
+        Schema: schemaHandler,
+        Parameter(parameter, ctx) {
+          const [origParameter] = petstore.paths['/pets'].get.parameters;
+          const schemaMatch = sinon.match.same(origParameter.schema);
+          assert.strictEqual(parameter, origParameter);
+          sinon.assert.neverCalledWith(schemaHandler, schemaMatch);
+          const newParameter = ctx.next();
+          sinon.assert.calledWith(schemaHandler, schemaMatch);
+          assert.deepStrictEqual(newParameter.schema, { type: 'number' });
+        },
+      },
+      { order: 'before' },
+    );
+    const newOpenApi = transformer.transformOpenApi(petstore);
+    assert.deepStrictEqual(
+      newOpenApi.paths['/pets'].get.parameters[0].schema,
+      { type: 'number' },
+    );
+  });
+
+  it('passes argument of next() to default method with order before', () => {
+    const transformer = createTransformer(
+      {
+        Schema: integerSchemaToNumber,
+        Parameter(parameter, ctx) {
+          return ctx.next({ ...parameter, description: 'Limit' });
+        },
+      },
+      { order: 'before' },
+    );
+    const newOpenApi = transformer.transformOpenApi(petstore);
+    assert.deepStrictEqual(newOpenApi.paths['/pets'].get.parameters, [
+      {
+        name: 'limit',
+        in: 'query',
+        description: 'Limit',
+        schema: { type: 'number' },
+      },
+    ]);
+  });
+
+  it('does not transform children unless next() is called before', () => {
+    const schemaHandler = sinon.spy(integerSchemaToNumber);
+    const transformer = createTransformer(
+      {
+        Schema: schemaHandler,
+        Parameter: sinon.stub(),
+      },
+      { order: 'before' },
+    );
+    const [{ schema }] = petstore.paths['/pets'].get.parameters;
+    assert.strictEqual(transformer.transformOpenApi(petstore), petstore);
+    sinon.assert.neverCalledWith(schemaHandler, sinon.match.same(schema));
+  });
+
+  it('returns control values from handlers', () => {
+    const transformer = createTransformer({
+      ExternalDocs: () => OpenApiTransformerBase.REMOVE,
+    });
+    const newOpenApi = transformer.transformOpenApi(petstore);
+    assert(!Object.hasOwn(newOpenApi, 'externalDocs'));
+  });
+
+  it('throws TypeError for unrecognized handler type', () => {
+    assert.throws(
+      () => createTransformer({ Array: () => {} }),
+      TypeError,
+    );
+    assert.throws(
+      () => createTransformer({ Unknown: () => {} }),
+      TypeError,
+    );
+  });
+
+  it('throws TypeError for non-function handler', () => {
+    assert.throws(
+      () => createTransformer({ Schema: true }),
+      TypeError,
+    );
+  });
+
+  it('throws RangeError for unrecognized order', () => {
+    assert.throws(
+      () => createTransformer({}, { order: 'during' }),
+      RangeError,
+    );
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @private
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const { setImmediate: setImmediateP } = require('node:timers/promises');
+
+const deepFreeze = require('deep-freeze');
+const sinon = require('sinon');
+
+const AsyncOpenApiTransformerBase = require('../async.js');
+const googleCloudEndpointsExtensions =
+  require('../google-cloud-endpoints-extensions.js');
+const OpenApiTransformerBase = require('../index.js');
+const { petstore } = require('../test-lib/transform-helpers.js');
+
+const GoogleCloudEndpointsTransformer =
+  googleCloudEndpointsExtensions(OpenApiTransformerBase);
+
+const openApi = deepFreeze({
+  ...petstore,
+  paths: {
+    '/pets': {
+      ...petstore.paths['/pets'],
+      get: {
+        ...petstore.paths['/pets'].get,
+        'x-google-backend': { address: 'https://pets.example.com' },
+        'x-google-quota': { metricCosts: { 'read-requests': 1 } },
+      },
+    },
+  },
+  'x-google-backend': { address: 'https://staging.example.com' },
+});
+
+describe('google-cloud-endpoints-extensions', () => {
+  it('is not traversed by OpenApiTransformerBase', () => {
+    const t = sinon.spy(new OpenApiTransformerBase());
+    assert.strictEqual(t.transformOpenApi(openApi), openApi);
+    assert.strictEqual(t.transformGoogleBackend, undefined);
+    sinon.assert.calledWith(
+      t.transformOperation,
+      sinon.match.same(openApi.paths['/pets'].get),
+    );
+  });
+
+  it('calls typed methods at their pointers', () => {
+    const t = new GoogleCloudEndpointsTransformer();
+    const pointers = [];
+    const methodNames = ['transformGoogleBackend', 'transformGoogleQuota'];
+    for (const methodName of methodNames) {
+      const method = t[methodName];
+      t[methodName] = function(value) {
+        pointers.push([methodName, this.currentPointer]);
+        return method.call(this, value);
+      };
+    }
+
+    assert.strictEqual(t.transformOpenApi(openApi), openApi);
+    assert.deepStrictEqual(pointers, [
+      ['transformGoogleBackend', '/paths/~1pets/get/x-google-backend'],
+      ['transformGoogleQuota', '/paths/~1pets/get/x-google-quota'],
+      ['transformGoogleBackend', '/x-google-backend'],
+    ]);
+    assert.deepStrictEqual(t.diagnostics, []);
+  });
+
+  it('can rewrite backend addresses', () => {
+    const t = new GoogleCloudEndpointsTransformer();
+    t.transformGoogleBackend = (backend) => ({
+      ...backend,
+      address: backend.address.replace('staging.', 'api.'),
+    });
+    const newOpenApi = t.transformOpenApi(openApi);
+    assert.deepStrictEqual(
+      newOpenApi['x-google-backend'],
+      { address: 'https://api.example.com' },
+    );
+    assert.deepStrictEqual(
+      newOpenApi.paths['/pets'].get['x-google-backend'],
+      { address: 'https://pets.example.com' },
+    );
+  });
+
+  it('resolves Promises from typed methods when async', async () => {
+    const AsyncGoogleCloudEndpointsTransformer =
+      googleCloudEndpointsExtensions(AsyncOpenApiTransformerBase);
+    const t = new AsyncGoogleCloudEndpointsTransformer();
+    t.transformGoogleBackend = async (backend) => {
+      await setImmediateP();
+      return { ...backend, deadline: 10 };
+    };
+    t.transformGoogleQuota = async () => {
+      await setImmediateP();
+      return OpenApiTransformerBase.REMOVE;
+    };
+    const newOpenApi = await t.transformOpenApi(openApi);
+    assert.deepStrictEqual(newOpenApi['x-google-backend'], {
+      address: 'https://staging.example.com',
+      deadline: 10,
+    });
+    assert.deepStrictEqual(newOpenApi.paths['/pets'].get, {
+      ...petstore.paths['/pets'].get,
+      'x-google-backend': { address: 'https://pets.example.com', deadline: 10 },
+    });
+  });
+
+  describe('#transformGoogleBackend()', () => {
+    it('returns non-object argument unchanged', () => {
+      const t = new GoogleCloudEndpointsTransformer();
+      for (const arg of [undefined, null, false, true, 0, 1, '', 'x', []]) {
+        assert.strictEqual(t.transformGoogleBackend(arg), arg);
+      }
+    });
+
+    it('adds diagnostic for non-object', () => {
+      const t = new GoogleCloudEndpointsTransformer();
+      assert.strictEqual(t.transformGoogleBackend('a'), 'a');
+      assert.deepStrictEqual(
+        t.diagnostics.map(({ code }) => code),
+        ['NON_OBJECT_GOOGLE_BACKEND'],
+      );
+    });
+  });
+
+  describe('#transformGoogleQuota()', () => {
+    it('returns non-object argument unchanged', () => {
+      const t = new GoogleCloudEndpointsTransformer();
+      for (const arg of [undefined, null, false, true, 0, 1, '', 'x', []]) {
+        assert.strictEqual(t.transformGoogleQuota(arg), arg);
+      }
+    });
+
+    it('adds diagnostic for non-object', () => {
+      const t = new GoogleCloudEndpointsTransformer();
+      assert.strictEqual(t.transformGoogleQuota(true), true);
+      assert.deepStrictEqual(
+        t.diagnostics.map(({ code }) => code),
+        ['NON_OBJECT_GOOGLE_QUOTA'],
+      );
+    });
+  });
+});
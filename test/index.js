@@ -7,14 +7,25 @@
 'use strict';
 
 const assert = require('node:assert');
+const { pathToFileURL } = require('node:url');
 const { inspect } = require('node:util');
 
 const deepFreeze = require('deep-freeze');
 const sinon = require('sinon');
 
 // https://github.com/import-js/eslint-plugin-import/issues/2844
-// eslint-disable-next-line import/extensions
+// eslint-disable-next-line import-x/extensions
 const OpenApiTransformerBase = require('..');
+const awsApiGatewayExtensions = require('../aws-api-gateway-extensions.js');
+const googleCloudEndpointsExtensions =
+  require('../google-cloud-endpoints-extensions.js');
+const InvalidOpenApiError = require('../invalid-openapi-error.js');
+const fromJsonPointer = require('../lib/from-json-pointer.js');
+const toJsonPointer = require('../lib/to-json-pointer.js');
+const {
+  integerToNumber,
+  makeDeepOpenApi,
+} = require('../test-lib/transform-helpers.js');
 
 /* Specification Extension Property Ambiguity:
  * There is some ambiguity between whether an x- property should be
@@ -28,11 +39,22 @@ const OpenApiTransformerBase = require('..');
  * Map objects.
  */
 
+function getPointerValue(root, pointer) {
+  return fromJsonPointer(pointer)
+    .reduce((value, propName) => value[propName], root);
+}
+
 function assertOnlyCalledMethods(obj, onlyMethods) {
   const onlyMethodsSet = new Set(onlyMethods);
+  // Warnings are logged by addDiagnostic
+  if (onlyMethodsSet.has(obj.warn)) {
+    onlyMethodsSet.add(obj.addDiagnostic);
+  }
+
   const unseenMethodsSet = new Set(onlyMethodsSet);
   // Note: sinon stubs methods using a non-enumerable value descriptor
-  for (const desc of Object.values(Object.getOwnPropertyDescriptors(obj))) {
+  const descs = Object.values(Object.getOwnPropertyDescriptors(obj));
+  for (const desc of descs) {
     const method = desc.value;
     // Identify stubs using logic like sinon verifyIsStub
     // https://github.com/sinonjs/sinon/blob/v10.0.1/lib/sinon/assert.js#L21
@@ -85,6 +107,45 @@ function methodPreservesArgumentType(methodName) {
   });
 }
 
+function makeSharedResponseOpenApi() {
+  const response = { description: 'Error', schema: { type: 'object' } };
+  return deepFreeze({
+    swagger: '2.0',
+    paths: {
+      '/a': { get: { responses: { default: response } } },
+      '/b': { get: { responses: { default: response } } },
+    },
+  });
+}
+
+function markResponseTransformed(response) {
+  return {
+    ...OpenApiTransformerBase.prototype.transformResponse.call(
+      this,
+      response,
+    ),
+    'x-transformed': true,
+  };
+}
+
+function makeCyclicOpenApi() {
+  const node = {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      children: { type: 'array' },
+    },
+  };
+  node.properties.children.items = node;
+  return deepFreeze({ swagger: '2.0', definitions: { Node: node } });
+}
+
+function copySchema(schema) {
+  return {
+    ...OpenApiTransformerBase.prototype.transformSchema.call(this, schema),
+  };
+}
+
 describe('OpenApiTransformerBase', () => {
   describe('#transformArray()', () => {
     methodPreservesArgumentType('transformArray');
@@ -179,7 +240,7 @@ describe('OpenApiTransformerBase', () => {
     it('calls transformPathItem on each value', () => {
       const t = sinon.spy(new OpenApiTransformerBase());
       const callback = deepFreeze({
-        'http://example.com': {},
+        'https://example.com': {},
         '$request.body#/url': {},
       });
       assert.deepStrictEqual(t.transformCallback(callback), callback);
@@ -198,7 +259,13 @@ describe('OpenApiTransformerBase', () => {
       const callback = deepFreeze({ 'x-test': {} });
       assert.deepStrictEqual(t.transformCallback(callback), callback);
       sinon.assert.calledOnce(t.transformCallback);
-      assertOnlyCalledMethods(t, [t.transformCallback]);
+      sinon.assert.calledOnceWithExactly(
+        t.transformExtension,
+        callback['x-test'],
+        'x-test',
+        'Callback',
+      );
+      assertOnlyCalledMethods(t, [t.transformCallback, t.transformExtension]);
     });
   });
 
@@ -391,6 +458,215 @@ describe('OpenApiTransformerBase', () => {
     methodPreservesArgumentType('transformExample3');
   });
 
+  describe('#transformExtension()', () => {
+    methodPreservesArgumentType('transformExtension');
+
+    it('is called for x- properties of OpenAPI objects', () => {
+      const t = sinon.spy(new OpenApiTransformerBase());
+      const schema = { type: 'string', 'x-nullable': true };
+      const operation = {
+        'x-code-samples': [],
+        responses: {
+          200: { description: 'OK', schema },
+        },
+      };
+      const openApi = deepFreeze({
+        swagger: '2.0',
+        info: { title: 'Title', version: '1.0', 'x-logo': {} },
+        paths: { '/': { get: operation } },
+      });
+      const pointers = [];
+      t.transformExtension = function(...args) {
+        pointers.push(this.currentPointer);
+        return OpenApiTransformerBase.prototype.transformExtension
+          .apply(this, args);
+      };
+      sinon.spy(t, 'transformExtension');
+      assert.strictEqual(t.transformOpenApi(openApi), openApi);
+      assert.deepStrictEqual(t.transformExtension.args, [
+        [openApi.info['x-logo'], 'x-logo', 'Info'],
+        [schema['x-nullable'], 'x-nullable', 'Schema'],
+        [operation['x-code-samples'], 'x-code-samples', 'Operation'],
+      ]);
+      assert.deepStrictEqual(pointers, [
+        '/info/x-logo',
+        '/paths/~1/get/responses/200/schema/x-nullable',
+        '/paths/~1/get/x-code-samples',
+      ]);
+    });
+
+    it('is not called for x- keys of Maps', () => {
+      const t = sinon.spy(new OpenApiTransformerBase());
+      const components = deepFreeze({
+        schemas: { 'x-schema': {} },
+        securitySchemes: {},
+      });
+      assert.deepStrictEqual(t.transformComponents(components), components);
+      sinon.assert.notCalled(t.transformExtension);
+      sinon.assert.calledOnceWithExactly(
+        t.transformSchema,
+        components.schemas['x-schema'],
+      );
+    });
+
+    it('returns undeclared extension values unchanged', () => {
+      const t = sinon.spy(new OpenApiTransformerBase());
+      const value = { $ref: '#/x', schema: {} };
+      assert.strictEqual(t.transformExtension(value, 'x-a', 'Info'), value);
+      assertOnlyCalledMethods(t, [t.transformExtension]);
+    });
+
+    it('replaces or removes the extension with its result', () => {
+      const t = new OpenApiTransformerBase();
+      t.transformExtension = function(value, name) {
+        return name === 'x-remove' ? OpenApiTransformerBase.REMOVE
+          : `${value}!`;
+      };
+      const tag = deepFreeze({ name: 'a', 'x-keep': 'b', 'x-remove': 'c' });
+      assert.deepStrictEqual(
+        t.transformTag(tag),
+        { name: 'a', 'x-keep': 'b!' },
+      );
+    });
+
+    it('traverses extensions declared with a type', () => {
+      const t = sinon.spy(new OpenApiTransformerBase({
+        extensions: [{ name: 'x-acme-schema', type: 'Schema' }],
+      }));
+      const info = deepFreeze({ 'x-acme-schema': { items: {} } });
+      assert.deepStrictEqual(t.transformInfo(info), info);
+      sinon.assert.calledWith(t.transformSchema, info['x-acme-schema']);
+      sinon.assert.calledWith(t.transformSchema, info['x-acme-schema'].items);
+      sinon.assert.calledTwice(t.transformSchema);
+      assert.deepStrictEqual(t.diagnostics, []);
+    });
+
+    it('traverses extensions declared with a container', () => {
+      const t = new OpenApiTransformerBase({
+        extensions: [
+          { name: 'x-acme-schemas', type: 'Schema', container: 'Map' },
+        ],
+      });
+      const ancestors = [];
+      t.transformSchema = function(schema) {
+        ancestors.push(this.transformAncestors.map(({ key, type }) => ({
+          key,
+          type,
+        })));
+        return { ...schema, transformed: true };
+      };
+      const info = deepFreeze({ 'x-acme-schemas': { A: {} } });
+      assert.deepStrictEqual(
+        t.transformInfo(info),
+        { 'x-acme-schemas': { A: { transformed: true } } },
+      );
+      assert.deepStrictEqual(ancestors, [[
+        { key: 'x-acme-schemas', type: 'Extension' },
+        { key: 'x-acme-schemas', type: 'Map' },
+        { key: 'A', type: 'Schema' },
+      ]]);
+    });
+
+    it('traverses declared extensions only on ownerTypes', () => {
+      const t = sinon.spy(new OpenApiTransformerBase({
+        extensions: [{
+          name: 'x-acme-param',
+          type: 'Parameter',
+          ownerTypes: ['Operation'],
+        }],
+      }));
+      const operation = deepFreeze({
+        'x-acme-param': {},
+        responses: { 'x-acme-param': {} },
+      });
+      assert.deepStrictEqual(t.transformOperation(operation), operation);
+      sinon.assert.calledOnceWithExactly(
+        t.transformParameter,
+        operation['x-acme-param'],
+      );
+    });
+
+    it('uses the first declaration which applies', () => {
+      const t = sinon.spy(new OpenApiTransformerBase({
+        extensions: [{ name: 'x-ms-paths', type: 'Schema' }],
+      }));
+      const openApi = deepFreeze({ 'x-ms-paths': {} });
+      assert.deepStrictEqual(t.transformOpenApi(openApi), openApi);
+      sinon.assert.calledOnceWithExactly(
+        t.transformSchema,
+        openApi['x-ms-paths'],
+      );
+      sinon.assert.notCalled(t.transformPaths);
+    });
+
+    it('resolves Reference Objects only in declared extensions', () => {
+      const t = sinon.spy(new OpenApiTransformerBase({
+        extensions: [{ name: 'x-acme-schema', type: 'Schema' }],
+        resolveRefs: true,
+      }));
+      const openApi = deepFreeze({
+        openapi: '3.1.0',
+        info: {
+          'x-acme-ref': { $ref: '#/components/schemas/A' },
+          'x-acme-schema': { $ref: '#/components/schemas/A' },
+        },
+        components: { schemas: { A: { type: 'object' } } },
+      });
+      assert.strictEqual(t.transformOpenApi(openApi), openApi);
+      sinon.assert.calledWith(
+        t.transformExtension,
+        openApi.info['x-acme-ref'],
+        'x-acme-ref',
+        'Info',
+      );
+      sinon.assert.calledWith(
+        t.transformSchema,
+        openApi.components.schemas.A,
+        openApi.info['x-acme-schema'],
+      );
+      assert.deepStrictEqual(t.diagnostics, []);
+    });
+
+    it('calls for each name of a value with memoize', () => {
+      const t = sinon.spy(new OpenApiTransformerBase({ memoize: true }));
+      const value = {};
+      const info = deepFreeze({ 'x-a': value, 'x-b': value });
+      assert.deepStrictEqual(t.transformInfo(info), info);
+      sinon.assert.calledWith(t.transformExtension, value, 'x-a', 'Info');
+      sinon.assert.calledWith(t.transformExtension, value, 'x-b', 'Info');
+      sinon.assert.calledTwice(t.transformExtension);
+    });
+
+    it('throws TypeError for extension name without x-', () => {
+      assert.throws(
+        () => new OpenApiTransformerBase({
+          extensions: [{ name: 'acme', type: 'Schema' }],
+        }),
+        TypeError,
+      );
+    });
+
+    it('throws TypeError for unrecognized extension type', () => {
+      for (const type of ['Acme', 'Map', 'Extension', undefined]) {
+        assert.throws(
+          () => new OpenApiTransformerBase({
+            extensions: [{ name: 'x-acme', type }],
+          }),
+          TypeError,
+        );
+      }
+    });
+
+    it('throws RangeError for unrecognized extension container', () => {
+      assert.throws(
+        () => new OpenApiTransformerBase({
+          extensions: [{ name: 'x-acme', type: 'Schema', container: 'Set' }],
+        }),
+        RangeError,
+      );
+    });
+  });
+
   describe('#transformExternalDocs()', () => {
     methodPreservesArgumentType('transformExternalDocs');
   });
@@ -409,15 +685,24 @@ describe('OpenApiTransformerBase', () => {
       assertOnlyCalledMethods(t, [t.transformHeader, t.transformItems]);
     });
 
-    it('calls transformSchema on schema', () => {
+    it('calls transformHeaderSchema on schema', () => {
       const t = sinon.spy(new OpenApiTransformerBase());
       const header = deepFreeze({ schema: {} });
       assert.deepStrictEqual(t.transformHeader(header), header);
-      sinon.assert.calledWith(t.transformSchema, header.schema);
+      sinon.assert.calledWithExactly(
+        t.transformHeaderSchema,
+        header.schema,
+      );
+      sinon.assert.calledOnce(t.transformHeaderSchema);
+      sinon.assert.alwaysCalledOn(t.transformHeaderSchema, t);
+      sinon.assert.calledWithExactly(t.transformSchema, header.schema);
       sinon.assert.calledOnce(t.transformSchema);
-      sinon.assert.alwaysCalledOn(t.transformSchema, t);
       sinon.assert.calledOnce(t.transformHeader);
-      assertOnlyCalledMethods(t, [t.transformHeader, t.transformSchema]);
+      assertOnlyCalledMethods(t, [
+        t.transformHeader,
+        t.transformHeaderSchema,
+        t.transformSchema,
+      ]);
     });
   });
 
@@ -626,6 +911,189 @@ describe('OpenApiTransformerBase', () => {
     });
   });
 
+  describe('#transformMsClientName()', () => {
+    methodPreservesArgumentType('transformMsClientName');
+
+    it('is called on x-ms-client-name of Parameter and Schema', () => {
+      const t = sinon.spy(new OpenApiTransformerBase());
+      const parameter = deepFreeze({
+        name: 'q',
+        in: 'query',
+        type: 'string',
+        'x-ms-client-name': 'query',
+      });
+      assert.strictEqual(t.transformParameter(parameter), parameter);
+      sinon.assert.calledOnceWithExactly(t.transformMsClientName, 'query');
+      assert.deepStrictEqual(t.diagnostics, []);
+    });
+
+    it('adds diagnostic for non-string', () => {
+      const t = new OpenApiTransformerBase();
+      assert.strictEqual(t.transformMsClientName(1), 1);
+      assert.deepStrictEqual(
+        t.diagnostics.map(({ code }) => code),
+        ['NON_STRING_MS_CLIENT_NAME'],
+      );
+    });
+  });
+
+  describe('#transformMsDiscriminatorValue()', () => {
+    methodPreservesArgumentType('transformMsDiscriminatorValue');
+
+    it('adds diagnostic for non-string', () => {
+      const t = new OpenApiTransformerBase();
+      const schema = deepFreeze({ 'x-ms-discriminator-value': {} });
+      assert.strictEqual(t.transformSchema(schema), schema);
+      assert.deepStrictEqual(
+        t.diagnostics.map(({ code, pointer }) => ({ code, pointer })),
+        [{
+          code: 'NON_STRING_MS_DISCRIMINATOR_VALUE',
+          pointer: '/x-ms-discriminator-value',
+        }],
+      );
+    });
+  });
+
+  describe('#transformMsEnum()', () => {
+    methodPreservesArgumentType('transformMsEnum');
+
+    it('is called on x-ms-enum of Schema, Parameter, Header, Items', () => {
+      const t = sinon.spy(new OpenApiTransformerBase());
+      const xMsEnum = { name: 'Color', values: [{ value: 'red' }] };
+      const header = deepFreeze({
+        type: 'array',
+        'x-ms-enum': xMsEnum,
+        items: { type: 'string', 'x-ms-enum': xMsEnum },
+      });
+      assert.strictEqual(t.transformHeader(header), header);
+      sinon.assert.calledTwice(t.transformMsEnum);
+      sinon.assert.alwaysCalledWithExactly(t.transformMsEnum, xMsEnum);
+      assert.deepStrictEqual(t.diagnostics, []);
+    });
+
+    it('is not called on x-ms-enum of other objects', () => {
+      const t = sinon.spy(new OpenApiTransformerBase());
+      const tag = deepFreeze({ name: 'a', 'x-ms-enum': {} });
+      assert.strictEqual(t.transformTag(tag), tag);
+      sinon.assert.notCalled(t.transformMsEnum);
+    });
+
+    it('adds diagnostics for missing name and non-Array values', () => {
+      const t = new OpenApiTransformerBase();
+      const xMsEnum = deepFreeze({ values: {} });
+      assert.strictEqual(t.transformMsEnum(xMsEnum), xMsEnum);
+      assert.deepStrictEqual(
+        t.diagnostics.map(({ code }) => code),
+        ['NON_STRING_MS_ENUM_NAME', 'NON_ARRAY'],
+      );
+    });
+  });
+
+  describe('#transformMsExamples()', () => {
+    methodPreservesArgumentType('transformMsExamples');
+
+    it('is called on x-ms-examples of Operation', () => {
+      const t = sinon.spy(new OpenApiTransformerBase({ resolveRefs: true }));
+      const operation = deepFreeze({
+        'x-ms-examples': { List: { $ref: './examples/List.json' } },
+        responses: {},
+      });
+      assert.strictEqual(t.transformOperation(operation), operation);
+      sinon.assert.calledOnceWithExactly(
+        t.transformMsExamples,
+        operation['x-ms-examples'],
+      );
+      assert.deepStrictEqual(t.diagnostics, []);
+    });
+
+    it('adds diagnostic for non-object examples', () => {
+      const t = new OpenApiTransformerBase();
+      const xMsExamples = deepFreeze({ a: './examples/a.json' });
+      assert.strictEqual(t.transformMsExamples(xMsExamples), xMsExamples);
+      assert.deepStrictEqual(
+        t.diagnostics.map(({ code }) => code),
+        ['NON_OBJECT_MS_EXAMPLE'],
+      );
+    });
+  });
+
+  describe('#transformMsLongRunningOperationOptions()', () => {
+    methodPreservesArgumentType('transformMsLongRunningOperationOptions');
+
+    it('adds diagnostic for non-string final-state-via', () => {
+      const t = new OpenApiTransformerBase();
+      const options = deepFreeze({ 'final-state-via': true });
+      assert.strictEqual(
+        t.transformMsLongRunningOperationOptions(options),
+        options,
+      );
+      assert.deepStrictEqual(
+        t.diagnostics.map(({ code }) => code),
+        ['NON_STRING_MS_FINAL_STATE_VIA'],
+      );
+    });
+  });
+
+  describe('#transformMsPageable()', () => {
+    methodPreservesArgumentType('transformMsPageable');
+
+    it('is called on x-ms-pageable of Operation', () => {
+      const t = sinon.spy(new OpenApiTransformerBase());
+      const operation = deepFreeze({
+        'x-ms-pageable': { nextLinkName: 'nextLink' },
+        responses: {},
+      });
+      assert.strictEqual(t.transformOperation(operation), operation);
+      sinon.assert.calledOnceWithExactly(
+        t.transformMsPageable,
+        operation['x-ms-pageable'],
+      );
+      assert.deepStrictEqual(t.diagnostics, []);
+    });
+
+    it('accepts null nextLinkName', () => {
+      const t = new OpenApiTransformerBase();
+      const xMsPageable = deepFreeze({ nextLinkName: null });
+      assert.strictEqual(t.transformMsPageable(xMsPageable), xMsPageable);
+      assert.deepStrictEqual(t.diagnostics, []);
+    });
+
+    it('adds diagnostic for missing nextLinkName', () => {
+      const t = new OpenApiTransformerBase();
+      const xMsPageable = deepFreeze({ itemName: 'items' });
+      assert.strictEqual(t.transformMsPageable(xMsPageable), xMsPageable);
+      assert.deepStrictEqual(
+        t.diagnostics.map(({ code }) => code),
+        ['NON_STRING_MS_PAGEABLE_NEXT_LINK_NAME'],
+      );
+    });
+  });
+
+  describe('#transformMsParameterizedHost()', () => {
+    methodPreservesArgumentType('transformMsParameterizedHost');
+
+    it('calls transformArray on parameters', () => {
+      const t = sinon.spy(new OpenApiTransformerBase());
+      const xMsParameterizedHost = deepFreeze({
+        hostTemplate: '{host}',
+        parameters: [],
+      });
+      assert.deepStrictEqual(
+        t.transformMsParameterizedHost(xMsParameterizedHost),
+        xMsParameterizedHost,
+      );
+      sinon.assert.calledOnceWithExactly(
+        t.transformArray,
+        xMsParameterizedHost.parameters,
+        t.transformParameter,
+      );
+      assertOnlyCalledMethods(
+        t,
+        [t.transformMsParameterizedHost, t.transformArray],
+      );
+    });
+  });
+
   describe('#transformOAuthFlow()', () => {
     methodPreservesArgumentType('transformOAuthFlow');
   });
@@ -775,6 +1243,10 @@ describe('OpenApiTransformerBase', () => {
         },
       });
       assert.deepStrictEqual(t.transformOpenApi(openApi), openApi);
+      sinon.assert.calledWith(
+        t.transformMsParameterizedHost,
+        openApi['x-ms-parameterized-host'],
+      );
       sinon.assert.calledWith(
         t.transformArray,
         parameters,
@@ -783,7 +1255,12 @@ describe('OpenApiTransformerBase', () => {
       sinon.assert.calledOnce(t.transformArray);
       sinon.assert.alwaysCalledOn(t.transformArray, t);
       sinon.assert.calledOnce(t.transformOpenApi);
-      assertOnlyCalledMethods(t, [t.transformOpenApi, t.transformArray]);
+      assertOnlyCalledMethods(t, [
+        t.transformOpenApi,
+        t.transformExtension,
+        t.transformMsParameterizedHost,
+        t.transformArray,
+      ]);
     });
 
     it('calls transformResponse on responses', () => {
@@ -816,11 +1293,21 @@ describe('OpenApiTransformerBase', () => {
       const t = sinon.spy(new OpenApiTransformerBase());
       const openApi = deepFreeze({ 'x-ms-paths': {} });
       assert.deepStrictEqual(t.transformOpenApi(openApi), openApi);
+      sinon.assert.calledOnceWithExactly(
+        t.transformExtension,
+        openApi['x-ms-paths'],
+        'x-ms-paths',
+        'OpenApi',
+      );
       sinon.assert.calledWith(t.transformPaths, openApi['x-ms-paths']);
       sinon.assert.calledOnce(t.transformPaths);
       sinon.assert.alwaysCalledOn(t.transformPaths, t);
       sinon.assert.calledOnce(t.transformOpenApi);
-      assertOnlyCalledMethods(t, [t.transformOpenApi, t.transformPaths]);
+      assertOnlyCalledMethods(t, [
+        t.transformOpenApi,
+        t.transformExtension,
+        t.transformPaths,
+      ]);
     });
 
     // Added in OpenAPI 3.1
@@ -990,15 +1477,41 @@ describe('OpenApiTransformerBase', () => {
       assertOnlyCalledMethods(t, [t.transformParameter, t.transformMap]);
     });
 
-    it('calls transformSchema on schema', () => {
+    it('calls transformParameterSchema on schema', () => {
       const t = sinon.spy(new OpenApiTransformerBase());
       const parameter = deepFreeze({ schema: {} });
       assert.deepStrictEqual(t.transformParameter(parameter), parameter);
-      sinon.assert.calledWith(t.transformSchema, parameter.schema);
+      sinon.assert.calledWithExactly(
+        t.transformParameterSchema,
+        parameter.schema,
+      );
+      sinon.assert.calledOnce(t.transformParameterSchema);
+      sinon.assert.alwaysCalledOn(t.transformParameterSchema, t);
+      sinon.assert.calledWithExactly(t.transformSchema, parameter.schema);
       sinon.assert.calledOnce(t.transformSchema);
-      sinon.assert.alwaysCalledOn(t.transformSchema, t);
       sinon.assert.calledOnce(t.transformParameter);
-      assertOnlyCalledMethods(t, [t.transformParameter, t.transformSchema]);
+      assertOnlyCalledMethods(t, [
+        t.transformParameter,
+        t.transformParameterSchema,
+        t.transformSchema,
+      ]);
+    });
+
+    it('calls transformRequestBodySchema on schema of body parameter', () => {
+      const t = sinon.spy(new OpenApiTransformerBase());
+      const parameter = deepFreeze({ in: 'body', schema: {} });
+      assert.deepStrictEqual(t.transformParameter(parameter), parameter);
+      sinon.assert.calledWithExactly(
+        t.transformRequestBodySchema,
+        parameter.schema,
+      );
+      sinon.assert.calledOnce(t.transformRequestBodySchema);
+      sinon.assert.calledOnce(t.transformSchema);
+      assertOnlyCalledMethods(t, [
+        t.transformParameter,
+        t.transformRequestBodySchema,
+        t.transformSchema,
+      ]);
     });
 
     it('calls transformItems on items', () => {
@@ -1105,7 +1618,13 @@ describe('OpenApiTransformerBase', () => {
       });
       assert.deepStrictEqual(t.transformPathItem(pathItem), pathItem);
       sinon.assert.calledOnce(t.transformPathItem);
-      assertOnlyCalledMethods(t, [t.transformPathItem]);
+      sinon.assert.calledOnceWithExactly(
+        t.transformExtension,
+        pathItem['x-get'],
+        'x-get',
+        'PathItem',
+      );
+      assertOnlyCalledMethods(t, [t.transformPathItem, t.transformExtension]);
     });
   });
 
@@ -1153,7 +1672,13 @@ describe('OpenApiTransformerBase', () => {
       const paths = deepFreeze({ 'x-test': {} });
       assert.deepStrictEqual(t.transformPaths(paths), paths);
       sinon.assert.calledOnce(t.transformPaths);
-      assertOnlyCalledMethods(t, [t.transformPaths]);
+      sinon.assert.calledOnceWithExactly(
+        t.transformExtension,
+        paths['x-test'],
+        'x-test',
+        'Paths',
+      );
+      assertOnlyCalledMethods(t, [t.transformPaths, t.transformExtension]);
     });
   });
 
@@ -1232,15 +1757,24 @@ describe('OpenApiTransformerBase', () => {
       assertOnlyCalledMethods(t, [t.transformResponse, t.transformMap]);
     });
 
-    it('calls transformSchema on schema', () => {
+    it('calls transformResponseSchema on schema', () => {
       const t = sinon.spy(new OpenApiTransformerBase());
       const response = deepFreeze({ schema: {} });
       assert.deepStrictEqual(t.transformResponse(response), response);
-      sinon.assert.calledWith(t.transformSchema, response.schema);
+      sinon.assert.calledWithExactly(
+        t.transformResponseSchema,
+        response.schema,
+      );
+      sinon.assert.calledOnce(t.transformResponseSchema);
+      sinon.assert.alwaysCalledOn(t.transformResponseSchema, t);
+      sinon.assert.calledWithExactly(t.transformSchema, response.schema);
       sinon.assert.calledOnce(t.transformSchema);
-      sinon.assert.alwaysCalledOn(t.transformSchema, t);
       sinon.assert.calledOnce(t.transformResponse);
-      assertOnlyCalledMethods(t, [t.transformResponse, t.transformSchema]);
+      assertOnlyCalledMethods(t, [
+        t.transformResponse,
+        t.transformResponseSchema,
+        t.transformSchema,
+      ]);
     });
 
     it('calls transformExample on examples', () => {
@@ -1298,7 +1832,16 @@ describe('OpenApiTransformerBase', () => {
       assert.deepStrictEqual(t.transformResponses(responses), responses);
       sinon.assert.notCalled(t.transformResponse);
       sinon.assert.calledOnce(t.transformResponses);
-      assertOnlyCalledMethods(t, [t.transformResponses]);
+      sinon.assert.calledOnceWithExactly(
+        t.transformExtension,
+        responses['x-other'],
+        'x-other',
+        'Responses',
+      );
+      assertOnlyCalledMethods(
+        t,
+        [t.transformResponses, t.transformExtension],
+      );
     });
   });
 
@@ -1379,6 +1922,7 @@ describe('OpenApiTransformerBase', () => {
       'additionalItems',
       'additionalProperties',
       'contains',
+      'contentSchema',
       'else',
       'if',
       'not',
@@ -1399,6 +1943,8 @@ describe('OpenApiTransformerBase', () => {
     }
 
     for (const schemaMapProp of [
+      '$defs',
+      'definitions',
       'dependentSchemas',
       'patternProperties',
     ]) {
@@ -1437,6 +1983,7 @@ describe('OpenApiTransformerBase', () => {
       'allOf',
       'anyOf',
       'oneOf',
+      'prefixItems',
     ]) {
       it(`calls transformArray on Array ${schemaArrayProp}`, () => {
         const t = sinon.spy(new OpenApiTransformerBase());
@@ -1476,6 +2023,74 @@ describe('OpenApiTransformerBase', () => {
       });
     }
 
+    it('calls transformSchema on non-Array values of dependencies', () => {
+      const t = sinon.spy(new OpenApiTransformerBase());
+      const schema = deepFreeze({
+        dependencies: {
+          a: {},
+          b: ['a'],
+          c: true,
+        },
+      });
+      assert.deepStrictEqual(t.transformSchema(schema), schema);
+      sinon.assert.calledWith(t.transformSchema, schema.dependencies.a);
+      sinon.assert.calledWith(t.transformSchema, true);
+      sinon.assert.callCount(t.transformSchema, 3);
+      assertOnlyCalledMethods(t, [t.transformSchema]);
+    });
+
+    it('warns on non-object dependencies', () => {
+      const t = sinon.spy(new OpenApiTransformerBase());
+      const schema = deepFreeze({ dependencies: ['a'] });
+      assert.deepStrictEqual(t.transformSchema(schema), schema);
+      sinon.assert.calledOnce(t.transformSchema);
+      sinon.assert.calledOnceWithExactly(
+        t.warn,
+        'Ignoring non-object Schema dependencies',
+        schema.dependencies,
+      );
+      assertOnlyCalledMethods(t, [t.transformSchema, t.warn]);
+    });
+
+    it('does not transform dependentRequired', () => {
+      const t = sinon.spy(new OpenApiTransformerBase());
+      const schema = deepFreeze({
+        dependentRequired: { a: ['b'] },
+        dependentSchemas: { b: {} },
+      });
+      assert.deepStrictEqual(t.transformSchema(schema), schema);
+      sinon.assert.calledWith(t.transformSchema, schema.dependentSchemas.b);
+      sinon.assert.calledTwice(t.transformSchema);
+      assertOnlyCalledMethods(t, [t.transformSchema]);
+    });
+
+    it('sets transformPath for 2020-12 subschema keywords', () => {
+      const t = new OpenApiTransformerBase();
+      const paths = [];
+      const { transformSchema } = t;
+      t.transformSchema = function(schema) {
+        paths.push(this.transformPath.join('/'));
+        return transformSchema.call(this, schema);
+      };
+      t.transformSchema(deepFreeze({
+        $defs: { a: {} },
+        contentSchema: {},
+        definitions: { b: {} },
+        dependencies: { c: {} },
+        dependentSchemas: { d: {} },
+        prefixItems: [{}],
+      }));
+      assert.deepStrictEqual(paths.toSorted((a, b) => a.localeCompare(b)), [
+        '',
+        '$defs/a',
+        'contentSchema',
+        'definitions/b',
+        'dependencies/c',
+        'dependentSchemas/d',
+        'prefixItems/0',
+      ]);
+    });
+
     // Note: The examples property is an Array of values, as defined by JSON
     // Schema, and is therefore not suitable for any current transformExample*
     // method.  See https://github.com/OAI/OpenAPI-Specification/issues/2094
@@ -1625,4 +2240,2498 @@ describe('OpenApiTransformerBase', () => {
   describe('#transformXml()', () => {
     methodPreservesArgumentType('transformXml');
   });
+
+  describe('with resolveRefs', () => {
+    it('calls transform method with referenced Schema and Reference', () => {
+      const t = sinon.spy(new OpenApiTransformerBase({ resolveRefs: true }));
+      const ref = { $ref: '#/components/schemas/Pet' };
+      const openApi = deepFreeze({
+        components: {
+          schemas: {
+            Pet: { type: 'object' },
+          },
+        },
+        paths: {
+          '/pets': {
+            get: {
+              responses: {
+                200: {
+                  content: {
+                    'application/json': { schema: ref },
+                  },
+                },
+              },
+            },
+          },
+        },
+      });
+      const { Pet } = openApi.components.schemas;
+      assert.strictEqual(t.transformOpenApi(openApi), openApi);
+      sinon.assert.calledWithExactly(t.transformSchema, Pet, ref);
+      sinon.assert.calledWithExactly(t.transformSchema, Pet);
+      sinon.assert.calledTwice(t.transformSchema);
+      sinon.assert.notCalled(t.warn);
+    });
+
+    it('returns unchanged document if no targets changed', () => {
+      const t = sinon.spy(new OpenApiTransformerBase({ resolveRefs: true }));
+      t.loadDocument = sinon.stub().returns(deepFreeze({
+        Tag: { type: 'string' },
+      }));
+      const openApi = deepFreeze({
+        definitions: {
+          Id: { type: 'integer' },
+          Pet: {
+            properties: {
+              id: { $ref: '#/definitions/Id' },
+              tag: { $ref: 'common.json#/Tag' },
+            },
+          },
+        },
+      });
+      assert.strictEqual(t.transformOpenApi(openApi), openApi);
+      sinon.assert.calledOnce(t.loadDocument);
+      sinon.assert.notCalled(t.warn);
+    });
+
+    it('resolves #/definitions/', () => {
+      const t = new OpenApiTransformerBase({ resolveRefs: true });
+      t.transformSchema = copySchema;
+      const openApi = deepFreeze({
+        definitions: {
+          Pet: {
+            type: 'object',
+            properties: { id: { $ref: '#/definitions/Id' } },
+          },
+          Id: { type: 'integer' },
+        },
+      });
+      assert.deepStrictEqual(
+        t.transformOpenApi(openApi),
+        {
+          definitions: {
+            Pet: {
+              type: 'object',
+              properties: { id: { type: 'integer' } },
+            },
+            Id: { type: 'integer' },
+          },
+        },
+      );
+    });
+
+    it('adds $ref to transformRefs while transforming target', () => {
+      const t = new OpenApiTransformerBase({ resolveRefs: true });
+      const transformRefs = [];
+      t.transformParameter = function(parameter) {
+        transformRefs.push([...this.transformRefs]);
+        return parameter;
+      };
+      const openApi = deepFreeze({
+        parameters: { Id: { name: 'id', in: 'path' } },
+        paths: {
+          '/pets/{id}': {
+            parameters: [{ $ref: '#/parameters/Id' }],
+          },
+        },
+      });
+      t.transformOpenApi(openApi);
+      assert.deepStrictEqual(transformRefs, [
+        [],
+        [{
+          $ref: '#/parameters/Id',
+          documentUri: undefined,
+          transformPath: ['paths', '/pets/{id}', 'parameters', '0'],
+        }],
+      ]);
+      assert.deepStrictEqual(t.transformRefs, []);
+    });
+
+    it('sets transformPath to location of target', () => {
+      const t = new OpenApiTransformerBase({ resolveRefs: true });
+      const transformPaths = [];
+      t.transformParameter = function(parameter) {
+        transformPaths.push([...this.transformPath]);
+        return parameter;
+      };
+      const openApi = deepFreeze({
+        parameters: { Id: { name: 'id', in: 'path' } },
+        paths: {
+          '/pets/{id}': {
+            get: {
+              parameters: [{ $ref: '#/parameters/Id' }],
+            },
+          },
+        },
+      });
+      t.transformOpenApi(openApi);
+      assert.deepStrictEqual(
+        transformPaths,
+        [['parameters', 'Id'], ['parameters', 'Id']],
+      );
+      assert.deepStrictEqual(t.transformPath, []);
+    });
+
+    it('follows references to references', () => {
+      const t = sinon.spy(new OpenApiTransformerBase({ resolveRefs: true }));
+      const ref = { $ref: '#/components/responses/Alias' };
+      const openApi = deepFreeze({
+        components: {
+          responses: {
+            Alias: { $ref: '#/components/responses/Error' },
+            Error: { description: 'Error' },
+          },
+        },
+        paths: {
+          '/': { get: { responses: { default: ref } } },
+        },
+      });
+      t.transformResponse = sinon.spy(markResponseTransformed);
+      const result = t.transformOpenApi(openApi);
+      assert.deepStrictEqual(
+        result.paths['/'].get.responses.default,
+        { description: 'Error', 'x-transformed': true },
+      );
+      sinon.assert.calledWithExactly(
+        t.transformResponse,
+        openApi.components.responses.Error,
+        ref,
+      );
+    });
+
+    it('resolves escaped and percent-encoded JSON Pointers', () => {
+      const t = new OpenApiTransformerBase({ resolveRefs: true });
+      t.transformSchema = copySchema;
+      const openApi = deepFreeze({
+        components: {
+          schemas: {
+            'a/b c~d': { type: 'string' },
+          },
+        },
+        paths: {
+          '/': {
+            get: {
+              parameters: [{
+                schema: { $ref: '#/components/schemas/a~1b%20c~0d' },
+              }],
+            },
+          },
+        },
+      });
+      assert.deepStrictEqual(
+        t.transformOpenApi(openApi).paths['/'].get.parameters[0].schema,
+        { type: 'string' },
+      );
+    });
+
+    it('warns and does not resolve circular $ref to ancestor', () => {
+      const t = sinon.spy(new OpenApiTransformerBase({ resolveRefs: true }));
+      const openApi = deepFreeze({
+        components: {
+          schemas: {
+            Node: {
+              properties: {
+                children: {
+                  items: { $ref: '#/components/schemas/Node' },
+                },
+              },
+            },
+          },
+        },
+      });
+      assert.deepStrictEqual(t.transformOpenApi(openApi), openApi);
+      sinon.assert.calledOnceWithExactly(
+        t.warn,
+        'Ignoring circular $ref',
+        '#/components/schemas/Node',
+      );
+    });
+
+    it('warns and does not resolve circular $ref through $refs', () => {
+      const t = sinon.spy(new OpenApiTransformerBase({ resolveRefs: true }));
+      t.transformSchema = copySchema;
+      const openApi = deepFreeze({
+        definitions: {
+          A: { properties: { b: { $ref: '#/definitions/B' } } },
+          B: { properties: { a: { $ref: '#/definitions/A' } } },
+        },
+        paths: {
+          '/': {
+            get: {
+              parameters: [{ in: 'body', schema: { $ref: '#/definitions/A' } }],
+            },
+          },
+        },
+      });
+      const result = t.transformOpenApi(openApi);
+      assert.deepStrictEqual(
+        result.paths['/'].get.parameters[0].schema,
+        {
+          properties: {
+            b: {
+              properties: {
+                a: { $ref: '#/definitions/A' },
+              },
+            },
+          },
+        },
+      );
+      sinon.assert.alwaysCalledWithExactly(
+        t.warn,
+        'Ignoring circular $ref',
+        sinon.match.string,
+      );
+    });
+
+    it('warns and passes unresolvable $ref to transform method', () => {
+      const t = sinon.spy(new OpenApiTransformerBase({ resolveRefs: true }));
+      const ref = { $ref: '#/components/schemas/Missing' };
+      const openApi = deepFreeze({
+        components: {
+          schemas: {
+            Pet: { properties: { id: ref } },
+          },
+        },
+      });
+      assert.deepStrictEqual(t.transformOpenApi(openApi), openApi);
+      sinon.assert.calledWithExactly(t.transformSchema, ref);
+      sinon.assert.calledOnceWithExactly(
+        t.warn,
+        'Unable to resolve $ref',
+        ref.$ref,
+      );
+    });
+
+    it('loads and transforms relative $ref using loadDocument', () => {
+      const t = sinon.spy(new OpenApiTransformerBase({
+        baseUri: 'file:///api/openapi.json',
+        resolveRefs: true,
+      }));
+      const tag = deepFreeze({ type: 'string' });
+      const pet = deepFreeze({
+        Pet: {
+          properties: {
+            tag: { $ref: 'tag.json' },
+            self: { $ref: '#/Pet' },
+          },
+        },
+      });
+      t.loadDocument = sinon.spy((url) => {
+        switch (url.href) {
+          case 'file:///api/schemas/pet.json': return pet;
+          case 'file:///api/schemas/tag.json': return tag;
+          default: throw new Error(`Unexpected URL ${url}`);
+        }
+      });
+      const transformRefs = [];
+      t.transformSchema = sinon.spy(function(schema) {
+        if (schema === tag) {
+          transformRefs.push(this.transformRefs.map(
+            ({ $ref, documentUri }) => ({ $ref, documentUri }),
+          ));
+          assert.deepStrictEqual(this.transformPath, []);
+        }
+        return copySchema.call(this, schema);
+      });
+      const ref = { $ref: './schemas/pet.json#/Pet' };
+      const openApi = deepFreeze({
+        components: { schemas: { Pet: ref } },
+      });
+      assert.deepStrictEqual(
+        t.transformOpenApi(openApi),
+        {
+          components: {
+            schemas: {
+              Pet: {
+                properties: {
+                  tag: { type: 'string' },
+                  self: { $ref: '#/Pet' },
+                },
+              },
+            },
+          },
+        },
+      );
+      sinon.assert.calledWithExactly(t.transformSchema, pet.Pet, ref);
+      assert.deepStrictEqual(transformRefs, [[
+        {
+          $ref: './schemas/pet.json#/Pet',
+          documentUri: 'file:///api/schemas/pet.json',
+        },
+        {
+          $ref: 'tag.json',
+          documentUri: 'file:///api/schemas/tag.json',
+        },
+      ]]);
+      sinon.assert.calledOnceWithExactly(
+        t.warn,
+        'Ignoring circular $ref',
+        '#/Pet',
+      );
+    });
+
+    it('loads each document and transforms each target once', () => {
+      const t = sinon.spy(new OpenApiTransformerBase({ resolveRefs: true }));
+      const common = deepFreeze({
+        responses: { Error: { description: 'Error' } },
+      });
+      t.loadDocument = sinon.stub().returns(common);
+      t.transformResponse = sinon.spy(markResponseTransformed);
+      const openApi = deepFreeze({
+        paths: {
+          '/a': {
+            get: {
+              responses: {
+                default: { $ref: 'common.json#/responses/Error' },
+              },
+            },
+          },
+          '/b': {
+            get: {
+              responses: {
+                default: { $ref: 'common.json#/responses/Error' },
+              },
+            },
+          },
+        },
+      });
+      const result = t.transformOpenApi(openApi);
+      assert.deepStrictEqual(
+        result.paths['/a'].get.responses.default,
+        { description: 'Error', 'x-transformed': true },
+      );
+      assert.strictEqual(
+        result.paths['/a'].get.responses.default,
+        result.paths['/b'].get.responses.default,
+      );
+      sinon.assert.calledOnce(t.loadDocument);
+      sinon.assert.calledOnce(t.transformResponse);
+    });
+
+    it('resolves $ref to document with baseUri as local', () => {
+      const t = sinon.spy(new OpenApiTransformerBase({
+        baseUri: 'file:///api/openapi.json',
+        resolveRefs: true,
+      }));
+      t.transformSchema = copySchema;
+      const openApi = deepFreeze({
+        definitions: {
+          Id: { type: 'integer' },
+          Pet: { properties: { id: { $ref: 'openapi.json#/definitions/Id' } } },
+        },
+      });
+      assert.deepStrictEqual(
+        t.transformOpenApi(openApi).definitions.Pet.properties.id,
+        { type: 'integer' },
+      );
+      sinon.assert.notCalled(t.loadDocument);
+    });
+
+    it('loads file: URL as JSON by default', () => {
+      const t = new OpenApiTransformerBase({
+        baseUri: new URL(
+          'fixtures/refs/openapi.json',
+          pathToFileURL(__filename),
+        ),
+        resolveRefs: true,
+      });
+      t.transformSchema = copySchema;
+      const openApi = deepFreeze({
+        definitions: {
+          Pet: { $ref: 'schemas/pet.json#/Pet' },
+        },
+      });
+      assert.deepStrictEqual(
+        t.transformOpenApi(openApi),
+        {
+          definitions: {
+            Pet: {
+              type: 'object',
+              properties: {
+                tag: { type: 'string' },
+              },
+            },
+          },
+        },
+      );
+    });
+
+    it('warns and passes $ref to transform method if not loaded', () => {
+      const t = sinon.spy(new OpenApiTransformerBase({ resolveRefs: true }));
+      const errTest = new Error('test');
+      t.loadDocument = sinon.stub().throws(errTest);
+      const ref = { $ref: 'https://example.com/pet.json#/Pet' };
+      const openApi = deepFreeze({ definitions: { Pet: ref } });
+      assert.deepStrictEqual(t.transformOpenApi(openApi), openApi);
+      sinon.assert.calledWithExactly(t.transformSchema, ref);
+      sinon.assert.calledOnceWithExactly(
+        t.warn,
+        'Unable to load $ref',
+        ref.$ref,
+        errTest,
+      );
+    });
+  });
+
+  describe('#openApiVersion', () => {
+    for (const [openApi, version] of [
+      [{ swagger: '2.0' }, '2.0'],
+      [{ openapi: '3.0.0' }, '3.0'],
+      [{ openapi: '3.0.3' }, '3.0'],
+      [{ openapi: '3.1.0' }, '3.1'],
+      [{ openapi: '3.1.1-rc1' }, '3.1'],
+      [{ openapi: '3.2.0' }, '3.2'],
+      [{ openapi: '3.3.0' }, undefined],
+      [{ openapi: '3.1' }, undefined],
+      [{ openapi: 3.1 }, undefined],
+      [{ swagger: '2' }, undefined],
+      [{}, undefined],
+    ]) {
+      it(`is ${version} after transforming ${inspect(openApi)}`, () => {
+        const t = new OpenApiTransformerBase();
+        t.transformOpenApi(deepFreeze(openApi));
+        assert.strictEqual(t.openApiVersion, version);
+      });
+    }
+
+    it('is undefined before transformOpenApi', () => {
+      const t = new OpenApiTransformerBase();
+      assert.strictEqual(t.openApiVersion, undefined);
+    });
+  });
+
+  describe('with strictVersion', () => {
+    it('does not traverse OpenAPI 3 properties in 2.0', () => {
+      const t = sinon.spy(new OpenApiTransformerBase({ strictVersion: true }));
+      const openApi = deepFreeze({
+        swagger: '2.0',
+        components: { schemas: { A: {} } },
+        definitions: { B: {} },
+        servers: [{ url: 'https://example.com' }],
+        paths: {
+          '/': {
+            get: {
+              requestBody: { content: {} },
+              responses: {
+                200: {
+                  content: {},
+                  schema: {},
+                },
+              },
+            },
+            trace: {},
+          },
+        },
+      });
+      assert.deepStrictEqual(t.transformOpenApi(openApi), openApi);
+      sinon.assert.notCalled(t.transformComponents);
+      sinon.assert.notCalled(t.transformServer);
+      sinon.assert.notCalled(t.transformRequestBody);
+      sinon.assert.notCalled(t.transformMediaType);
+      sinon.assert.calledOnce(t.transformOperation);
+      sinon.assert.calledTwice(t.transformSchema);
+      assert.deepStrictEqual(
+        t.diagnostics.map(({ pointer, value }) => [pointer, value]),
+        [
+          ['/servers', openApi.servers],
+          ['/components', openApi.components],
+          ['/paths/~1/get/requestBody', openApi.paths['/'].get.requestBody],
+          [
+            '/paths/~1/get/responses/200/content',
+            openApi.paths['/'].get.responses[200].content,
+          ],
+          ['/paths/~1/trace', openApi.paths['/'].trace],
+        ],
+      );
+      for (const { code, message } of t.diagnostics) {
+        assert.strictEqual(code, 'PROPERTY_NOT_IN_VERSION');
+        assert.strictEqual(
+          message,
+          'Ignoring property not defined in OpenAPI 2.0',
+        );
+      }
+      assert.deepStrictEqual(
+        t.warn.args.map(([, value]) => value),
+        t.diagnostics.map(({ value }) => value),
+      );
+    });
+
+    it('does not traverse OpenAPI 2 or 3.1 properties in 3.0', () => {
+      const t = sinon.spy(new OpenApiTransformerBase({ strictVersion: true }));
+      const openApi = deepFreeze({
+        openapi: '3.0.3',
+        definitions: { A: {} },
+        components: {
+          pathItems: { B: {} },
+          schemas: {
+            C: {
+              $defs: { D: {} },
+              anyOf: [{}],
+              if: {},
+              patternProperties: { '^x-': {} },
+            },
+          },
+        },
+        webhooks: { d: {} },
+      });
+      assert.deepStrictEqual(t.transformOpenApi(openApi), openApi);
+      sinon.assert.notCalled(t.transformPathItem);
+      sinon.assert.calledTwice(t.transformSchema);
+      assert.deepStrictEqual(
+        t.diagnostics
+          .map(({ pointer }) => pointer)
+          .toSorted((a, b) => a.localeCompare(b)),
+        [
+          '/components/pathItems',
+          '/components/schemas/C/$defs',
+          '/components/schemas/C/if',
+          '/components/schemas/C/patternProperties',
+          '/definitions',
+          '/webhooks',
+        ],
+      );
+      for (const { message, pointer, value } of t.diagnostics) {
+        assert.strictEqual(
+          message,
+          'Ignoring property not defined in OpenAPI 3.0',
+        );
+        assert.strictEqual(value, getPointerValue(openApi, pointer));
+      }
+    });
+
+    it('traverses OpenAPI 3.1 properties in 3.1', () => {
+      const t = sinon.spy(new OpenApiTransformerBase({ strictVersion: true }));
+      const openApi = deepFreeze({
+        openapi: '3.1.0',
+        components: {
+          pathItems: { A: {} },
+          schemas: { B: { if: {}, else: {} } },
+        },
+        webhooks: { c: {} },
+      });
+      assert.deepStrictEqual(t.transformOpenApi(openApi), openApi);
+      sinon.assert.calledTwice(t.transformPathItem);
+      sinon.assert.calledThrice(t.transformSchema);
+      sinon.assert.notCalled(t.warn);
+    });
+
+    it('traverses query operation only in 3.2', () => {
+      const openApi = deepFreeze({
+        openapi: '3.2.0',
+        paths: { '/': { query: {} } },
+      });
+      const t = sinon.spy(new OpenApiTransformerBase({ strictVersion: true }));
+      t.transformOpenApi(openApi);
+      sinon.assert.calledOnce(t.transformOperation);
+      sinon.assert.notCalled(t.warn);
+
+      t.transformOpenApi({ ...openApi, openapi: '3.1.0' });
+      sinon.assert.calledOnce(t.transformOperation);
+      sinon.assert.calledOnceWithExactly(
+        t.warn,
+        'Ignoring property not defined in OpenAPI 3.1',
+        openApi.paths['/'].query,
+      );
+      assert.strictEqual(t.diagnostics[0].pointer, '/paths/~1/query');
+    });
+
+    it('warns and traverses all properties if version unrecognized', () => {
+      const t = sinon.spy(new OpenApiTransformerBase({ strictVersion: true }));
+      const openApi = deepFreeze({
+        openapi: '4.0.0',
+        components: { schemas: { A: {} } },
+        definitions: { B: {} },
+      });
+      assert.deepStrictEqual(t.transformOpenApi(openApi), openApi);
+      sinon.assert.calledTwice(t.transformSchema);
+      sinon.assert.calledOnceWithExactly(
+        t.warn,
+        'Unrecognized OpenAPI version',
+        '4.0.0',
+      );
+    });
+
+    it('traverses all properties when called without transformOpenApi', () => {
+      const t = sinon.spy(new OpenApiTransformerBase({ strictVersion: true }));
+      const schema = deepFreeze({ if: {}, anyOf: [{}] });
+      assert.deepStrictEqual(t.transformSchema(schema), schema);
+      sinon.assert.calledThrice(t.transformSchema);
+      sinon.assert.notCalled(t.warn);
+    });
+  });
+
+  describe('without strictVersion', () => {
+    it('traverses properties not defined in document version', () => {
+      const t = sinon.spy(new OpenApiTransformerBase());
+      const openApi = deepFreeze({
+        swagger: '2.0',
+        components: { schemas: { A: {} } },
+        webhooks: { b: {} },
+      });
+      assert.deepStrictEqual(t.transformOpenApi(openApi), openApi);
+      sinon.assert.calledOnce(t.transformSchema);
+      sinon.assert.calledOnce(t.transformPathItem);
+      sinon.assert.notCalled(t.warn);
+    });
+  });
+
+  describe('#currentPointer', () => {
+    it('is "" when not transforming', () => {
+      const t = new OpenApiTransformerBase();
+      assert.strictEqual(t.currentPointer, '');
+    });
+
+    it('is JSON Pointer of transformPath', () => {
+      const t = new OpenApiTransformerBase();
+      const pointers = [];
+      t.transformSchema = function(schema) {
+        pointers.push(this.currentPointer);
+        return schema;
+      };
+      t.transformOpenApi(deepFreeze({
+        paths: {
+          '/pets/{id~}': {
+            get: {
+              parameters: [{ schema: {} }],
+            },
+          },
+        },
+      }));
+      assert.deepStrictEqual(
+        pointers,
+        ['/paths/~1pets~1{id~0}/get/parameters/0/schema'],
+      );
+    });
+
+    it('dereferences to value passed to each transform method', () => {
+      const schema = {
+        $defs: { a: {} },
+        additionalItems: {},
+        additionalProperties: {},
+        allOf: [{}],
+        anyOf: [{}],
+        contains: {},
+        contentSchema: {},
+        definitions: { b: {} },
+        dependencies: { c: {}, d: ['c'] },
+        dependentSchemas: { e: {} },
+        discriminator: { propertyName: 'f' },
+        else: {},
+        externalDocs: { url: 'https://example.com' },
+        if: {},
+        items: [{}],
+        not: {},
+        oneOf: [{}],
+        patternProperties: { '^g': {} },
+        prefixItems: [{}],
+        properties: { h: { items: {} } },
+        propertyNames: {},
+        unevaluatedItems: {},
+        unevaluatedProperties: {},
+        xml: {},
+      };
+      const mediaType = {
+        schema,
+        examples: { i: {} },
+        encoding: { j: { headers: { k: { schema: {} } } } },
+      };
+      const pathItem = {
+        servers: [{ url: 'https://example.com' }],
+        parameters: [{ schema: {}, content: { 'text/plain': {} } }],
+        get: {
+          externalDocs: {},
+          parameters: [{ examples: { l: {} } }],
+          requestBody: { content: { 'application/json': mediaType } },
+          responses: {
+            200: {
+              headers: { m: {} },
+              content: { 'application/json': {} },
+              links: { n: { server: {} } },
+            },
+          },
+          callbacks: { o: { '{$url}': { post: {} } } },
+          security: [{ p: [] }],
+          servers: [{ variables: { q: {} } }],
+        },
+        trace: {},
+      };
+      const openApi3 = deepFreeze({
+        openapi: '3.1.0',
+        info: { contact: {}, license: {} },
+        servers: [{ url: 'https://{r}.example.com', variables: { r: {} } }],
+        paths: { '/pets': pathItem },
+        webhooks: { s: {} },
+        components: {
+          schemas: { t: {} },
+          responses: { u: {} },
+          parameters: { v: {} },
+          examples: { w: {} },
+          requestBodies: { x: {} },
+          headers: { y: {} },
+          securitySchemes: {
+            z: {
+              flows: {
+                implicit: {},
+                password: {},
+                clientCredentials: {},
+                authorizationCode: {},
+              },
+              'x-amazon-apigateway-authorizer': { type: 'token' },
+            },
+          },
+          links: { aa: {} },
+          callbacks: { bb: {} },
+          pathItems: { cc: {} },
+        },
+        security: [{ dd: [] }],
+        tags: [{ externalDocs: {} }],
+        externalDocs: {},
+        'x-ms-parameterized-host': {
+          hostTemplate: '{ee}.example.com',
+          parameters: [{ name: 'ee' }],
+        },
+        'x-ms-paths': { '/pets?ff': {} },
+      });
+      const openApi2 = deepFreeze({
+        swagger: '2.0',
+        definitions: {
+          a: {
+            'x-ms-discriminator-value': 'A',
+            properties: {
+              e: { 'x-ms-client-name': 'E', 'x-ms-enum': { name: 'E' } },
+            },
+          },
+        },
+        parameters: { b: { items: { items: {} } } },
+        responses: { c: {} },
+        paths: {
+          '/pets': {
+            parameters: [{ in: 'body', schema: {} }],
+            get: {
+              'x-amazon-apigateway-integration': {
+                responses: { default: { statusCode: '200' } },
+              },
+              'x-google-quota': { metricCosts: { h: 1 } },
+              'x-ms-examples': { f: { $ref: './examples/f.json' } },
+              'x-ms-long-running-operation-options': {
+                'final-state-via': 'location',
+              },
+              'x-ms-pageable': { nextLinkName: null },
+              responses: {
+                default: {
+                  schema: {},
+                  examples: {},
+                  headers: { d: { items: {} } },
+                },
+              },
+            },
+          },
+        },
+        'x-amazon-apigateway-request-validators': { i: {} },
+        'x-google-backend': { address: 'https://example.com' },
+      });
+
+      const VendorTransformer = googleCloudEndpointsExtensions(
+        awsApiGatewayExtensions(OpenApiTransformerBase),
+      );
+      const methodNames = [];
+      for (let proto = VendorTransformer.prototype;
+        proto !== Object.prototype;
+        proto = Object.getPrototypeOf(proto)) {
+        methodNames.push(...Object.getOwnPropertyNames(proto)
+          .filter((methodName) => methodName.startsWith('transform')));
+      }
+
+      const calledMethods = new Set();
+      for (const openApi of [openApi2, openApi3]) {
+        const t = new VendorTransformer();
+        for (const methodName of methodNames) {
+          const method = t[methodName];
+          t[methodName] = function(value, ...args) {
+            calledMethods.add(methodName);
+            const { currentPointer } = this;
+            assert.strictEqual(
+              getPointerValue(openApi, currentPointer),
+              value,
+              `${methodName} called at ${currentPointer}`,
+            );
+            return method.call(this, value, ...args);
+          };
+        }
+
+        assert.deepStrictEqual(t.transformOpenApi(openApi), openApi);
+      }
+
+      assert.deepStrictEqual(
+        [...calledMethods].toSorted((a, b) => a.localeCompare(b)),
+        methodNames.toSorted((a, b) => a.localeCompare(b)),
+      );
+    });
+  });
+
+  describe('#transformAncestors', () => {
+    it('is empty when not transforming', () => {
+      const t = new OpenApiTransformerBase();
+      assert.deepStrictEqual(t.transformAncestors, []);
+      t.transformOpenApi(deepFreeze({ paths: { '/': { get: {} } } }));
+      assert.deepStrictEqual(t.transformAncestors, []);
+    });
+
+    it('has key, value, and type of each visited value', () => {
+      const t = new OpenApiTransformerBase();
+      const schema = { type: 'string' };
+      const mediaType = { schema };
+      const content = { 'text/plain': mediaType };
+      const requestBody = { content };
+      const operation = { operationId: 'getPets', requestBody };
+      const pathItem = { post: operation };
+      const paths = { '/pets': pathItem };
+      const openApi = deepFreeze({ openapi: '3.1.0', paths });
+      let ancestors;
+      t.transformSchema = function(value) {
+        ancestors = this.transformAncestors.map((entry) => ({ ...entry }));
+        return value;
+      };
+      t.transformOpenApi(openApi);
+      assert.deepStrictEqual(ancestors, [
+        { key: 'paths', value: paths, type: 'Paths' },
+        { key: '/pets', value: pathItem, type: 'PathItem' },
+        { key: 'post', value: operation, type: 'Operation' },
+        { key: 'requestBody', value: requestBody, type: 'RequestBody' },
+        { key: 'content', value: content, type: 'Map' },
+        { key: 'text/plain', value: mediaType, type: 'MediaType' },
+        { key: 'schema', value: schema, type: 'RequestBodySchema' },
+        { key: 'schema', value: schema, type: 'Schema' },
+      ]);
+      assert.strictEqual(ancestors.at(-1).value, schema);
+    });
+
+    it('has Array type for values visited by transformArray', () => {
+      const t = new OpenApiTransformerBase();
+      const parameter = { name: 'q', in: 'query' };
+      const parameters = [parameter];
+      const openApi = deepFreeze({
+        paths: { '/': { get: { parameters } } },
+      });
+      let ancestors;
+      t.transformParameter = function(value) {
+        ancestors = this.transformAncestors.slice(-2);
+        return value;
+      };
+      t.transformOpenApi(openApi);
+      assert.deepStrictEqual(ancestors, [
+        { key: 'parameters', value: parameters, type: 'Array' },
+        { key: '0', value: parameter, type: 'Parameter' },
+      ]);
+    });
+
+    it('has undefined type for values not visited by transform method', () => {
+      const t = new OpenApiTransformerBase();
+      const patternProperties = { '^x': {} };
+      let ancestors;
+      t.transformSchema = function(value) {
+        if (value === patternProperties['^x']) {
+          ancestors = this.transformAncestors.slice(-2);
+        }
+        return OpenApiTransformerBase.prototype.transformSchema
+          .call(this, value);
+      };
+      t.transformSchema(deepFreeze({ patternProperties }));
+      assert.deepStrictEqual(ancestors, [
+        {
+          key: 'patternProperties',
+          value: patternProperties,
+          type: undefined,
+        },
+        { key: '^x', value: patternProperties['^x'], type: 'Schema' },
+      ]);
+    });
+
+    it('has referenced value and referencing key with resolveRefs', () => {
+      const t = new OpenApiTransformerBase({ resolveRefs: true });
+      const parameter = { name: 'id', in: 'path' };
+      const openApi = deepFreeze({
+        components: { parameters: { Id: parameter } },
+        paths: {
+          '/pets/{id}': {
+            get: { parameters: [{ $ref: '#/components/parameters/Id' }] },
+          },
+        },
+      });
+      const ancestorsList = [];
+      t.transformParameter = function(value) {
+        ancestorsList.push(this.transformAncestors.map(({ key }) => key));
+        assert.strictEqual(this.transformAncestors.at(-1).value, parameter);
+        return value;
+      };
+      t.transformOpenApi(openApi);
+      assert.deepStrictEqual(ancestorsList, [
+        ['components', 'parameters', 'Id'],
+        ['paths', '/pets/{id}', 'get', 'parameters', '0'],
+      ]);
+    });
+
+    it('removes entry when transform method throws', () => {
+      const t = new OpenApiTransformerBase();
+      const errTest = new Error('test');
+      t.transformTag = () => { throw errTest; };
+      assert.throws(
+        () => t.transformOpenApi(deepFreeze({ tags: [{}] })),
+        errTest,
+      );
+      assert.deepStrictEqual(t.transformAncestors, []);
+    });
+  });
+
+  describe('role-specific schema methods', () => {
+    const schemaMethodNames = [
+      'transformHeaderSchema',
+      'transformParameterSchema',
+      'transformRequestBodySchema',
+      'transformResponseSchema',
+    ];
+
+    function getSchemaMethodsByPointer(openApi) {
+      const t = new OpenApiTransformerBase();
+      const methodNamesByPointer = {};
+      for (const methodName of schemaMethodNames) {
+        const method = t[methodName];
+        t[methodName] = function(schema, ...args) {
+          methodNamesByPointer[this.currentPointer] = methodName;
+          return method.call(this, schema, ...args);
+        };
+      }
+      assert.deepStrictEqual(t.transformOpenApi(openApi), openApi);
+      return methodNamesByPointer;
+    }
+
+    it('are called for schemas of each Media Type Object role', () => {
+      const openApi = deepFreeze({
+        openapi: '3.1.0',
+        components: {
+          headers: { H: { schema: {} } },
+          parameters: {
+            P: { content: { 'application/json': { schema: {} } } },
+          },
+          requestBodies: {
+            R: {
+              content: {
+                'multipart/form-data': {
+                  schema: {},
+                  encoding: { a: { headers: { 'X-A': { schema: {} } } } },
+                },
+              },
+            },
+          },
+          responses: {
+            S: { content: { 'application/json': { schema: {} } } },
+          },
+        },
+      });
+      const encodingHeaderSchemaPointer =
+        '/components/requestBodies/R/content/multipart~1form-data'
+        + '/encoding/a/headers/X-A/schema';
+      assert.deepStrictEqual(getSchemaMethodsByPointer(openApi), {
+        '/components/headers/H/schema': 'transformHeaderSchema',
+        '/components/parameters/P/content/application~1json/schema':
+          'transformParameterSchema',
+        '/components/requestBodies/R/content/multipart~1form-data/schema':
+          'transformRequestBodySchema',
+        [encodingHeaderSchemaPointer]: 'transformHeaderSchema',
+        '/components/responses/S/content/application~1json/schema':
+          'transformResponseSchema',
+      });
+    });
+
+    it('are called for OpenAPI 2.0 schemas', () => {
+      const openApi = deepFreeze({
+        swagger: '2.0',
+        paths: {
+          '/': {
+            post: {
+              parameters: [
+                { in: 'body', schema: {} },
+                { in: 'query', schema: {} },
+              ],
+              responses: { 200: { schema: {} } },
+            },
+          },
+        },
+      });
+      assert.deepStrictEqual(getSchemaMethodsByPointer(openApi), {
+        '/paths/~1/post/parameters/0/schema': 'transformRequestBodySchema',
+        '/paths/~1/post/parameters/1/schema': 'transformParameterSchema',
+        '/paths/~1/post/responses/200/schema': 'transformResponseSchema',
+      });
+    });
+
+    it('are called with referenced schema and Reference Object', () => {
+      const t = sinon.spy(new OpenApiTransformerBase({ resolveRefs: true }));
+      const ref = { $ref: '#/components/schemas/Pet' };
+      const openApi = deepFreeze({
+        components: { schemas: { Pet: { type: 'object' } } },
+        paths: {
+          '/pets': {
+            post: {
+              requestBody: {
+                content: { 'application/json': { schema: ref } },
+              },
+            },
+          },
+        },
+      });
+      const { Pet } = openApi.components.schemas;
+      t.transformOpenApi(openApi);
+      sinon.assert.calledOnceWithExactly(
+        t.transformRequestBodySchema,
+        Pet,
+        ref,
+      );
+      sinon.assert.calledWithExactly(t.transformSchema, Pet, ref);
+    });
+  });
+
+  describe('#diagnostics', () => {
+    it('is empty initially', () => {
+      const t = new OpenApiTransformerBase();
+      assert.deepStrictEqual(t.diagnostics, []);
+    });
+
+    it('has diagnostic for each warning during transformOpenApi', () => {
+      const t = new OpenApiTransformerBase();
+      const openApi = deepFreeze({
+        paths: {
+          '/a': null,
+          '/b': {
+            get: {
+              responses: { 200: {}, foo: {} },
+            },
+          },
+        },
+      });
+      t.transformOpenApi(openApi);
+      assert.deepStrictEqual(t.diagnostics, [
+        {
+          code: 'NON_OBJECT_PATH_ITEM',
+          severity: 'warning',
+          message: 'Ignoring non-object Path Item',
+          pointer: '/paths/~1a',
+          value: null,
+        },
+        {
+          code: 'UNRECOGNIZED_RESPONSES_PROPERTY',
+          severity: 'warning',
+          message: 'Ignoring unrecognized property of Responses',
+          pointer: '/paths/~1b/get/responses',
+          value: 'foo',
+        },
+      ]);
+    });
+
+    it('is reset by transformOpenApi', () => {
+      const t = new OpenApiTransformerBase();
+      t.transformOpenApi(deepFreeze({ paths: { '/': [] } }));
+      assert.strictEqual(t.diagnostics.length, 1);
+      const { diagnostics } = t;
+      t.transformOpenApi(deepFreeze({ paths: {} }));
+      assert.deepStrictEqual(t.diagnostics, []);
+      assert.strictEqual(diagnostics.length, 1);
+    });
+
+    it('has cause of $ref which could not be loaded', () => {
+      const t = new OpenApiTransformerBase({ resolveRefs: true });
+      const errTest = new Error('test');
+      t.loadDocument = () => { throw errTest; };
+      t.transformOpenApi(deepFreeze({
+        definitions: { Pet: { $ref: 'pet.json' } },
+      }));
+      assert.deepStrictEqual(t.diagnostics, [
+        {
+          code: 'UNLOADABLE_REF',
+          severity: 'warning',
+          message: 'Unable to load $ref',
+          pointer: '/definitions/Pet',
+          value: 'pet.json',
+          cause: errTest,
+        },
+      ]);
+    });
+
+    it('has documentUri of value in loaded document', () => {
+      const t = new OpenApiTransformerBase({
+        baseUri: 'file:///api/openapi.json',
+        resolveRefs: true,
+      });
+      t.loadDocument = () => deepFreeze({
+        Pet: { properties: { id: 1 } },
+      });
+      t.transformOpenApi(deepFreeze({
+        definitions: {
+          Pet: { $ref: 'pet.json#/Pet' },
+          Tag: { properties: { id: 1 } },
+        },
+      }));
+      assert.deepStrictEqual(
+        t.diagnostics.map(({ code, pointer, documentUri }) => ({
+          code,
+          pointer,
+          documentUri,
+        })),
+        [
+          {
+            code: 'NON_OBJECT_SCHEMA',
+            pointer: '/Pet/properties/id',
+            documentUri: 'file:///api/pet.json',
+          },
+          {
+            code: 'NON_OBJECT_SCHEMA',
+            pointer: '/definitions/Tag/properties/id',
+            documentUri: undefined,
+          },
+        ],
+      );
+      assert(!Object.hasOwn(t.diagnostics[1], 'documentUri'));
+    });
+  });
+
+  describe('#addDiagnostic()', () => {
+    it('adds to diagnostics and calls warn', () => {
+      const t = new OpenApiTransformerBase();
+      t.warn = sinon.spy();
+      const value = {};
+      t.addDiagnostic('TEST_CODE', 'Test message', value);
+      assert.deepStrictEqual(t.diagnostics, [
+        {
+          code: 'TEST_CODE',
+          severity: 'warning',
+          message: 'Test message',
+          pointer: '',
+          value,
+        },
+      ]);
+      sinon.assert.calledOnceWithExactly(t.warn, 'Test message', value);
+    });
+
+    it('calls onDiagnostic with each diagnostic', () => {
+      const onDiagnostic = sinon.spy();
+      const t = new OpenApiTransformerBase({ onDiagnostic });
+      t.transformOpenApi(deepFreeze({ tags: [null, 1] }));
+      sinon.assert.calledTwice(onDiagnostic);
+      sinon.assert.calledWithExactly(
+        onDiagnostic.firstCall,
+        t.diagnostics[0],
+      );
+      sinon.assert.calledWithExactly(
+        onDiagnostic.secondCall,
+        t.diagnostics[1],
+      );
+      assert.deepStrictEqual(
+        t.diagnostics.map(({ code, pointer }) => [code, pointer]),
+        [
+          ['NON_OBJECT_TAG', '/tags/0'],
+          ['NON_OBJECT_TAG', '/tags/1'],
+        ],
+      );
+    });
+
+    it('throws TypeError for non-function onDiagnostic', () => {
+      assert.throws(
+        () => new OpenApiTransformerBase({ onDiagnostic: {} }),
+        TypeError,
+      );
+    });
+  });
+
+  describe('with strict', () => {
+    it('throws InvalidOpenApiError for non-object Schema', () => {
+      const t = new OpenApiTransformerBase({ strict: true });
+      const openApi = deepFreeze({ definitions: { A: 1 } });
+      assert.throws(
+        () => t.transformOpenApi(openApi),
+        (err) => {
+          assert(err instanceof InvalidOpenApiError);
+          assert.strictEqual(err.code, 'NON_OBJECT_SCHEMA');
+          assert.strictEqual(err.pointer, '/definitions/A');
+          assert.strictEqual(err.expectedType, 'object');
+          assert.strictEqual(err.value, 1);
+          assert.strictEqual(
+            err.message,
+            'Ignoring non-object Schema at /definitions/A',
+          );
+          return true;
+        },
+      );
+      assert.deepStrictEqual(
+        t.diagnostics.map(({ code, severity }) => [code, severity]),
+        [['NON_OBJECT_SCHEMA', 'error']],
+      );
+    });
+
+    it('throws InvalidOpenApiError for non-Array parameters', () => {
+      const t = new OpenApiTransformerBase({ strict: true });
+      const openApi = deepFreeze({
+        paths: { '/': { get: { parameters: {} } } },
+      });
+      assert.throws(
+        () => t.transformOpenApi(openApi),
+        {
+          name: 'InvalidOpenApiError',
+          code: 'NON_ARRAY',
+          pointer: '/paths/~1/get/parameters',
+          expectedType: 'Array',
+        },
+      );
+    });
+
+    it('throws InvalidOpenApiError for non-object Map', () => {
+      const t = new OpenApiTransformerBase({ strict: true });
+      const openApi = deepFreeze({ components: { schemas: [] } });
+      assert.throws(
+        () => t.transformOpenApi(openApi),
+        {
+          name: 'InvalidOpenApiError',
+          code: 'NON_OBJECT_MAP',
+          pointer: '/components/schemas',
+          expectedType: 'object',
+        },
+      );
+    });
+
+    it('throws InvalidOpenApiError for unrecognized Path Item key', () => {
+      const t = new OpenApiTransformerBase({ strict: true });
+      const openApi = deepFreeze({ paths: { '/': { foo: {} } } });
+      assert.throws(
+        () => t.transformOpenApi(openApi),
+        {
+          name: 'InvalidOpenApiError',
+          code: 'UNRECOGNIZED_PATH_ITEM_PROPERTY',
+          pointer: '/paths/~1',
+          value: 'foo',
+          expectedType: undefined,
+        },
+      );
+    });
+
+    it('throws InvalidOpenApiError with cause of unloadable $ref', () => {
+      const errTest = new Error('test');
+      const t = new OpenApiTransformerBase({ resolveRefs: true, strict: true });
+      t.loadDocument = () => { throw errTest; };
+      assert.throws(
+        () => t.transformOpenApi(deepFreeze({
+          definitions: { A: { $ref: 'a.json' } },
+        })),
+        {
+          name: 'InvalidOpenApiError',
+          code: 'UNLOADABLE_REF',
+          cause: errTest,
+        },
+      );
+    });
+
+    it('does not throw for circular $ref', () => {
+      const t = sinon.spy(new OpenApiTransformerBase({
+        resolveRefs: true,
+        strict: true,
+      }));
+      const openApi = deepFreeze({
+        definitions: {
+          Node: {
+            properties: { next: { $ref: '#/definitions/Node' } },
+          },
+        },
+      });
+      assert.deepStrictEqual(t.transformOpenApi(openApi), openApi);
+      assert.deepStrictEqual(
+        t.diagnostics.map(({ code, severity }) => [code, severity]),
+        [['CIRCULAR_REF', 'warning']],
+      );
+      sinon.assert.calledOnce(t.warn);
+    });
+
+    it('does not throw for valid document', () => {
+      const t = new OpenApiTransformerBase({ strict: true });
+      const openApi = deepFreeze({
+        openapi: '3.1.0',
+        paths: { '/': { get: { parameters: [{ schema: {} }] } } },
+      });
+      assert.deepStrictEqual(t.transformOpenApi(openApi), openApi);
+    });
+  });
+
+  describe('with strict aggregate', () => {
+    it('throws AggregateError after traversal', () => {
+      const t = sinon.spy(new OpenApiTransformerBase({ strict: 'aggregate' }));
+      const openApi = deepFreeze({
+        definitions: { A: 1 },
+        paths: { '/': { foo: {} } },
+        tags: [{}],
+      });
+      assert.throws(
+        () => t.transformOpenApi(openApi),
+        (err) => {
+          assert(err instanceof AggregateError);
+          assert.deepStrictEqual(
+            err.errors.map((error) => {
+              assert(error instanceof InvalidOpenApiError);
+              return [error.code, error.pointer];
+            }),
+            [
+              ['NON_OBJECT_SCHEMA', '/definitions/A'],
+              ['UNRECOGNIZED_PATH_ITEM_PROPERTY', '/paths/~1'],
+            ],
+          );
+          return true;
+        },
+      );
+      sinon.assert.calledOnce(t.transformTag);
+      sinon.assert.notCalled(t.warn);
+    });
+
+    it('throws AggregateError for non-object OpenAPI', () => {
+      const t = new OpenApiTransformerBase({ strict: 'aggregate' });
+      assert.throws(
+        () => t.transformOpenApi(null),
+        (err) => {
+          assert(err instanceof AggregateError);
+          assert.strictEqual(err.errors.length, 1);
+          assert.strictEqual(err.errors[0].code, 'NON_OBJECT_OPENAPI');
+          return true;
+        },
+      );
+    });
+
+    it('does not throw for warnings', () => {
+      const t = new OpenApiTransformerBase({
+        resolveRefs: true,
+        strict: 'aggregate',
+      });
+      const openApi = deepFreeze({
+        definitions: {
+          Node: { items: { $ref: '#/definitions/Node' } },
+        },
+      });
+      assert.deepStrictEqual(t.transformOpenApi(openApi), openApi);
+      assert.strictEqual(t.diagnostics.length, 1);
+    });
+  });
+
+  describe('with recordPatch', () => {
+    it('has undefined patch without recordPatch', () => {
+      const t = new OpenApiTransformerBase();
+      t.transformOpenApi(deepFreeze({ definitions: { A: {} } }));
+      assert.strictEqual(t.patch, undefined);
+    });
+
+    it('has undefined patch before transformOpenApi', () => {
+      const t = new OpenApiTransformerBase({ recordPatch: true });
+      assert.strictEqual(t.patch, undefined);
+    });
+
+    it('has empty patch for unchanged document', () => {
+      const t = new OpenApiTransformerBase({ recordPatch: true });
+      const openApi = deepFreeze({
+        openapi: '3.1.0',
+        paths: { '/': { get: { parameters: [{ schema: {} }] } } },
+      });
+      t.transformOpenApi(openApi);
+      assert.deepStrictEqual(t.patch, []);
+    });
+
+    it('has empty patch for non-object OpenAPI', () => {
+      const t = new OpenApiTransformerBase({ recordPatch: true });
+      t.transformOpenApi(null);
+      assert.deepStrictEqual(t.patch, []);
+    });
+
+    it('has operations for changed values', () => {
+      const t = new OpenApiTransformerBase({ recordPatch: true });
+      t.transformSchema = function(schema) {
+        const newSchema =
+          OpenApiTransformerBase.prototype.transformSchema.call(this, schema);
+        if (newSchema.type !== 'integer') {
+          return newSchema;
+        }
+
+        const { format, ...schemaNoFormat } = newSchema;
+        return { ...schemaNoFormat, type: 'number', multipleOf: 1 };
+      };
+      t.transformTag = (tag) => ({ ...tag, name: tag.name.toUpperCase() });
+      const openApi = deepFreeze({
+        swagger: '2.0',
+        definitions: {
+          A: {
+            properties: {
+              b: { type: 'integer', format: 'int32' },
+              c: { type: 'string' },
+            },
+          },
+        },
+        tags: [{ name: 'a' }],
+      });
+      const newOpenApi = t.transformOpenApi(openApi);
+      assert.deepStrictEqual(t.patch, [
+        {
+          op: 'replace',
+          path: '/definitions/A/properties/b/type',
+          value: 'number',
+        },
+        { op: 'add', path: '/definitions/A/properties/b/multipleOf', value: 1 },
+        { op: 'replace', path: '/tags/0/name', value: 'A' },
+        { op: 'remove', path: '/definitions/A/properties/b/format' },
+      ]);
+      assert.strictEqual(newOpenApi.tags[0].name, 'A');
+    });
+
+    it('has single remove of removed Array item', () => {
+      const t = new OpenApiTransformerBase({ recordPatch: true });
+      const { REMOVE } = OpenApiTransformerBase;
+      t.transformTag = (tag) => (tag.name === 'a' ? REMOVE : tag);
+      t.transformOpenApi(deepFreeze({
+        tags: [{ name: 'a' }, { name: 'b' }, { name: 'c' }],
+      }));
+      assert.deepStrictEqual(t.patch, [{ op: 'remove', path: '/tags/0' }]);
+    });
+
+    it('removes Array items after other operations', () => {
+      const t = new OpenApiTransformerBase({ recordPatch: true });
+      const { REMOVE } = OpenApiTransformerBase;
+      t.transformTag = (tag) => (tag.name === 'b' ? { name: 'B' } : REMOVE);
+      t.transformOpenApi(deepFreeze({
+        tags: [{ name: 'a' }, { name: 'b' }, { name: 'c' }],
+      }));
+      assert.deepStrictEqual(t.patch, [
+        { op: 'replace', path: '/tags/1/name', value: 'B' },
+        { op: 'remove', path: '/tags/2' },
+        { op: 'remove', path: '/tags/0' },
+      ]);
+    });
+
+    it('has replace of reordered Array', () => {
+      const t = new OpenApiTransformerBase({ recordPatch: true });
+      t.transformArray = function(arr, transform) {
+        return OpenApiTransformerBase.prototype.transformArray
+          .call(this, arr, transform)
+          .toReversed();
+      };
+      const openApi = deepFreeze({ tags: [{ name: 'a' }, { name: 'b' }] });
+      t.transformOpenApi(openApi);
+      assert.deepStrictEqual(t.patch, [
+        {
+          op: 'replace',
+          path: '/tags',
+          value: [{ name: 'b' }, { name: 'a' }],
+        },
+      ]);
+    });
+
+    it('has operations for changes to objects returned by super', () => {
+      const t = new OpenApiTransformerBase({ recordPatch: true });
+      t.transformContact = (contact) => ({ ...contact, name: 'B' });
+      t.transformInfo = function(info) {
+        const newInfo =
+          OpenApiTransformerBase.prototype.transformInfo.call(this, info);
+        newInfo.title = 'Changed';
+        return newInfo;
+      };
+      t.transformOpenApi(deepFreeze({
+        info: { title: 'Title', contact: { name: 'A' } },
+      }));
+      assert.deepStrictEqual(t.patch, [
+        { op: 'replace', path: '/info/contact/name', value: 'B' },
+        { op: 'replace', path: '/info/title', value: 'Changed' },
+      ]);
+    });
+
+    it('has operations for each location of memoized value', () => {
+      const t = new OpenApiTransformerBase({
+        memoize: true,
+        recordPatch: true,
+      });
+      t.transformTag = (tag) => ({ ...tag, name: tag.name.toUpperCase() });
+      const sharedTag = { name: 'a' };
+      t.transformOpenApi(deepFreeze({ tags: [sharedTag, sharedTag] }));
+      assert.deepStrictEqual(t.patch, [
+        { op: 'replace', path: '/tags/0/name', value: 'A' },
+        { op: 'replace', path: '/tags/1/name', value: 'A' },
+      ]);
+    });
+
+    it('has patch for most recent transformOpenApi', () => {
+      const t = new OpenApiTransformerBase({ recordPatch: true });
+      t.transformInfo = () => ({});
+      t.transformOpenApi(deepFreeze({ info: { title: 'a' } }));
+      assert.deepStrictEqual(
+        t.patch,
+        [{ op: 'remove', path: '/info/title' }],
+      );
+      t.transformOpenApi(deepFreeze({}));
+      assert.deepStrictEqual(t.patch, []);
+    });
+
+    it('has replace of dereferenced Reference Object', () => {
+      const t = new OpenApiTransformerBase({
+        recordPatch: true,
+        resolveRefs: true,
+      });
+      t.transformSchema = copySchema;
+      const openApi = deepFreeze({
+        definitions: {
+          A: { type: 'string' },
+          B: { items: { $ref: '#/definitions/A' } },
+        },
+      });
+      t.transformOpenApi(openApi);
+      assert.deepStrictEqual(t.patch, [
+        {
+          op: 'replace',
+          path: '/definitions/B/items',
+          value: { type: 'string' },
+        },
+      ]);
+    });
+  });
+
+  describe('structural sharing', () => {
+    const openApi3 = deepFreeze({
+      openapi: '3.1.0',
+      info: {
+        title: 'Title',
+        version: '1.0',
+        contact: { name: 'Contact' },
+        license: { name: 'MIT' },
+      },
+      servers: [{ url: '{s}', variables: { s: { default: 'a' } } }],
+      components: {
+        schemas: {
+          A: {
+            properties: { b: { type: 'integer' } },
+            items: [{ type: 'string' }],
+            prefixItems: [{}],
+            allOf: [{}],
+            additionalProperties: {},
+            dependentSchemas: { b: {} },
+            dependencies: { b: ['c'], c: {} },
+            $defs: { D: {} },
+            discriminator: { propertyName: 'b' },
+            externalDocs: { url: 'https://example.com' },
+            xml: { name: 'a' },
+          },
+        },
+        responses: { R: { description: 'R' } },
+        parameters: { P: { name: 'p', in: 'query', schema: {} } },
+        examples: { E: { value: 1 } },
+        requestBodies: {
+          B: { content: { 'text/plain': { schema: {} } } },
+        },
+        headers: { H: { schema: {} } },
+        securitySchemes: {
+          S: {
+            type: 'oauth2',
+            flows: { implicit: { authorizationUrl: 'a', scopes: {} } },
+          },
+        },
+        links: { L: { server: { url: 'a' } } },
+        callbacks: { C: { '{$url}': { post: {} } } },
+        pathItems: { I: { get: {} } },
+      },
+      paths: {
+        '/': {
+          parameters: [{ name: 'q', in: 'query', schema: {} }],
+          get: {
+            externalDocs: { url: 'https://example.com' },
+            requestBody: {
+              content: {
+                'application/json': {
+                  schema: {},
+                  examples: { a: { value: 1 } },
+                  encoding: { a: { headers: { h: { schema: {} } } } },
+                },
+              },
+            },
+            responses: {
+              200: {
+                headers: { h: { schema: {} } },
+                content: { 'text/plain': { schema: {} } },
+                links: { l: {} },
+              },
+            },
+            callbacks: { c: { '{$url}': { post: {} } } },
+            security: [{ s: [] }],
+            servers: [{ url: 'a' }],
+          },
+        },
+      },
+      webhooks: { w: { post: {} } },
+      security: [{ s: [] }],
+      tags: [{ name: 'a', externalDocs: { url: 'https://example.com' } }],
+      externalDocs: { url: 'https://example.com' },
+    });
+
+    const openApi2 = deepFreeze({
+      swagger: '2.0',
+      info: { title: 'Title', version: '1.0' },
+      definitions: { A: { properties: { b: {} } } },
+      parameters: { P: { name: 'p', in: 'body', schema: {} } },
+      responses: { R: { description: 'R', schema: {} } },
+      securityDefinitions: { S: { type: 'basic' } },
+      paths: {
+        '/': {
+          get: {
+            parameters: [
+              {
+                name: 'q',
+                in: 'query',
+                type: 'array',
+                items: { type: 'a' },
+              },
+            ],
+            responses: {
+              default: {
+                description: 'D',
+                schema: {},
+                headers: { h: { type: 'array', items: { type: 'a' } } },
+                examples: { 'text/plain': 'a' },
+              },
+            },
+          },
+        },
+      },
+      'x-ms-parameterized-host': {
+        hostTemplate: 'example.{tld}',
+        parameters: [{ name: 'tld', in: 'path' }],
+      },
+    });
+
+    it('returns same OpenAPI 3 Object if unchanged', () => {
+      const t = new OpenApiTransformerBase();
+      assert.strictEqual(t.transformOpenApi(openApi3), openApi3);
+    });
+
+    it('returns same OpenAPI 2 Object if unchanged', () => {
+      const t = new OpenApiTransformerBase();
+      assert.strictEqual(t.transformOpenApi(openApi2), openApi2);
+    });
+
+    it('returns same Array from transformArray if unchanged', () => {
+      const t = new OpenApiTransformerBase();
+      const arr = deepFreeze([{}, undefined, {}]);
+      assert.strictEqual(t.transformArray(arr, t.transformTag), arr);
+    });
+
+    it('returns same object from transformMap if unchanged', () => {
+      const t = new OpenApiTransformerBase();
+      const obj = deepFreeze({ a: {}, b: undefined });
+      assert.strictEqual(t.transformMap(obj, t.transformTag), obj);
+    });
+
+    it('shares unchanged values with changed document', () => {
+      const t = new OpenApiTransformerBase();
+      t.transformSchema = function(schema) {
+        const newSchema =
+          OpenApiTransformerBase.prototype.transformSchema.call(this, schema);
+        return newSchema.type === 'integer'
+          ? { ...newSchema, type: 'number' }
+          : newSchema;
+      };
+      const result = t.transformOpenApi(openApi3);
+      assert.notStrictEqual(result, openApi3);
+      assert.notStrictEqual(result.components, openApi3.components);
+      assert.notStrictEqual(
+        result.components.schemas.A,
+        openApi3.components.schemas.A,
+      );
+      assert.strictEqual(
+        result.components.schemas.A.properties.b.type,
+        'number',
+      );
+      for (const [propName, value] of Object.entries(openApi3)) {
+        if (propName !== 'components') {
+          assert.strictEqual(result[propName], value);
+        }
+      }
+      for (const [propName, value] of Object.entries(openApi3.components)) {
+        if (propName !== 'schemas') {
+          assert.strictEqual(result.components[propName], value);
+        }
+      }
+      const { A } = openApi3.components.schemas;
+      for (const [propName, value] of Object.entries(A)) {
+        if (propName !== 'properties') {
+          assert.strictEqual(result.components.schemas.A[propName], value);
+        }
+      }
+    });
+
+    it('returns Array copy if any value changed', () => {
+      const t = new OpenApiTransformerBase();
+      const arr = deepFreeze([{}, {}]);
+      let isFirst = true;
+      t.transformTag = (tag) => {
+        if (isFirst) {
+          isFirst = false;
+          return tag;
+        }
+        return { ...tag };
+      };
+      const result = t.transformArray(arr, t.transformTag);
+      assert.notStrictEqual(result, arr);
+      assert.strictEqual(result[0], arr[0]);
+      assert.notStrictEqual(result[1], arr[1]);
+    });
+
+    it('returns Info with transformed Contact', () => {
+      const t = new OpenApiTransformerBase();
+      t.transformContact = (contact) => ({ ...contact, name: 'New' });
+      const info = deepFreeze({ contact: { name: 'Old' }, title: 'T' });
+      assert.deepStrictEqual(
+        t.transformInfo(info),
+        { contact: { name: 'New' }, title: 'T' },
+      );
+    });
+  });
+
+  describe('with memoize', () => {
+    it('transforms shared object once', () => {
+      const t = new OpenApiTransformerBase({ memoize: true });
+      t.transformResponse = sinon.spy(markResponseTransformed);
+      const openApi = makeSharedResponseOpenApi();
+      const result = t.transformOpenApi(openApi);
+      sinon.assert.calledOnce(t.transformResponse);
+      const responseA = result.paths['/a'].get.responses.default;
+      assert.strictEqual(responseA['x-transformed'], true);
+      assert.strictEqual(result.paths['/b'].get.responses.default, responseA);
+    });
+
+    it('transforms shared object at each location by default', () => {
+      const t = new OpenApiTransformerBase();
+      t.transformResponse = sinon.spy(markResponseTransformed);
+      const openApi = makeSharedResponseOpenApi();
+      const result = t.transformOpenApi(openApi);
+      sinon.assert.calledTwice(t.transformResponse);
+      assert.notStrictEqual(
+        result.paths['/b'].get.responses.default,
+        result.paths['/a'].get.responses.default,
+      );
+    });
+
+    it('transforms shared object at each location of excluded type', () => {
+      const t = new OpenApiTransformerBase({
+        memoize: true,
+        memoizeExclude: ['Response'],
+      });
+      t.transformResponse = sinon.spy(markResponseTransformed);
+      t.transformSchema = sinon.spy(t.transformSchema);
+      t.transformOpenApi(makeSharedResponseOpenApi());
+      sinon.assert.calledTwice(t.transformResponse);
+      // Schema in shared Response is not excluded
+      sinon.assert.calledOnce(t.transformSchema);
+    });
+
+    it('transforms shared object once per transform method', () => {
+      const t = new OpenApiTransformerBase({ memoize: true });
+      t.transformHeader = sinon.spy(t.transformHeader);
+      t.transformMediaType = sinon.spy(t.transformMediaType);
+      const map = { a: {} };
+      t.transformOpenApi(deepFreeze({
+        openapi: '3.0.3',
+        paths: {
+          '/': {
+            get: {
+              responses: {
+                200: { headers: map, content: map },
+                default: { headers: map, content: map },
+              },
+            },
+          },
+        },
+      }));
+      sinon.assert.calledOnce(t.transformHeader);
+      sinon.assert.calledOnce(t.transformMediaType);
+    });
+
+    it('transforms shared Schema in different locations once', () => {
+      const t = new OpenApiTransformerBase({ memoize: true });
+      t.transformSchema = sinon.spy(integerToNumber);
+      const schema = { type: 'integer' };
+      const openApi = deepFreeze({
+        swagger: '2.0',
+        paths: {
+          '/': {
+            post: {
+              parameters: [{ name: 'body', in: 'body', schema }],
+              responses: {
+                200: { description: 'OK', schema },
+              },
+            },
+          },
+        },
+      });
+      const result = t.transformOpenApi(openApi);
+      sinon.assert.calledOnce(t.transformSchema);
+      const { post } = result.paths['/'];
+      assert.deepStrictEqual(post.parameters[0].schema, { type: 'number' });
+      assert.strictEqual(post.responses[200].schema, post.parameters[0].schema);
+    });
+
+    it('transforms shared object again in next transformOpenApi', () => {
+      const t = new OpenApiTransformerBase({ memoize: true });
+      t.transformResponse = sinon.spy(markResponseTransformed);
+      const openApi = makeSharedResponseOpenApi();
+      t.transformOpenApi(openApi);
+      t.transformOpenApi(openApi);
+      sinon.assert.calledTwice(t.transformResponse);
+    });
+
+    it('has transformPath of first location', () => {
+      const t = new OpenApiTransformerBase({ memoize: true });
+      const paths = [];
+      t.transformResponse = function(response) {
+        paths.push(this.currentPointer);
+        return response;
+      };
+      t.transformOpenApi(makeSharedResponseOpenApi());
+      assert.deepStrictEqual(paths, ['/paths/~1a/get/responses/default']);
+    });
+  });
+
+  describe('with cyclic values', () => {
+    it('returns same document if unchanged', () => {
+      const t = new OpenApiTransformerBase();
+      t.transformSchema = sinon.spy(t.transformSchema);
+      const openApi = makeCyclicOpenApi();
+      assert.strictEqual(t.transformOpenApi(openApi), openApi);
+      sinon.assert.calledThrice(t.transformSchema);
+      assert.deepStrictEqual(
+        t.diagnostics.map(({ code, pointer, value }) => [code, pointer, value]),
+        [[
+          'CYCLIC_VALUE',
+          '/definitions/Node/properties/children/items',
+          openApi.definitions.Node,
+        ]],
+      );
+    });
+
+    it('returns cycle to transformed value if changed', () => {
+      const t = new OpenApiTransformerBase();
+      t.transformSchema = integerToNumber;
+      const openApi = makeCyclicOpenApi();
+      const result = t.transformOpenApi(openApi);
+      const node = result.definitions.Node;
+      assert.notStrictEqual(node, openApi.definitions.Node);
+      assert.strictEqual(node.properties.id.type, 'number');
+      assert.strictEqual(node.properties.children.items, node);
+    });
+
+    it('copies unchanged objects between cyclic and changed value', () => {
+      const t = new OpenApiTransformerBase();
+      t.transformSchema = function(schema) {
+        const newSchema =
+          OpenApiTransformerBase.prototype.transformSchema.call(this, schema);
+        return newSchema.type === 'object'
+          ? { ...newSchema, additionalProperties: false }
+          : newSchema;
+      };
+      const openApi = makeCyclicOpenApi();
+      const result = t.transformOpenApi(openApi);
+      const node = result.definitions.Node;
+      assert.strictEqual(node.additionalProperties, false);
+      assert.notStrictEqual(
+        node.properties,
+        openApi.definitions.Node.properties,
+      );
+      assert.strictEqual(
+        node.properties.id,
+        openApi.definitions.Node.properties.id,
+      );
+      assert.strictEqual(node.properties.children.items, node);
+      assert.strictEqual(
+        openApi.definitions.Node.properties.children.items,
+        openApi.definitions.Node,
+      );
+    });
+
+    it('returns cycles through Arrays and multiple values', () => {
+      const a = { type: 'integer', allOf: [] };
+      const b = { anyOf: [a] };
+      a.allOf.push(b);
+      const openApi = deepFreeze({ definitions: { A: a } });
+      const t = new OpenApiTransformerBase();
+      t.transformSchema = integerToNumber;
+      const result = t.transformOpenApi(openApi);
+      const newA = result.definitions.A;
+      assert.strictEqual(newA.type, 'number');
+      assert.strictEqual(newA.allOf[0].anyOf[0], newA);
+    });
+
+    it('does not throw with strict', () => {
+      const t = new OpenApiTransformerBase({ strict: true });
+      const openApi = makeCyclicOpenApi();
+      assert.strictEqual(t.transformOpenApi(openApi), openApi);
+      assert.strictEqual(t.diagnostics[0].severity, 'warning');
+    });
+
+    it('records patch without cycles', () => {
+      const t = new OpenApiTransformerBase({ recordPatch: true });
+      t.transformSchema = integerToNumber;
+      t.transformOpenApi(makeCyclicOpenApi());
+      assert.deepStrictEqual(t.patch, [
+        {
+          op: 'replace',
+          path: '/definitions/Node/properties/id/type',
+          value: 'number',
+        },
+      ]);
+    });
+  });
+
+  describe('with stackSafe', () => {
+    const depth = 2000;
+    const deepPointer = `/definitions/Deep${'/properties/child'.repeat(depth)}`;
+
+    it('transforms deeply nested schemas', () => {
+      const t = new OpenApiTransformerBase({ stackSafe: true });
+      const pointers = [];
+      t.transformSchema = function(schema) {
+        const newSchema =
+          OpenApiTransformerBase.prototype.transformSchema.call(this, schema);
+        if (newSchema.type !== 'integer') {
+          return newSchema;
+        }
+
+        pointers.push(this.currentPointer);
+        assert.strictEqual(this.transformAncestors.length, depth * 2 + 2);
+        return { ...newSchema, type: 'number' };
+      };
+      const openApi = makeDeepOpenApi(depth);
+      const result = t.transformOpenApi(openApi);
+      assert.deepStrictEqual(pointers, [deepPointer]);
+      assert.strictEqual(getPointerValue(result, deepPointer).type, 'number');
+      assert.strictEqual(
+        getPointerValue(openApi, deepPointer).type,
+        'integer',
+      );
+      assert.deepStrictEqual(t.transformPath, []);
+      assert.deepStrictEqual(t.transformAncestors, []);
+    });
+
+    it('returns same document if unchanged', () => {
+      const t = new OpenApiTransformerBase({ stackSafe: true });
+      const openApi = makeDeepOpenApi(depth);
+      assert.strictEqual(t.transformOpenApi(openApi), openApi);
+    });
+
+    it('shares unchanged values with changed document', () => {
+      const t = new OpenApiTransformerBase({ stackSafe: true });
+      t.transformSchema = function(schema) {
+        const newSchema =
+          OpenApiTransformerBase.prototype.transformSchema.call(this, schema);
+        return newSchema.type === 'integer'
+          ? { ...newSchema, type: 'number' }
+          : newSchema;
+      };
+      const openApi = makeDeepOpenApi(depth);
+      openApi.definitions.Other = { type: 'string' };
+      const result = t.transformOpenApi(openApi);
+      assert.strictEqual(result.definitions.Other, openApi.definitions.Other);
+      assert.notStrictEqual(result.definitions.Deep, openApi.definitions.Deep);
+    });
+
+    it('records patch of deferred methods', () => {
+      const t = new OpenApiTransformerBase({
+        recordPatch: true,
+        stackSafe: true,
+      });
+      t.transformSchema = function(schema) {
+        const newSchema = copySchema.call(this, schema);
+        return newSchema.type === 'integer'
+          ? { ...newSchema, type: 'number' }
+          : newSchema;
+      };
+      t.transformOpenApi(makeDeepOpenApi(depth));
+      assert.deepStrictEqual(t.patch, [
+        { op: 'replace', path: `${deepPointer}/type`, value: 'number' },
+      ]);
+    });
+
+    it('throws with transformPath of deferred method', () => {
+      const errTest = new Error('test');
+      const t = new OpenApiTransformerBase({ stackSafe: true });
+      t.transformSchema = function(schema) {
+        if (schema.type === 'integer') {
+          throw errTest;
+        }
+
+        return OpenApiTransformerBase.prototype.transformSchema.call(
+          this,
+          schema,
+        );
+      };
+      assert.throws(
+        () => t.transformOpenApi(makeDeepOpenApi(depth)),
+        (err) => {
+          assert.strictEqual(err, errTest);
+          assert.strictEqual(toJsonPointer(err.transformPath), deepPointer);
+          return true;
+        },
+      );
+      assert.deepStrictEqual(t.transformPath, []);
+    });
+  });
+
+  describe('.REMOVE', () => {
+    const { REMOVE } = OpenApiTransformerBase;
+
+    it('is a symbol', () => {
+      assert.strictEqual(typeof REMOVE, 'symbol');
+    });
+
+    it('removes property from Path Item', () => {
+      const t = new OpenApiTransformerBase();
+      t.transformOperation = (operation) => (operation.deprecated ? REMOVE
+        : operation);
+      const openApi = deepFreeze({
+        paths: {
+          '/': {
+            get: { deprecated: true },
+            put: {},
+          },
+        },
+      });
+      assert.deepStrictEqual(
+        t.transformOpenApi(openApi),
+        { paths: { '/': { put: {} } } },
+      );
+    });
+
+    it('removes items from parameters without holes', () => {
+      const t = new OpenApiTransformerBase();
+      t.transformParameter = (parameter) => (parameter.name === 'b' ? REMOVE
+        : parameter);
+      const openApi = deepFreeze({
+        paths: {
+          '/': {
+            parameters: [
+              { name: 'a', in: 'query' },
+              { name: 'b', in: 'query' },
+              { name: 'c', in: 'query' },
+              { name: 'b', in: 'header' },
+            ],
+          },
+        },
+      });
+      const result = t.transformOpenApi(openApi);
+      assert.deepStrictEqual(
+        result.paths['/'].parameters,
+        [
+          { name: 'a', in: 'query' },
+          { name: 'c', in: 'query' },
+        ],
+      );
+    });
+
+    it('removes Schema properties and subschemas', () => {
+      const t = new OpenApiTransformerBase();
+      t.transformSchema = function(schema) {
+        return schema.readOnly ? REMOVE
+          : OpenApiTransformerBase.prototype.transformSchema.call(this, schema);
+      };
+      const openApi = deepFreeze({
+        openapi: '3.1.0',
+        components: {
+          schemas: {
+            A: {
+              properties: {
+                a: { readOnly: true },
+                b: { type: 'string' },
+              },
+              items: { readOnly: true },
+              allOf: [{ readOnly: true }, { type: 'object' }],
+            },
+            B: { readOnly: true },
+          },
+        },
+      });
+      assert.deepStrictEqual(
+        t.transformOpenApi(openApi),
+        {
+          openapi: '3.1.0',
+          components: {
+            schemas: {
+              A: {
+                properties: { b: { type: 'string' } },
+                allOf: [{ type: 'object' }],
+              },
+            },
+          },
+        },
+      );
+    });
+
+    it('removes property from OpenAPI Object', () => {
+      const t = new OpenApiTransformerBase();
+      t.transformInfo = () => REMOVE;
+      assert.deepStrictEqual(
+        t.transformOpenApi(deepFreeze({ info: {}, paths: {} })),
+        { paths: {} },
+      );
+    });
+
+    it('removes items from transformArray', () => {
+      const t = new OpenApiTransformerBase();
+      assert.deepStrictEqual(
+        t.transformArray([1, 2, 3], (value) => (value === 2 ? REMOVE : value)),
+        [1, 3],
+      );
+    });
+
+    it('removes properties from transformMap', () => {
+      const t = new OpenApiTransformerBase();
+      assert.deepStrictEqual(
+        t.transformMap(
+          { a: 1, b: 2 },
+          (value) => (value === 2 ? REMOVE : value),
+        ),
+        { a: 1 },
+      );
+    });
+
+    it('removes deferred values with stackSafe', () => {
+      const t = new OpenApiTransformerBase({ stackSafe: true });
+      t.transformSchema = function(schema) {
+        return schema.readOnly ? REMOVE
+          : OpenApiTransformerBase.prototype.transformSchema.call(this, schema);
+      };
+      const openApi = makeDeepOpenApi(500);
+      const deepest = getPointerValue(
+        openApi,
+        `/definitions/Deep${'/properties/child'.repeat(500)}`,
+      );
+      deepest.allOf = [
+        { readOnly: true },
+        { type: 'string' },
+        { readOnly: true },
+        { type: 'number' },
+      ];
+      const result = t.transformOpenApi(openApi);
+      const newDeepest = getPointerValue(
+        result,
+        `/definitions/Deep${'/properties/child'.repeat(500)}`,
+      );
+      assert.deepStrictEqual(
+        newDeepest.allOf,
+        [{ type: 'string' }, { type: 'number' }],
+      );
+      assert.strictEqual(deepest.allOf.length, 4);
+    });
+  });
+
+  describe('.SKIP', () => {
+    const { SKIP } = OpenApiTransformerBase;
+
+    it('is a symbol', () => {
+      assert.strictEqual(typeof SKIP, 'symbol');
+    });
+
+    it('keeps value without visiting children', () => {
+      const t = new OpenApiTransformerBase();
+      t.transformOperation = sinon.stub().returns(SKIP);
+      t.transformParameter = sinon.spy();
+      const openApi = deepFreeze({
+        paths: {
+          '/': {
+            get: {
+              parameters: [{ name: 'a', in: 'query' }],
+            },
+          },
+        },
+      });
+      assert.strictEqual(t.transformOpenApi(openApi), openApi);
+      sinon.assert.calledOnceWithExactly(
+        t.transformOperation,
+        openApi.paths['/'].get,
+      );
+      sinon.assert.notCalled(t.transformParameter);
+    });
+
+    it('keeps value changed by overridden method', () => {
+      const t = new OpenApiTransformerBase();
+      t.transformSchema = function(schema) {
+        const newSchema =
+          OpenApiTransformerBase.prototype.transformSchema.call(this, schema);
+        return schema.title === 'skip' ? SKIP
+          : { ...newSchema, description: 'changed' };
+      };
+      const skipSchema = deepFreeze({
+        title: 'skip',
+        items: { type: 'string' },
+      });
+      const openApi = deepFreeze({
+        definitions: {
+          A: skipSchema,
+          B: { type: 'string' },
+        },
+      });
+      const result = t.transformOpenApi(openApi);
+      assert.strictEqual(result.definitions.A, skipSchema);
+      assert.deepStrictEqual(
+        result.definitions.B,
+        { type: 'string', description: 'changed' },
+      );
+    });
+
+    it('keeps Array items', () => {
+      const t = new OpenApiTransformerBase();
+      assert.deepStrictEqual(
+        t.transformArray([1, 2, 3], (value) => (value === 2 ? SKIP : 0)),
+        [0, 2, 0],
+      );
+    });
+
+    it('keeps Reference Object if resolveRefs', () => {
+      const t = new OpenApiTransformerBase({ resolveRefs: true });
+      t.transformParameter = sinon.stub().returns(SKIP);
+      const openApi = deepFreeze({
+        openapi: '3.0.3',
+        components: {
+          parameters: {
+            a: { name: 'a', in: 'query' },
+          },
+        },
+        paths: {
+          '/': {
+            parameters: [{ $ref: '#/components/parameters/a' }],
+          },
+        },
+      });
+      assert.strictEqual(t.transformOpenApi(openApi), openApi);
+      sinon.assert.calledTwice(t.transformParameter);
+    });
+  });
+
+  describe('.STOP', () => {
+    const { STOP } = OpenApiTransformerBase;
+
+    it('is a symbol', () => {
+      assert.strictEqual(typeof STOP, 'symbol');
+      assert.notStrictEqual(STOP, OpenApiTransformerBase.SKIP);
+    });
+
+    it('ends traversal, keeping transformed values', () => {
+      const t = new OpenApiTransformerBase();
+      t.transformInfo = (info) => ({ ...info, title: 'changed' });
+      t.transformOperation = sinon.stub().returns(STOP);
+      t.transformTag = sinon.spy();
+      const openApi = deepFreeze({
+        info: { title: 'Title', version: '1.0' },
+        paths: {
+          '/a': {
+            get: {},
+            put: {},
+          },
+          '/b': {
+            get: {},
+          },
+        },
+        tags: [{ name: 'tag' }],
+      });
+      assert.deepStrictEqual(
+        t.transformOpenApi(openApi),
+        {
+          ...openApi,
+          info: { title: 'changed', version: '1.0' },
+        },
+      );
+      sinon.assert.calledOnce(t.transformOperation);
+      sinon.assert.notCalled(t.transformTag);
+      assert.strictEqual(t.stopped, true);
+    });
+
+    it('is reset by transformOpenApi', () => {
+      const t = new OpenApiTransformerBase();
+      t.transformTag = sinon.stub().returns(STOP);
+      const openApi = deepFreeze({ tags: [{ name: 'a' }, { name: 'b' }] });
+      assert.strictEqual(t.stopped, false);
+      assert.strictEqual(t.transformOpenApi(openApi), openApi);
+      sinon.assert.calledOnce(t.transformTag);
+      assert.strictEqual(t.stopped, true);
+      assert.strictEqual(t.transformOpenApi(openApi), openApi);
+      sinon.assert.calledTwice(t.transformTag);
+      assert.strictEqual(t.stopped, true);
+    });
+
+    it('ends traversal of Map', () => {
+      const t = new OpenApiTransformerBase();
+      const transform = sinon.stub().returns(STOP);
+      assert.deepStrictEqual(
+        t.transformMap({ a: 1, b: 2 }, transform),
+        { a: 1, b: 2 },
+      );
+      sinon.assert.calledOnce(transform);
+    });
+
+    it('ends deferred traversal with stackSafe', () => {
+      const t = new OpenApiTransformerBase({ stackSafe: true });
+      let callCount = 0;
+      t.transformSchema = function(schema) {
+        callCount += 1;
+        return schema.properties === undefined ? STOP
+          : OpenApiTransformerBase.prototype.transformSchema.call(this, schema);
+      };
+      const openApi = makeDeepOpenApi(500);
+      const parent = getPointerValue(
+        openApi,
+        `/definitions/Deep${'/properties/child'.repeat(499)}`,
+      );
+      parent.properties.sibling = { properties: {} };
+      assert.strictEqual(t.transformOpenApi(openApi), openApi);
+      assert.strictEqual(callCount, 501);
+      assert.strictEqual(t.stopped, true);
+    });
+  });
+
+  describe('enter and leave methods', () => {
+    it('are called around visited transform methods', () => {
+      const t = new OpenApiTransformerBase();
+      const calls = [];
+      t.enterOperation = function(op) {
+        calls.push(['enterOperation', this.currentPointer, op]);
+      };
+      t.leaveOperation = function(newOp, op) {
+        calls.push(['leaveOperation', this.currentPointer, newOp, op]);
+      };
+      t.transformParameter = function(parameter) {
+        calls.push(['transformParameter', this.currentPointer]);
+        return { ...parameter, description: 'Limit' };
+      };
+      const operation = { parameters: [{ name: 'limit', in: 'query' }] };
+      const openApi = deepFreeze({
+        openapi: '3.0.3',
+        paths: {
+          '/pets': { get: operation },
+        },
+      });
+      const newOpenApi = t.transformOpenApi(openApi);
+      const newOperation = newOpenApi.paths['/pets'].get;
+      assert.deepStrictEqual(calls, [
+        ['enterOperation', '/paths/~1pets/get', operation],
+        ['transformParameter', '/paths/~1pets/get/parameters/0'],
+        [
+          'leaveOperation',
+          '/paths/~1pets/get',
+          newOperation,
+          operation,
+        ],
+      ]);
+      assert.strictEqual(calls[0][2], operation);
+      assert.strictEqual(calls[2][2], newOperation);
+    });
+
+    it('have the transformAncestors entry of the value', () => {
+      const t = new OpenApiTransformerBase();
+      const types = [];
+      t.enterSchema = function(schema) {
+        const entry = this.transformAncestors.at(-1);
+        assert.strictEqual(entry.value, schema);
+        types.push(entry.type);
+      };
+      t.transformArray([{}, {}], t.transformSchema);
+      assert.deepStrictEqual(types, ['Schema', 'Schema']);
+    });
+
+    it('are called for Schema in a particular location', () => {
+      const t = new OpenApiTransformerBase();
+      const calls = [];
+      t.enterResponseSchema = function(schema) {
+        calls.push(['enterResponseSchema', this.currentPointer, schema]);
+      };
+      t.enterSchema = function(schema) {
+        calls.push(['enterSchema', this.currentPointer, schema]);
+      };
+      t.leaveSchema = function(newSchema, schema) {
+        calls.push(['leaveSchema', this.currentPointer, schema]);
+      };
+      t.leaveResponseSchema = function(newSchema, schema) {
+        calls.push(['leaveResponseSchema', this.currentPointer, schema]);
+      };
+      const responseSchema = { type: 'object' };
+      const openApi = deepFreeze({
+        swagger: '2.0',
+        paths: {
+          '/': {
+            get: {
+              responses: {
+                200: { description: 'OK', schema: responseSchema },
+              },
+            },
+          },
+        },
+      });
+      t.transformOpenApi(openApi);
+      const pointer = '/paths/~1/get/responses/200/schema';
+      assert.deepStrictEqual(calls, [
+        ['enterResponseSchema', pointer, responseSchema],
+        ['enterSchema', pointer, responseSchema],
+        ['leaveSchema', pointer, responseSchema],
+        ['leaveResponseSchema', pointer, responseSchema],
+      ]);
+    });
+
+    it('are called with the referenced value with resolveRefs', () => {
+      const t = new OpenApiTransformerBase({ resolveRefs: true });
+      t.enterSchema = sinon.spy();
+      t.leaveSchema = sinon.spy();
+      const ref = { $ref: '#/components/schemas/Pet' };
+      const openApi = deepFreeze({
+        openapi: '3.0.3',
+        components: {
+          schemas: {
+            Pet: { type: 'object' },
+            Pets: { type: 'array', items: ref },
+          },
+        },
+      });
+      t.transformOpenApi(openApi);
+      const { Pet } = openApi.components.schemas;
+      sinon.assert.calledWithExactly(
+        t.enterSchema,
+        sinon.match.same(Pet),
+        sinon.match.same(ref),
+      );
+      sinon.assert.calledWithExactly(
+        t.leaveSchema,
+        sinon.match.same(Pet),
+        sinon.match.same(Pet),
+        sinon.match.same(ref),
+      );
+    });
+
+    it('are not called for methods which are not visited', () => {
+      const t = new OpenApiTransformerBase();
+      t.enterOperation = sinon.spy();
+      t.leaveOperation = sinon.spy();
+      const operation = deepFreeze({});
+      assert.strictEqual(t.transformOperation(operation), operation);
+      sinon.assert.notCalled(t.enterOperation);
+      sinon.assert.notCalled(t.leaveOperation);
+    });
+
+    it('are not called after STOP', () => {
+      const { STOP } = OpenApiTransformerBase;
+      const t = new OpenApiTransformerBase();
+      t.transformTag = sinon.stub().returns(STOP);
+      t.enterTag = sinon.spy();
+      t.leaveTag = sinon.spy();
+      const openApi = deepFreeze({ tags: [{ name: 'a' }, { name: 'b' }] });
+      assert.strictEqual(t.transformOpenApi(openApi), openApi);
+      sinon.assert.calledOnceWithExactly(
+        t.enterTag,
+        sinon.match.same(openApi.tags[0]),
+      );
+      sinon.assert.calledOnceWithExactly(
+        t.leaveTag,
+        STOP,
+        sinon.match.same(openApi.tags[0]),
+      );
+    });
+  });
 });
@@ -0,0 +1,91 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @private
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const InvalidOpenApiError = require('../invalid-openapi-error.js');
+
+describe('InvalidOpenApiError', () => {
+  it('has properties of diagnostic', () => {
+    const value = {};
+    const err = new InvalidOpenApiError({
+      code: 'UNRECOGNIZED_PATH_ITEM_PROPERTY',
+      severity: 'error',
+      message: 'Test message',
+      pointer: '/paths/~1',
+      value,
+    });
+    assert(err instanceof Error);
+    assert.strictEqual(err.name, 'InvalidOpenApiError');
+    assert.strictEqual(err.message, 'Test message at /paths/~1');
+    assert.strictEqual(err.code, 'UNRECOGNIZED_PATH_ITEM_PROPERTY');
+    assert.strictEqual(err.pointer, '/paths/~1');
+    assert.strictEqual(err.value, value);
+    assert.strictEqual(err.documentUri, undefined);
+    assert.strictEqual(err.expectedType, undefined);
+    assert(!Object.hasOwn(err, 'cause'));
+  });
+
+  it('has documentUri of diagnostic in message', () => {
+    const err = new InvalidOpenApiError({
+      code: 'NON_OBJECT_SCHEMA',
+      message: 'Test message',
+      pointer: '/Pet',
+      documentUri: 'file:///api/pet.json',
+      value: 1,
+    });
+    assert.strictEqual(err.documentUri, 'file:///api/pet.json');
+    assert.strictEqual(
+      err.message,
+      'Test message at /Pet in file:///api/pet.json',
+    );
+  });
+
+  it('has cause of diagnostic', () => {
+    const cause = new Error('test');
+    const err = new InvalidOpenApiError({
+      code: 'UNLOADABLE_REF',
+      message: 'Test message',
+      pointer: '',
+      value: 'a.json',
+      cause,
+    });
+    assert.strictEqual(err.cause, cause);
+    assert.strictEqual(err.message, 'Test message at /');
+  });
+
+  it('has expectedType object for NON_OBJECT_ codes', () => {
+    const err = new InvalidOpenApiError({
+      code: 'NON_OBJECT_SCHEMA',
+      message: 'Test message',
+      pointer: '/a',
+      value: 1,
+    });
+    assert.strictEqual(err.expectedType, 'object');
+  });
+
+  it('has expectedType Array for NON_ARRAY', () => {
+    const err = new InvalidOpenApiError({
+      code: 'NON_ARRAY',
+      message: 'Test message',
+      pointer: '/a',
+      value: 1,
+    });
+    assert.strictEqual(err.expectedType, 'Array');
+  });
+
+  it('has expectedType string for NON_STRING_ codes', () => {
+    const err = new InvalidOpenApiError({
+      code: 'NON_STRING_MS_CLIENT_NAME',
+      message: 'Test message',
+      pointer: '/a',
+      value: 1,
+    });
+    assert.strictEqual(err.expectedType, 'string');
+  });
+});
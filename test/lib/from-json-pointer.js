@@ -0,0 +1,53 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @private
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const fromJsonPointer = require('../../lib/from-json-pointer.js');
+
+describe('fromJsonPointer', () => {
+  for (const [ptr, propPath] of [
+    ['', []],
+    ['/', ['']],
+    ['/a', ['a']],
+    ['/a/b', ['a', 'b']],
+    ['/~1', ['/']],
+    ['/~0', ['~']],
+    ['/a~1b', ['a/b']],
+    ['/a~0b', ['a~b']],
+    ['/a~00b', ['a~0b']],
+    ['/a~01b', ['a~1b']],
+    ['/a~1~0b', ['a/~b']],
+    ['/a~0~1b', ['a~/b']],
+  ]) {
+    it(`converts ${JSON.stringify(ptr)} to ${JSON.stringify(propPath)}`, () => {
+      assert.deepStrictEqual(fromJsonPointer(ptr), propPath);
+    });
+  }
+
+  it('throws SyntaxError without leading /', () => {
+    assert.throws(
+      () => fromJsonPointer('a'),
+      SyntaxError,
+    );
+  });
+
+  it('throws SyntaxError with invalid escape', () => {
+    assert.throws(
+      () => fromJsonPointer('/a~2'),
+      SyntaxError,
+    );
+  });
+
+  it('throws TypeError with no argument', () => {
+    assert.throws(
+      () => fromJsonPointer(),
+      TypeError,
+    );
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @private
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const omitRemoved = require('../../lib/omit-removed.js');
+const REMOVE = require('../../lib/remove-symbol.js');
+
+describe('omitRemoved', () => {
+  it('deletes properties with value REMOVE', () => {
+    const value = {
+      a: REMOVE,
+      b: 1,
+      c: undefined,
+      d: REMOVE,
+    };
+    assert.strictEqual(omitRemoved(value), value);
+    assert.deepStrictEqual(value, { b: 1, c: undefined });
+  });
+
+  it('removes Array items with value REMOVE', () => {
+    const value = [REMOVE, 1, REMOVE, REMOVE, 2, undefined, REMOVE];
+    assert.strictEqual(omitRemoved(value), value);
+    assert.deepStrictEqual(value, [1, 2, undefined]);
+  });
+
+  it('returns non-object unchanged', () => {
+    assert.strictEqual(omitRemoved(REMOVE), REMOVE);
+    assert.strictEqual(omitRemoved(null), null);
+  });
+});
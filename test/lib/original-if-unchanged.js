@@ -0,0 +1,70 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @private
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const deepFreeze = require('deep-freeze');
+
+const originalIfUnchanged = require('../../lib/original-if-unchanged.js');
+
+describe('originalIfUnchanged', () => {
+  it('returns original for copy with same values', () => {
+    const value = {};
+    const original = deepFreeze({ a: value, b: 1 });
+    const copy = { ...original };
+    assert.strictEqual(originalIfUnchanged(original, copy), original);
+  });
+
+  it('returns original for Array copy with same values', () => {
+    const original = deepFreeze([{}, undefined]);
+    assert.strictEqual(originalIfUnchanged(original, [...original]), original);
+  });
+
+  it('returns copy with changed value', () => {
+    const original = deepFreeze({ a: {}, b: 1 });
+    const copy = { ...original, a: {} };
+    assert.strictEqual(originalIfUnchanged(original, copy), copy);
+  });
+
+  it('returns copy with added property', () => {
+    const original = deepFreeze({ a: 1 });
+    const copy = { ...original, b: undefined };
+    assert.strictEqual(originalIfUnchanged(original, copy), copy);
+  });
+
+  it('returns copy with removed property', () => {
+    const original = deepFreeze({ a: 1, b: 2 });
+    const copy = { a: 1 };
+    assert.strictEqual(originalIfUnchanged(original, copy), copy);
+  });
+
+  it('returns copy with same number of different properties', () => {
+    const original = deepFreeze({ a: undefined });
+    const copy = { b: undefined };
+    assert.strictEqual(originalIfUnchanged(original, copy), copy);
+  });
+
+  it('returns copy with different Array length', () => {
+    const original = deepFreeze([1, undefined]);
+    const copy = [1];
+    copy.length = 3;
+    copy[2] = undefined;
+    assert.strictEqual(originalIfUnchanged(original, copy), copy);
+  });
+
+  it('returns Array copy of object', () => {
+    const original = deepFreeze({ 0: 1 });
+    const copy = [1];
+    assert.strictEqual(originalIfUnchanged(original, copy), copy);
+  });
+
+  it('returns copy of non-object', () => {
+    assert.strictEqual(originalIfUnchanged(1, 2), 2);
+    assert.strictEqual(originalIfUnchanged(null, {}).constructor, Object);
+  });
+});
@@ -12,7 +12,8 @@ const toJsonPointer = require('../../lib/to-json-pointer.js');
 
 describe('toJsonPointer', () => {
   for (const [propPath, ptr] of [
-    [[], '/'],
+    [[], ''],
+    [[''], '/'],
     [['a'], '/a'],
     [['a', 'b'], '/a/b'],
     [['/'], '/~1'],
@@ -0,0 +1,50 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @private
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const whenSettled = require('../../lib/when-settled.js');
+
+describe('whenSettled', () => {
+  it('calls function synchronously for non-Promise', () => {
+    const value = {};
+    const result = {};
+    let calledWith;
+    assert.strictEqual(
+      whenSettled(value, (settled) => {
+        calledWith = settled;
+        return result;
+      }),
+      result,
+    );
+    assert.strictEqual(calledWith, value);
+  });
+
+  it('calls function with resolved value of Promise', async () => {
+    const value = {};
+    const result = {};
+    const resultP = whenSettled(Promise.resolve(value), (settled) => {
+      assert.strictEqual(settled, value);
+      return result;
+    });
+    assert(resultP instanceof Promise);
+    assert.strictEqual(await resultP, result);
+  });
+
+  it('rejects with rejection of Promise without calling function', async () => {
+    const err = new Error('test');
+    let isCalled = false;
+    await assert.rejects(
+      whenSettled(Promise.reject(err), () => {
+        isCalled = true;
+      }),
+      (actual) => actual === err,
+    );
+    assert(!isCalled);
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @private
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const deepFreeze = require('deep-freeze');
+const sinon = require('sinon');
+
+const OpenApiTransformerBase = require('../index.js');
+const InvalidOpenApiError = require('../invalid-openapi-error.js');
+const getVisitMethodName = require('../lib/get-visit-method-name.js');
+const typeMethodNames = require('../lib/type-method-names.js');
+const { petstore } = require('../test-lib/transform-helpers.js');
+const OpenApiVisitorBase = require('../visitor.js');
+
+function recordVisits(target, prefix, visits) {
+  for (const methodName of typeMethodNames) {
+    const name = `${prefix}${methodName.slice('transform'.length)}`;
+    const method = target[name];
+    target[name] = function(value, ...args) {
+      visits.push(`${methodName} ${this.currentPointer}`);
+      return method.call(this, value, ...args);
+    };
+  }
+
+  return target;
+}
+
+function collectOperationIds(operation) {
+  this.operationIds.push(operation.operationId);
+  return OpenApiVisitorBase.prototype.visitOperation.call(this, operation);
+}
+
+function collectExternalDocs(externalDocs) {
+  this.externalDocs.push([this.currentPointer, externalDocs.url]);
+}
+
+function stopAtSchema() {
+  return OpenApiVisitorBase.STOP;
+}
+
+describe('OpenApiVisitorBase', () => {
+  it('has a visit method for each transform method', () => {
+    const visitor = new OpenApiVisitorBase();
+    for (const methodName of typeMethodNames) {
+      const visitMethodName = getVisitMethodName(methodName);
+      assert.strictEqual(typeof visitor[visitMethodName], 'function');
+    }
+
+    assert.strictEqual(typeof visitor.visitOpenApi, 'function');
+    assert.strictEqual(visitor.visitArray, undefined);
+    assert.strictEqual(visitor.visitMap, undefined);
+  });
+
+  it('visits the same values as OpenApiTransformerBase', () => {
+    const transformed = [];
+    const transformer = recordVisits(
+      new OpenApiTransformerBase(),
+      'transform',
+      transformed,
+    );
+    assert.strictEqual(transformer.transformOpenApi(petstore), petstore);
+
+    const visited = [];
+    const visitor = recordVisits(new OpenApiVisitorBase(), 'visit', visited);
+    assert.strictEqual(visitor.visitOpenApi(petstore), undefined);
+    assert.deepStrictEqual(visited, transformed);
+    assert(visited.includes('transformSchema /components/schemas/Pet'));
+  });
+
+  it('visits the same resolved values as OpenApiTransformerBase', () => {
+    const transformed = [];
+    const transformer = recordVisits(
+      new OpenApiTransformerBase({ resolveRefs: true }),
+      'transform',
+      transformed,
+    );
+    transformer.transformOpenApi(petstore);
+
+    const visited = [];
+    const visitor = recordVisits(
+      new OpenApiVisitorBase({ resolveRefs: true }),
+      'visit',
+      visited,
+    );
+    visitor.visitOpenApi(petstore);
+    assert.deepStrictEqual(visited, transformed);
+  });
+
+  it('calls overridden visit methods with transformPath', () => {
+    const visitor = new OpenApiVisitorBase();
+    visitor.operationIds = [];
+    visitor.externalDocs = [];
+    visitor.visitOperation = collectOperationIds;
+    visitor.visitExternalDocs = collectExternalDocs;
+    visitor.visitOpenApi(petstore);
+    assert.deepStrictEqual(visitor.operationIds, ['listPets', 'addPet']);
+    assert.deepStrictEqual(visitor.externalDocs, [
+      ['/paths/~1pets/get/externalDocs', 'https://example.com/docs/list'],
+      ['/externalDocs', 'https://example.com/docs'],
+    ]);
+    assert.deepStrictEqual(visitor.transformPath, []);
+    assert.deepStrictEqual(visitor.transformAncestors, []);
+  });
+
+  it('does not visit children if overridden method is not called', () => {
+    const visitor = new OpenApiVisitorBase();
+    visitor.visitComponents = sinon.stub();
+    visitor.visitSchema = sinon.spy(visitor.visitSchema);
+    visitor.visitOpenApi(petstore);
+    sinon.assert.calledOnce(visitor.visitComponents);
+    sinon.assert.called(visitor.visitSchema);
+    sinon.assert.neverCalledWith(
+      visitor.visitSchema,
+      sinon.match.same(petstore.components.schemas.Pet),
+    );
+  });
+
+  it('passes Reference Objects as second argument with resolveRefs', () => {
+    const visitor = new OpenApiVisitorBase({ resolveRefs: true });
+    visitor.visitSchema = sinon.spy(visitor.visitSchema);
+    visitor.visitOpenApi(petstore);
+    const { Pet } = petstore.components.schemas;
+    sinon.assert.calledWith(
+      visitor.visitSchema,
+      sinon.match.same(Pet),
+      sinon.match.same(
+        petstore.paths['/pets'].post.responses[200]
+          .content['application/json'].schema,
+      ),
+    );
+  });
+
+  it('ends traversal when a visit method returns STOP', () => {
+    const visitor = new OpenApiVisitorBase();
+    visitor.visitSchema = sinon.spy(stopAtSchema);
+    visitor.visitPathItem = sinon.spy(visitor.visitPathItem);
+    assert.strictEqual(visitor.stopped, false);
+    visitor.visitOpenApi(petstore);
+    sinon.assert.calledOnce(visitor.visitSchema);
+    sinon.assert.notCalled(visitor.visitPathItem);
+    assert.strictEqual(visitor.stopped, true);
+
+    visitor.visitOpenApi(petstore);
+    sinon.assert.calledTwice(visitor.visitSchema);
+    assert.strictEqual(visitor.stopped, true);
+  });
+
+  it('adds diagnostics for invalid values', () => {
+    const visitor = new OpenApiVisitorBase();
+    visitor.addDiagnostic = sinon.spy(visitor.addDiagnostic);
+    visitor.warn = sinon.stub();
+    visitor.visitOpenApi(deepFreeze({
+      openapi: '3.0.3',
+      info: { title: 'Title', version: '1.0' },
+      paths: { '/pets': true },
+    }));
+    sinon.assert.calledOnceWithExactly(
+      visitor.addDiagnostic,
+      'NON_OBJECT_PATH_ITEM',
+      'Ignoring non-object Path Item',
+      true,
+      undefined,
+    );
+    sinon.assert.calledOnceWithExactly(
+      visitor.warn,
+      'Ignoring non-object Path Item',
+      true,
+    );
+    assert.deepStrictEqual(visitor.diagnostics, [{
+      code: 'NON_OBJECT_PATH_ITEM',
+      severity: 'warning',
+      message: 'Ignoring non-object Path Item',
+      pointer: '/paths/~1pets',
+      value: true,
+    }]);
+    assert.strictEqual(visitor.openApiVersion, '3.0');
+  });
+
+  it('throws InvalidOpenApiError for invalid values if strict', () => {
+    const visitor = new OpenApiVisitorBase({ strict: true });
+    assert.throws(
+      () => visitor.visitOpenApi(deepFreeze({
+        openapi: '3.0.3',
+        info: { title: 'Title', version: '1.0' },
+        paths: { '/pets': true },
+      })),
+      InvalidOpenApiError,
+    );
+  });
+
+  it('throws TypeError for non-function onDiagnostic', () => {
+    assert.throws(
+      () => new OpenApiVisitorBase({ onDiagnostic: true }),
+      TypeError,
+    );
+  });
+});
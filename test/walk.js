@@ -0,0 +1,252 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @private
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const deepFreeze = require('deep-freeze');
+
+const walk = require('../walk.js');
+
+function summarize(node) {
+  return [node.type, node.pointer, node.parent?.pointer];
+}
+
+describe('walk', () => {
+  it('yields each OpenAPI object with type, pointer, and parent', () => {
+    const openApi = deepFreeze({
+      openapi: '3.0.3',
+      info: {
+        title: 'Title',
+        version: '1.0',
+      },
+      paths: {
+        '/pets': {
+          get: {
+            parameters: [
+              {
+                name: 'limit',
+                in: 'query',
+                schema: { type: 'integer' },
+              },
+            ],
+            responses: {
+              200: {
+                description: 'Pets',
+                content: {
+                  'application/json': {
+                    schema: {
+                      type: 'object',
+                      properties: {
+                        name: { type: 'string' },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    });
+    const nodes = [...walk(openApi)];
+    assert.deepStrictEqual(nodes.map(summarize), [
+      ['OpenApi', '', undefined],
+      ['Info', '/info', ''],
+      ['Paths', '/paths', ''],
+      ['PathItem', '/paths/~1pets', '/paths'],
+      ['Operation', '/paths/~1pets/get', '/paths/~1pets'],
+      [
+        'Parameter',
+        '/paths/~1pets/get/parameters/0',
+        '/paths/~1pets/get',
+      ],
+      [
+        'Schema',
+        '/paths/~1pets/get/parameters/0/schema',
+        '/paths/~1pets/get/parameters/0',
+      ],
+      [
+        'Responses',
+        '/paths/~1pets/get/responses',
+        '/paths/~1pets/get',
+      ],
+      [
+        'Response',
+        '/paths/~1pets/get/responses/200',
+        '/paths/~1pets/get/responses',
+      ],
+      [
+        'MediaType',
+        '/paths/~1pets/get/responses/200/content/application~1json',
+        '/paths/~1pets/get/responses/200',
+      ],
+      [
+        'Schema',
+        '/paths/~1pets/get/responses/200/content/application~1json/schema',
+        '/paths/~1pets/get/responses/200/content/application~1json',
+      ],
+      [
+        'Schema',
+        '/paths/~1pets/get/responses/200/content/application~1json/schema'
+        + '/properties/name',
+        '/paths/~1pets/get/responses/200/content/application~1json/schema',
+      ],
+    ]);
+
+    const operation = openApi.paths['/pets'].get;
+    const operationNode = nodes[4];
+    assert.strictEqual(operationNode.value, operation);
+    assert.strictEqual(operationNode.parent, nodes[3]);
+    assert.strictEqual(nodes[5].value, operation.parameters[0]);
+    assert.strictEqual(nodes[5].parent, operationNode);
+  });
+
+  it('yields Swagger 2.0 objects', () => {
+    const openApi = deepFreeze({
+      swagger: '2.0',
+      info: {
+        title: 'Title',
+        version: '1.0',
+      },
+      paths: {
+        '/pets': {
+          post: {
+            parameters: [
+              {
+                name: 'pet',
+                in: 'body',
+                schema: { $ref: '#/definitions/Pet' },
+              },
+            ],
+            responses: {
+              204: { description: 'Added' },
+            },
+          },
+        },
+      },
+      definitions: {
+        Pet: { type: 'object' },
+      },
+    });
+    assert.deepStrictEqual(
+      [...walk(openApi)]
+        .filter((node) => node.type === 'Schema')
+        .map((node) => [node.pointer, node.value]),
+      [
+        ['/definitions/Pet', { type: 'object' }],
+        [
+          '/paths/~1pets/post/parameters/0/schema',
+          { $ref: '#/definitions/Pet' },
+        ],
+      ],
+    );
+  });
+
+  it('yields objects in declared extensions, but not extensions', () => {
+    const openApi = deepFreeze({
+      swagger: '2.0',
+      info: {
+        title: 'Title',
+        version: '1.0',
+        'x-logo': { url: 'https://example.com/logo.png' },
+      },
+      paths: {},
+      'x-ms-paths': {
+        '/pets?op=list': { get: {} },
+      },
+    });
+    assert.deepStrictEqual([...walk(openApi)].map(summarize), [
+      ['OpenApi', '', undefined],
+      ['Info', '/info', ''],
+      ['Paths', '/paths', ''],
+      ['Paths', '/x-ms-paths', ''],
+      ['PathItem', '/x-ms-paths/~1pets?op=list', '/x-ms-paths'],
+      [
+        'Operation',
+        '/x-ms-paths/~1pets?op=list/get',
+        '/x-ms-paths/~1pets?op=list',
+      ],
+    ]);
+  });
+
+  it('does not traverse children until the next node is requested', () => {
+    let pathsGets = 0;
+    const openApi = {
+      openapi: '3.0.3',
+      info: {
+        title: 'Title',
+        version: '1.0',
+      },
+    };
+    Object.defineProperty(openApi, 'paths', {
+      enumerable: true,
+      get() {
+        pathsGets += 1;
+        return {};
+      },
+    });
+
+    const nodes = walk(openApi);
+    assert.strictEqual(nodes.next().value.value, openApi);
+    assert.strictEqual(pathsGets, 0);
+    assert.strictEqual(nodes.next().value.type, 'Info');
+    assert.notStrictEqual(pathsGets, 0);
+  });
+
+  it('does not yield objects beneath themselves', () => {
+    const schema = { type: 'object' };
+    schema.properties = { self: schema };
+    const openApi = {
+      openapi: '3.0.3',
+      info: {
+        title: 'Title',
+        version: '1.0',
+      },
+      components: {
+        schemas: { Node: schema },
+      },
+      paths: {},
+    };
+    assert.deepStrictEqual([...walk(openApi)].map(summarize), [
+      ['OpenApi', '', undefined],
+      ['Info', '/info', ''],
+      ['Components', '/components', ''],
+      ['Schema', '/components/schemas/Node', '/components'],
+      ['Paths', '/paths', ''],
+    ]);
+  });
+
+  it('yields invalid values with the type of their location', () => {
+    const openApi = deepFreeze({
+      openapi: '3.0.3',
+      info: {
+        title: 'Title',
+        version: '1.0',
+      },
+      paths: {
+        '/pets': true,
+      },
+    });
+    assert.deepStrictEqual([...walk(openApi)].at(-1), {
+      type: 'PathItem',
+      pointer: '/paths/~1pets',
+      value: true,
+      parent: {
+        type: 'Paths',
+        pointer: '/paths',
+        value: openApi.paths,
+        parent: {
+          type: 'OpenApi',
+          pointer: '',
+          value: openApi,
+          parent: undefined,
+        },
+      },
+    });
+  });
+});
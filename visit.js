@@ -8,11 +8,60 @@
 
 const assert = require('node:assert');
 
+const applyVisitSymbol = require('./lib/apply-visit-symbol.js');
 const toJsonPointer = require('./lib/to-json-pointer.js');
 
+/** Adds a transformPath property to an Error, if it does not already have one.
+ *
+ * @private
+ * @param {*} err Exception value.
+ * @param {!Array<string>} transformPath Property names traversed when err
+ * was thrown.
+ */
+function addTransformPath(err, transformPath) {
+  if (!(err instanceof Error) || Object.hasOwn(err, 'transformPath')) {
+    return;
+  }
+
+  err.transformPath = transformPath;
+  err.message +=
+    ` (while transforming ${toJsonPointer(err.transformPath)})`;
+}
+
+/** Adds a transformPath property to an Error with which a Promise rejects.
+ *
+ * @private
+ * @template T
+ * @param {!Promise<T>} promise Promise returned by a visited method.
+ * @param {!Array<string>} transformPath Property names traversed when the
+ * method was called.
+ * @returns {!Promise<T>} Promise which is resolved or rejected with the same
+ * value as promise.
+ * @throws {*} Value with which promise is rejected, with transformPath, if
+ * it is an Error.
+ */
+async function addTransformPathOnReject(promise, transformPath) {
+  try {
+    return await promise;
+  } catch (err) {
+    addTransformPath(err, transformPath);
+    throw err;
+  }
+}
+
 /** Visits a property being transformed by an OpenApiTransformerBase by adding
  * its name to transformPath while calling a given method with a given value.
  *
+ * If the method returns a Promise (or other thenable), a rejection with an
+ * Error is annotated with transformPath in the same way as a thrown Error.
+ *
+ * Transformers may customize how the method is applied and what is returned
+ * (e.g. {@link module:openapi-transformer-base} returns the property value
+ * in place of {@link module:openapi-transformer-base.SKIP} and
+ * {@link module:openapi-transformer-base.STOP}, and calls its enter and
+ * leave methods for the type of value immediately before and after the
+ * method, while propName is in transformPath).
+ *
  * @template ArgsType, TransformedType
  * @param {!module:openapi-transformer-base} transformer Transformer on which
  * transformPath will be modified.
@@ -20,29 +69,33 @@ const toJsonPointer = require('./lib/to-json-pointer.js');
  * TransformedType} method Method to be called.
  * @param {string} propName Name of property being visited.
  * @param {ArgsType} args Argument to method (usually property value).
- * @returns {TransformedType} Result of calling method on args.
+ * @returns {TransformedType} Result of calling method on args, as returned
+ * by the transformer.
  */
 module.exports =
 function visit(transformer, method, propName, ...args) {
   transformer.transformPath.push(propName);
 
-  let handlingException = false;
+  let isHandlingException = false;
   try {
-    return method.apply(transformer, args);
-  } catch (err) {
-    handlingException = true;
-    if (err instanceof Error && !Object.hasOwn(err, 'transformPath')) {
-      err.transformPath = [...transformer.transformPath];
-      err.message +=
-        ` (while transforming ${toJsonPointer(err.transformPath)})`;
+    const applyVisit = transformer[applyVisitSymbol];
+    const result = applyVisit
+      ? applyVisit.call(transformer, method, args)
+      : method.apply(transformer, args);
+    if (typeof result?.then !== 'function') {
+      return result;
     }
 
+    return addTransformPathOnReject(result, [...transformer.transformPath]);
+  } catch (err) {
+    isHandlingException = true;
+    addTransformPath(err, [...transformer.transformPath]);
     throw err;
   } finally {
     const popProp = transformer.transformPath.pop();
 
     // Avoid clobbering an exception which is already propagating
-    if (!handlingException) {
+    if (!isHandlingException) {
       assert.strictEqual(popProp, propName);
     }
   }
@@ -0,0 +1,212 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module "openapi-transformer-base/visitor.js"
+ */
+
+'use strict';
+
+const OpenApiTransformerBase = require('./index.js');
+const getVisitMethodName = require('./lib/get-visit-method-name.js');
+const typeMethodNames = require('./lib/type-method-names.js');
+const VisitingTransformer = require('./lib/visiting-transformer.js');
+
+const { STOP } = OpenApiTransformerBase;
+
+/** Base class for traversing OpenAPI 2.x or 3.x documents without modifying
+ * them (e.g. to collect information about a document).
+ *
+ * For each transform method of {@link module:openapi-transformer-base}
+ * which transforms a particular type of value, this class has a visit
+ * method with the same name prefix (e.g. <code>visitSchema</code> for
+ * <code>transformSchema</code>, <code>visitOperation</code> for
+ * <code>transformOperation</code>).  Visit methods traverse the same
+ * properties as the corresponding transform methods, with the same
+ * {@link #transformPath}, {@link #transformAncestors}, and
+ * {@link #transformRefs}, since the traversal is performed by
+ * OpenApiTransformerBase.  Unlike transform methods, visit methods do not
+ * copy any objects.  Their return values are ignored, except for
+ * {@link OpenApiVisitorBase.STOP}, which ends the traversal.
+ *
+ * Subclasses override visit methods to examine values, and call the
+ * overridden method (e.g. <code>super.visitSchema(schema)</code>) to visit
+ * their children, unless the children should be skipped.  Traversal begins
+ * with {@link #visitOpenApi}, or any other visit method.
+ */
+class OpenApiVisitorBase {
+  /** Value which visit methods can return to end the traversal.  No further
+   * visit methods are called until the next call to {@link #visitOpenApi}.
+   *
+   * @type {symbol}
+   */
+  static STOP = STOP;
+
+  static {
+    for (const methodName of typeMethodNames) {
+      const visitMethodName = getVisitMethodName(methodName);
+      const traverse = OpenApiTransformerBase.prototype[methodName];
+      Object.defineProperty(this.prototype, visitMethodName, {
+        configurable: true,
+        value: {
+          [visitMethodName](value, ...args) {
+            traverse.call(this.#transformer, value, ...args);
+            return undefined;
+          },
+        }[visitMethodName],
+        writable: true,
+      });
+    }
+  }
+
+  /** Transformer which traverses documents by calling visit methods.
+   *
+   * @type {!VisitingTransformer}
+   */
+  #transformer;
+
+  /** Constructs an OpenApiVisitorBase with given options.
+   *
+   * @param {!object=} options Options, as for the
+   * {@link module:openapi-transformer-base} constructor.  The
+   * <code>recordPatch</code> option has no effect, since documents are not
+   * changed.
+   * @throws {TypeError} If options.onDiagnostic is not a function or
+   * undefined.
+   */
+  constructor(options) {
+    this.#transformer = new VisitingTransformer(this, options);
+  }
+
+  /** Version declared by the OpenAPI Object passed to the most recent call to
+   * {@link #visitOpenApi}, or undefined if it was not recognized.
+   *
+   * @type {string|undefined}
+   */
+  get openApiVersion() {
+    return this.#transformer.openApiVersion;
+  }
+
+  /** Diagnostics about the document added by {@link #addDiagnostic} during
+   * the most recent call to {@link #visitOpenApi} (and any visit methods
+   * called since), in the order they were added.
+   *
+   * @type {!Array<!object>}
+   */
+  get diagnostics() {
+    return this.#transformer.diagnostics;
+  }
+
+  /** Whether a visit method returned {@link OpenApiVisitorBase.STOP} during
+   * the most recent call to {@link #visitOpenApi} (or any visit methods
+   * called since), ending the traversal.
+   *
+   * @type {boolean}
+   */
+  get stopped() {
+    return this.#transformer.stopped;
+  }
+
+  /** JSON Pointer (RFC 6901) of the value currently being visited.
+   *
+   * @type {string}
+   */
+  get currentPointer() {
+    return this.#transformer.currentPointer;
+  }
+
+  /** Property names traversed in current traversal, as for
+   * {@link module:openapi-transformer-base#transformPath}.
+   *
+   * @type {!Array<string>}
+   */
+  get transformPath() {
+    return this.#transformer.transformPath;
+  }
+
+  /** Values being visited, outermost first, as for
+   * {@link module:openapi-transformer-base#transformAncestors}.
+   *
+   * @type {!Array<{key: string, value: *, type: (string|undefined)}>}
+   */
+  get transformAncestors() {
+    return this.#transformer.transformAncestors;
+  }
+
+  /** References which were followed to reach the value currently being
+   * visited, as for
+   * {@link module:openapi-transformer-base#transformRefs}.
+   *
+   * @type {!Array<!object>}
+   */
+  get transformRefs() {
+    return this.#transformer.transformRefs;
+  }
+
+  /** Loads a document referenced by a <code>$ref</code> URL, when the
+   * <code>resolveRefs</code> option is true.
+   *
+   * By default, loads a JSON document from a <code>file:</code> URL, as
+   * {@link module:openapi-transformer-base#loadDocument}.  Subclasses may
+   * override this method to load documents in other ways.
+   *
+   * @param {!URL} url URL of document to load (without fragment).
+   * @returns {*} Loaded document.
+   */
+  loadDocument(url) {
+    return OpenApiTransformerBase.prototype.loadDocument.call(
+      this.#transformer,
+      url,
+    );
+  }
+
+  /** Adds a diagnostic about the value currently being visited, as
+   * {@link module:openapi-transformer-base#addDiagnostic}.
+   *
+   * @param {string} code Stable identifier of the condition.
+   * @param {string} message Description of the condition.
+   * @param {*} value Value which caused the diagnostic.
+   * @param {*=} cause Error which caused the diagnostic, if any.
+   * @throws {module:"openapi-transformer-base/invalid-openapi-error.js"} If
+   * the <code>strict</code> option is true and code indicates a problem
+   * with the document.
+   */
+  addDiagnostic(code, message, value, cause) {
+    OpenApiTransformerBase.prototype.addDiagnostic.call(
+      this.#transformer,
+      code,
+      message,
+      value,
+      cause,
+    );
+  }
+
+  /** Logs a warning about the value currently being visited, as
+   * {@link module:openapi-transformer-base#warn}.
+   *
+   * @param {string} message Message with zero or more substitution strings.
+   * @param {...*} values Values to log.
+   */
+  warn(message, ...values) {
+    OpenApiTransformerBase.prototype.warn.call(
+      this.#transformer,
+      message,
+      ...values,
+    );
+  }
+
+  /** Visits an {@link
+   * https://github.com/OAI/OpenAPI-Specification/blob/master/versions/3.0.2.md#oasObject
+   * OpenAPI Object}, beginning a traversal.
+   *
+   * @param {!object} openApi OpenAPI Object.
+   * @returns {undefined}
+   * @throws {AggregateError} If the <code>strict</code> option is
+   * <code>'aggregate'</code> and any errors were found.
+   */
+  visitOpenApi(openApi) {
+    this.#transformer.transformOpenApi(openApi);
+    return undefined;
+  }
+}
+
+module.exports = OpenApiVisitorBase;
@@ -0,0 +1,181 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module "openapi-transformer-base/walk.js"
+ */
+
+'use strict';
+
+const schemaMethodNames = require('./lib/schema-method-names.js');
+const toJsonPointer = require('./lib/to-json-pointer.js');
+const OpenApiVisitorBase = require('./visitor.js');
+
+/** Types of the values yielded by walk(), by the name of the visit method
+ * of OpenApiVisitorBase which is called with them.
+ *
+ * Schema Objects in particular locations are yielded with type
+ * <code>'Schema'</code>.  Values of <code>visitSchemaProperties</code> and
+ * <code>visitExtension</code> are not yielded, since they are not OpenAPI
+ * objects (as for Arrays and Maps).
+ *
+ * @private
+ * @type {!Map<string, string>}
+ */
+const nodeTypes = new Map(
+  Object.getOwnPropertyNames(OpenApiVisitorBase.prototype)
+    .filter((propName) => propName.startsWith('visit')
+      && propName !== 'visitExtension'
+      && propName !== 'visitOpenApi'
+      && propName !== 'visitSchemaProperties')
+    .map((propName) => {
+      const type = propName.slice('visit'.length);
+      return [
+        propName,
+        schemaMethodNames.has(`transform${type}`) ? 'Schema' : type,
+      ];
+    }),
+);
+
+/** Determines whether a node or any of its ancestors has a given object
+ * value (i.e. whether the value contains itself).
+ *
+ * @private
+ * @param {!module:"openapi-transformer-base/walk.js"~Node} node Node to
+ * check.
+ * @param {*} value Value to find.
+ * @returns {boolean} true if value is an object which is the value of node
+ * or one of its ancestors, otherwise false.
+ */
+function hasAncestorValue(node, value) {
+  if (typeof value !== 'object' || value === null) {
+    return false;
+  }
+
+  for (let ancestor = node; ancestor; ancestor = ancestor.parent) {
+    if (ancestor.value === value) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/** Visitor which collects the OpenAPI objects which are children of a value,
+ * without visiting their children.
+ *
+ * @private
+ */
+class ChildCollector extends OpenApiVisitorBase {
+  static {
+    for (const [methodName, type] of nodeTypes) {
+      Object.defineProperty(this.prototype, methodName, {
+        configurable: true,
+        value: {
+          [methodName](value) {
+            this.#children.push({
+              type,
+              propPath: [...this.transformPath],
+              value,
+            });
+            return undefined;
+          },
+        }[methodName],
+        writable: true,
+      });
+    }
+  }
+
+  /** Children collected by the current call to {@link #collectChildren}.
+   *
+   * @type {!Array<{type: string, propPath: !Array<string>, value: *}>}
+   */
+  #children = [];
+
+  /** Collects the OpenAPI objects which are children of a value.
+   *
+   * @param {string} type Type of value.
+   * @param {*} value Value of which to collect children.
+   * @returns {!Array<{type: string, propPath: !Array<string>, value: *}>}
+   * Type, property names relative to value, and value of each child, in
+   * traversal order.
+   */
+  collectChildren(type, value) {
+    this.#children = [];
+    OpenApiVisitorBase.prototype[`visit${type}`].call(this, value);
+    return this.#children;
+  }
+}
+
+/** OpenAPI object yielded by
+ * {@link module:"openapi-transformer-base/walk.js"}.
+ *
+ * @typedef {{
+ *   type: string,
+ *   pointer: string,
+ *   value: *,
+ *   parent: (module:"openapi-transformer-base/walk.js"~Node|undefined)
+ * }} module:"openapi-transformer-base/walk.js"~Node
+ * @property {string} type Name of the transform method of {@link
+ * module:openapi-transformer-base} for the value without the
+ * <code>transform</code> prefix (as in {@link
+ * module:openapi-transformer-base#transformAncestors}), except that all
+ * Schema Objects have type <code>'Schema'</code>.
+ * @property {string} pointer JSON Pointer (RFC 6901) of the value in the
+ * OpenAPI Object.
+ * @property {*} value The OpenAPI object.
+ * @property {(module:"openapi-transformer-base/walk.js"~Node|undefined)}
+ * parent Node of the OpenAPI object which contains the value, or undefined
+ * for the OpenAPI Object.
+ */
+
+/** Lazily walks the OpenAPI objects in an OpenAPI 2.x or 3.x document,
+ * yielding a node for each.
+ *
+ * Values are traversed by {@link module:openapi-transformer-base} (using
+ * {@link module:"openapi-transformer-base/visitor.js"}), so each value which
+ * would be passed to a transform method of a particular type is yielded
+ * with that type (e.g. <code>'Schema'</code>, <code>'Operation'</code>,
+ * <code>'Parameter'</code>).  Arrays and Maps which contain OpenAPI objects
+ * are not yielded.  Values of Specification Extensions are not yielded, but
+ * the values they contain are, if the extension is declared to contain an
+ * OpenAPI type by default (e.g. the Paths Object in <code>x-ms-paths</code>).
+ * Nodes are yielded depth-first, each before its children, starting with the
+ * OpenAPI Object (with type <code>'OpenApi'</code>).  The children of a node
+ * are not traversed until the next node is requested.
+ *
+ * Reference Objects are yielded as the type required by their position and
+ * are not resolved.  Objects which contain themselves are not yielded again
+ * beneath themselves.  Diagnostics for invalid values are logged, as by
+ * {@link module:openapi-transformer-base#warn}.
+ *
+ * @param {*} openApi OpenAPI Object to walk.
+ * @yields {!module:"openapi-transformer-base/walk.js"~Node} Node for each
+ * OpenAPI object in openApi.
+ */
+module.exports =
+function* walk(openApi) {
+  const collector = new ChildCollector();
+  const stack = [{
+    type: 'OpenApi',
+    pointer: '',
+    value: openApi,
+    parent: undefined,
+  }];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    yield node;
+
+    const children = collector.collectChildren(node.type, node.value);
+    for (let i = children.length - 1; i >= 0; i -= 1) {
+      const { type, propPath, value } = children[i];
+      if (!hasAncestorValue(node, value)) {
+        stack.push({
+          type,
+          pointer: node.pointer + toJsonPointer(propPath),
+          value,
+          parent: node,
+        });
+      }
+    }
+  }
+};